@@ -0,0 +1,88 @@
+// Service worker AgriHub Pro: cangkang aplikasi tetap bisa dibuka tanpa sinyal.
+// Data cuaca/harga di-cache oleh aplikasi sendiri (localStorage) agar bisa diberi label "data per …".
+const CACHE = "agrihub-shell-v1";
+const SHELL = ["/", "/index.html", "/leaf.svg", "/manifest.webmanifest"];
+// Ubin peta (server mana pun yang mengizinkan CORS, termasuk server ubin lokal): cache dulu, dibatasi jumlahnya
+const TILES = "agrihub-tiles-v1";
+const MAX_TILES = 3000;
+let tilePuts = 0;
+const TILE_PATH = /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp|pbf)(\?|$)/;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE && k !== TILES).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function trimTiles(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map((k) => cache.delete(k)));
+}
+
+function tileResponse(request) {
+  return caches.open(TILES).then((cache) =>
+    cache.match(request).then(
+      (hit) =>
+        hit ||
+        fetch(request).then((res) => {
+          // respons opaque (tanpa CORS) tidak disimpan: statusnya tak terbaca dan tiap entri dihitung
+          // jauh lebih besar dari ukuran aslinya terhadap kuota penyimpanan
+          if (res.ok) {
+            cache
+              .put(request, res.clone())
+              .then(() => ++tilePuts % 50 === 0 && trimTiles(cache))
+              .catch(() => {});
+          }
+          return res;
+        })
+    )
+  );
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method === "GET" && TILE_PATH.test(url.pathname + url.search)) {
+    event.respondWith(tileResponse(request));
+    return;
+  }
+  // API pihak ketiga (Open-Meteo, sumber harga, webhook) tidak disentuh
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  // Navigasi: jaringan dulu, jatuh ke index.html yang di-cache saat offline
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((res) => {
+          const copy = res.clone();
+          caches.open(CACHE).then((cache) => cache.put("/index.html", copy));
+          return res;
+        })
+        .catch(() => caches.match("/index.html"))
+    );
+    return;
+  }
+
+  // Aset statis (JS/CSS ber-hash, ikon): cache dulu, perbarui di latar belakang
+  event.respondWith(
+    caches.match(request).then((hit) => {
+      const network = fetch(request)
+        .then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(CACHE).then((cache) => cache.put(request, copy));
+          }
+          return res;
+        })
+        .catch(() => hit);
+      return hit || network;
+    })
+  );
+});
@@ -0,0 +1,130 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { cleanup, fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import { Buyers } from "../components/Buyers.jsx";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { loadSyncState } from "../lib/listings.js";
+import { deviceId, loadPostings, savePostings } from "../lib/storage.js";
+import { attemptDelivery, newDelivery } from "../lib/webhook.js";
+
+const FIELDS = [{ id: "f1", name: "Sawah Timur", latitude: -7.8, longitude: 110.4, areaHa: 1, crop: "padi", plantingDate: "" }];
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+const renderBuyers = (config, props = {}) =>
+  render(
+    <Buyers
+      config={{ ...DEFAULT_CONFIG, posterName: "Pak Tani", ...config }}
+      fields={FIELDS}
+      origin={FIELDS[0]}
+      deliveries={[]}
+      onQueue={() => {}}
+      onResend={() => {}}
+      onDiscard={() => {}}
+      {...props}
+    />
+  );
+
+// Isian pertama setelah label di form (label belum terhubung lewat htmlFor)
+const inputAfter = (form, text) => within(form).getByText(text).parentElement.querySelector("input");
+
+const fillAndSubmit = () => {
+  const form = document.querySelector("form");
+  fireEvent.change(inputAfter(form, "Komoditas"), { target: { value: "Cabai Merah" } });
+  fireEvent.change(inputAfter(form, "Kuantitas"), { target: { value: "200" } });
+  fireEvent.change(inputAfter(form, "Lokasi"), { target: { value: "Sleman" } });
+  fireEvent.change(inputAfter(form, "Harga (Rp/kg)"), { target: { value: "55000" } });
+  fireEvent.change(inputAfter(form, "Kontak (WA/HP)"), { target: { value: "0812345678" } });
+  fireEvent.click(screen.getByRole("button", { name: "Kirim" }));
+};
+
+describe("Buyers — kirim listing", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    vi.stubGlobal("fetch", vi.fn(async () => json({})));
+  });
+  afterEach(() => {
+    cleanup();
+    vi.unstubAllGlobals();
+  });
+
+  it("menyimpan listing secara lokal tanpa memanggil jaringan bila webhook & backend kosong", async () => {
+    const onQueue = vi.fn();
+    renderBuyers({}, { onQueue });
+    fillAndSubmit();
+    await waitFor(() => expect(loadPostings()).toHaveLength(1));
+    expect(loadPostings()[0]).toMatchObject({ type: "Jual", commodity: "Cabai Merah", qty: "200", price: "55000", status: "aktif", author: { name: "Pak Tani" } });
+    expect(onQueue).not.toHaveBeenCalled();
+    expect(fetch).not.toHaveBeenCalled();
+    // form dikosongkan untuk listing berikutnya, lokasi & kontak dipertahankan
+    expect(inputAfter(document.querySelector("form"), "Komoditas").value).toBe("");
+    expect(inputAfter(document.querySelector("form"), "Kontak (WA/HP)").value).toBe("0812345678");
+  });
+
+  it("mengantrekan listing ke webhook lalu mengirimnya sebagai POST JSON bertanda tangan", async () => {
+    const onQueue = vi.fn();
+    renderBuyers({ WEBHOOK_URL: "https://hook.example/listing", WEBHOOK_SECRET: "rahasia" }, { onQueue });
+    fillAndSubmit();
+    await waitFor(() => expect(onQueue).toHaveBeenCalledTimes(1));
+    const payload = onQueue.mock.calls[0][0];
+    expect(payload.id).toBe(loadPostings()[0].id);
+    expect(await screen.findByText(/sedang dikirim ke webhook/)).toBeTruthy();
+
+    const sent = await attemptDelivery("https://hook.example/listing", "rahasia", newDelivery(payload));
+    expect(sent).toMatchObject({ status: "sent", attempts: 1 });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("https://hook.example/listing");
+    expect(init.method).toBe("POST");
+    expect(JSON.parse(init.body)).toMatchObject({ commodity: "Cabai Merah", contact: "0812345678" });
+    expect(init.headers["X-AgriHub-Delivery"]).toBe(payload.id);
+    expect(init.headers["X-AgriHub-Signature"]).toMatch(/^sha256=[0-9a-f]{64}$/);
+  });
+
+  it("menjadwalkan ulang pengiriman bila webhook menjawab 5xx dan menyerah pada 4xx", async () => {
+    const onQueue = vi.fn();
+    renderBuyers({ WEBHOOK_URL: "https://hook.example/listing" }, { onQueue });
+    fillAndSubmit();
+    await waitFor(() => expect(onQueue).toHaveBeenCalled());
+    const delivery = newDelivery(onQueue.mock.calls[0][0]);
+
+    fetch.mockResolvedValueOnce(json({}, 503));
+    const retry = await attemptDelivery("https://hook.example/listing", "", delivery);
+    expect(retry).toMatchObject({ status: "pending", attempts: 1, lastError: "Webhook menolak (HTTP 503)" });
+    expect(retry.nextAt).toBeGreaterThan(Date.now());
+
+    fetch.mockResolvedValueOnce(json({}, 400));
+    expect(await attemptDelivery("https://hook.example/listing", "", retry)).toMatchObject({ status: "failed", attempts: 2, nextAt: null });
+  });
+
+  it("mengirim listing baru ke backend listing dan menandainya tersinkron", async () => {
+    fetch.mockImplementation(async (url, init = {}) => (init.method === "POST" ? json({ ...JSON.parse(init.body), updatedAt: 1 }) : json({ items: [], next: null, since: "c1" })));
+    renderBuyers({ LISTINGS_API_URL: "https://api.example/listings", LISTINGS_API_KEY: "token" });
+    // tunggu sinkronisasi awal saat tab dibuka selesai
+    await waitFor(() => expect(loadSyncState().since).toBe("c1"));
+    fillAndSubmit();
+    await waitFor(() => expect(loadPostings()[0]?.syncState).toBe("synced"));
+    const post = fetch.mock.calls.find(([, init]) => init?.method === "POST");
+    expect(post[0]).toBe("https://api.example/listings");
+    expect(post[1].headers.Authorization).toBe("Bearer token");
+    expect(JSON.parse(post[1].body)).toMatchObject({ commodity: "Cabai Merah", author: { name: "Pak Tani" } });
+    expect(JSON.parse(post[1].body).syncState).toBeUndefined();
+  });
+
+  it("tidak kehilangan hapus yang dilakukan selama sinkronisasi berjalan", async () => {
+    savePostings([
+      { id: "a", ts: 1, updatedAt: 1, type: "Jual", commodity: "Cabai Merah", qty: "200", unit: "kg", location: "Sleman", price: "55000", contact: "0812", status: "aktif", expiresAt: "2099-01-01", offers: [], author: { id: deviceId(), name: "Pak Tani" }, syncState: "synced" },
+    ]);
+    let release;
+    const firstPull = new Promise((resolve) => (release = resolve));
+    fetch.mockImplementation(async (url, init = {}) => {
+      if (init.method === "DELETE") return new Response(null, { status: 204 });
+      if (fetch.mock.calls.length === 1) await firstPull;
+      return json({ items: [], next: null, since: "c1" });
+    });
+    renderBuyers({ LISTINGS_API_URL: "https://api.example/listings" });
+    await waitFor(() => expect(fetch).toHaveBeenCalledTimes(1));
+    fireEvent.click(screen.getByRole("button", { name: "hapus" }));
+    release();
+    await waitFor(() => expect(fetch.mock.calls.some(([u, init]) => init?.method === "DELETE" && u === "https://api.example/listings/a")).toBe(true));
+    await waitFor(() => expect(loadSyncState().pendingDeletes).toEqual([]));
+    expect(loadPostings()).toEqual([]);
+  });
+});
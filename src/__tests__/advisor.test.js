@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { activityWindows, advisorRule, checkHour, mainBlocker } from "../lib/advisor.js";
+import { hourlyForecast } from "../test/fixtures.js";
+
+const keys = (reasons) => reasons.map((r) => r.key);
+
+describe("checkHour", () => {
+  it("menolak jam semprot bila hujan turun dalam 6 jam sesudahnya", () => {
+    const precipitation = Array(48).fill(0);
+    precipitation[13] = 2;
+    const hourly = hourlyForecast({ precipitation });
+    const rule = advisorRule("padi", "spray");
+    expect(keys(checkHour(hourly, 6, rule))).toEqual([]);
+    expect(keys(checkHour(hourly, 7, rule))).toEqual(["rainAfter"]);
+    expect(keys(checkHour(hourly, 12, rule))).toEqual(["rainAfter"]);
+  });
+
+  it("menolak semprot saat angin terlalu kencang atau terlalu tenang", () => {
+    const wind = Array(48).fill(8);
+    wind[9] = 20;
+    wind[10] = 1;
+    const hourly = hourlyForecast({ wind_speed_10m: wind });
+    const rule = advisorRule("padi", "spray");
+    expect(keys(checkHour(hourly, 9, rule))).toEqual(["windHigh"]);
+    expect(keys(checkHour(hourly, 10, rule))).toEqual(["windLow"]);
+    // pemupukan tidak punya batas angin minimum
+    expect(keys(checkHour(hourly, 10, advisorRule("padi", "fertilize")))).toEqual([]);
+  });
+
+  it("menandai jam di luar jam kerja sebagai malam", () => {
+    expect(keys(checkHour(hourlyForecast(), 3, advisorRule("padi", "spray")))).toEqual(["night"]);
+  });
+
+  it("melewati syarat angin bila data angin tidak tersedia", () => {
+    const hourly = hourlyForecast();
+    delete hourly.wind_speed_10m;
+    delete hourly.wind_gusts_10m;
+    expect(checkHour(hourly, 9, advisorRule("padi", "spray"))).toEqual([]);
+  });
+});
+
+describe("activityWindows", () => {
+  it("menggabungkan jam cocok berurutan menjadi jendela kerja", () => {
+    const { windows, next } = activityWindows(hourlyForecast(), "padi", "spray");
+    // jam kerja semprot 06.00–18.00 tiap hari
+    expect(windows).toEqual([
+      { start: "2026-10-18T06:00", end: "2026-10-18T18:00", hours: 12 },
+      { start: "2026-10-19T06:00", end: "2026-10-19T18:00", hours: 12 },
+    ]);
+    expect(next).toBe(windows[0]);
+  });
+
+  it("membuang jendela yang lebih pendek dari minHours", () => {
+    // hari pertama angin kencang kecuali pukul 09.00 → hanya 1 jam cocok, di bawah minHours 2
+    const wind = Array(48).fill(8);
+    for (let i = 0; i < 24; i++) if (i !== 9) wind[i] = 20;
+    const { windows } = activityWindows(hourlyForecast({ wind_speed_10m: wind }), "padi", "spray");
+    expect(windows).toHaveLength(1);
+    expect(windows[0].start).toBe("2026-10-19T06:00");
+  });
+
+  it("menerapkan ambang khusus komoditas untuk panen", () => {
+    const precipitation = Array(48).fill(0);
+    precipitation[30] = 3; // 19 Okt 06.00
+    const hourly = hourlyForecast({ precipitation });
+    // cabai cukup kering 3 jam sebelum panen, padi butuh 24 jam
+    expect(activityWindows(hourly, "cabai", "harvest").windows.some((w) => w.start.startsWith("2026-10-19"))).toBe(true);
+    const padi = activityWindows(hourly, "padi", "harvest");
+    expect(padi.windows).toEqual([]);
+    expect(padi.rule.rainFreeBefore).toBe(24);
+    expect(mainBlocker(padi.hours)).not.toBe("");
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import { evaluatePriceAlerts } from "../lib/alerts.js";
+import { DEFAULT_UNIT_CONVERSIONS } from "../lib/units.js";
+
+const alert = (over) => ({ id: "a1", commodity: "Gabah", market: "", type: "above", value: 6000000, unit: "ton", windowHours: 24, enabled: true, active: {}, ...over });
+
+describe("evaluatePriceAlerts", () => {
+  it("membandingkan harga dalam satuan aturan", () => {
+    const rows = [{ commodity: "Gabah", market: "Karawang", unit: "kg", price: 6500, ts: 1 }];
+    const { fired } = evaluatePriceAlerts([alert()], rows, {}, DEFAULT_UNIT_CONVERSIONS);
+    expect(fired).toHaveLength(1);
+    expect(fired[0].message).toMatch(/\/ton/);
+  });
+
+  it("aturan lama tanpa satuan dianggap per kg", () => {
+    const rows = [{ commodity: "Gabah", market: "Karawang", unit: "karung", price: 300000, ts: 1 }];
+    const { fired } = evaluatePriceAlerts([alert({ unit: undefined, value: 6000 })], rows, {}, DEFAULT_UNIT_CONVERSIONS);
+    expect(fired).toHaveLength(0);
+  });
+
+  it("melewati baris yang satuannya tidak bisa dikonversi", () => {
+    const rows = [{ commodity: "Gabah", market: "Karawang", unit: "ikat", price: 9000000, ts: 1 }];
+    expect(evaluatePriceAlerts([alert()], rows, {}, DEFAULT_UNIT_CONVERSIONS).fired).toEqual([]);
+  });
+});
@@ -0,0 +1,59 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import { hasCoords, listingCoords } from "../lib/geo.js";
+
+const CONFIG = { GEOCODER: "nominatim", GEOCODE_URL: "" };
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+describe("geocodeMissing lewat Nominatim", () => {
+  let geocodeMissing;
+  beforeEach(async () => {
+    localStorage.clear();
+    vi.useFakeTimers();
+    vi.resetModules();
+    ({ geocodeMissing } = await import("../lib/geo.js"));
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it("memberi jeda minimal 1 detik antar permintaan", async () => {
+    const calls = [];
+    vi.stubGlobal("fetch", vi.fn(async () => {
+      calls.push(Date.now());
+      return json([]);
+    }));
+    const done = geocodeMissing(["Sleman", "Bantul"], CONFIG);
+    await vi.advanceTimersByTimeAsync(3000);
+    await done;
+    expect(calls).toHaveLength(2);
+    expect(calls[1] - calls[0]).toBeGreaterThanOrEqual(1000);
+  });
+
+  it("berhenti memanggil layanan setelah 429 dan memakai daftar offline", async () => {
+    const fetchMock = vi.fn(async () => json({}, 429));
+    vi.stubGlobal("fetch", fetchMock);
+    const done = geocodeMissing(["Sleman", "Bantul", "Kulon Progo"], CONFIG);
+    await vi.advanceTimersByTimeAsync(5000);
+    await done;
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const places = JSON.parse(localStorage.getItem("agrihub_geocode_v1"));
+    expect(places.bantul).toMatchObject({ offline: true });
+  });
+});
+
+describe("hasCoords", () => {
+  it("menolak koordinat null, kosong, atau tidak ada", () => {
+    expect(hasCoords({ latitude: null, longitude: null })).toBe(false);
+    expect(hasCoords({ latitude: "", longitude: 110.4 })).toBe(false);
+    expect(hasCoords({ latitude: -7.8 })).toBe(false);
+    expect(hasCoords({ latitude: 0, longitude: 0 })).toBe(true);
+    expect(hasCoords({ latitude: "-7.8", longitude: "110.4" })).toBe(true);
+  });
+
+  it("listing tanpa koordinat memakai hasil geocoding lokasinya", () => {
+    const places = { sleman: { latitude: -7.72, longitude: 110.36 } };
+    expect(listingCoords({ latitude: null, longitude: null, location: "Sleman" }, places)).toEqual(places.sleman);
+  });
+});
@@ -0,0 +1,76 @@
+import { afterEach, describe, expect, it } from "vitest";
+import DEFAULT_PEST_RULES from "../pest-rules.json";
+import { fmtFixed, fmtRp } from "../lib/format.js";
+import { GUIDES, guideFor, stageLabel } from "../lib/guides.js";
+import { LOCALES, setLocale, t } from "../lib/i18n.js";
+import { assessRisk, ruleText } from "../lib/risk.js";
+
+const WERENG = DEFAULT_PEST_RULES.find((r) => r.id === "padi-wereng-cokelat");
+
+// Kumpulkan semua kunci daun; pesan jamak { one, other } dihitung satu kunci
+const leafKeys = (obj, prefix = "") =>
+  Object.entries(obj).flatMap(([k, v]) =>
+    v && typeof v === "object" && !("other" in v) ? leafKeys(v, `${prefix}${k}.`) : [`${prefix}${k}`]
+  );
+
+afterEach(() => setLocale("id"));
+
+describe("t", () => {
+  it("mengganti {nama} dari vars dan memilih bentuk jamak memakai vars.n", () => {
+    setLocale("en");
+    expect(t("market.days", { n: 1 })).toBe("1 day");
+    expect(t("market.days", { n: 7 })).toBe("7 days");
+    expect(t("webhook.rejected", { status: 500 })).toBe("Webhook rejected the request (HTTP 500)");
+  });
+
+  it("jatuh ke bahasa Indonesia, lalu fallback, lalu kunci itu sendiri", () => {
+    setLocale("jv");
+    expect(t("tabs.weather")).toBe("Cuaca & Ama");
+    expect(t("kunci.tidak.ada", undefined, "cadangan")).toBe("cadangan");
+    expect(t("kunci.tidak.ada")).toBe("kunci.tidak.ada");
+  });
+
+  it("bahasa tak dikenal kembali ke Indonesia", () => {
+    expect(setLocale("xx")).toBe("id");
+    expect(t("common.cancel")).toBe("Batal");
+  });
+
+  it("setiap katalog memuat semua kunci katalog Indonesia", () => {
+    const keys = leafKeys(LOCALES.id.messages);
+    for (const code of ["en", "jv", "su"]) {
+      const own = new Set(leafKeys(LOCALES[code].messages));
+      expect(keys.filter((k) => !own.has(k)), code).toEqual([]);
+    }
+  });
+});
+
+describe("format sesuai lokal", () => {
+  it("rupiah & desimal", () => {
+    expect(fmtRp(13500)).toMatch(/^Rp\s13\.500$/);
+    expect(fmtFixed(28.04, 1)).toBe("28,0");
+    setLocale("en");
+    expect(fmtRp(13500)).toMatch(/^IDR\s13,500$/);
+    expect(fmtFixed(28.04, 1)).toBe("28.0");
+  });
+});
+
+describe("konten terjemahan", () => {
+  it("panduan mengikuti bahasa aktif tanpa mengubah rentang HST", () => {
+    expect(guideFor("padi")).toBe(GUIDES.padi);
+    setLocale("en");
+    const g = guideFor("padi");
+    expect(g.name).toBe("Rice (Oryza sativa)");
+    expect(g.stages.map((s) => [s.from, s.to])).toEqual(GUIDES.padi.stages.map((s) => [s.from, s.to]));
+    expect(g.tasks).toHaveLength(GUIDES.padi.tasks.length);
+    expect(stageLabel("padi", "Pemeliharaan")).toBe("Maintenance");
+  });
+
+  it("teks aturan bawaan diterjemahkan, teks ubahan pengguna tidak", () => {
+    setLocale("en");
+    expect(ruleText(WERENG, "pest")).toBe("Brown Planthopper");
+    expect(ruleText({ ...WERENG, note: "Catatan sendiri" }, "note")).toBe("Catatan sendiri");
+    const res = assessRisk("padi", { t: 28, rh: 90, tMean24: 28, rhMean24: 90, hst: 30 }, [WERENG]);
+    expect(res.headline).toBe("Brown Planthopper");
+    expect(res.risks[0].note).toBe("Temperature & humidity favour planthopper populations.");
+  });
+});
@@ -0,0 +1,110 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { applySyncResult, expireListings, isOwnListing, listingOffers, mergeListings, parsePriceRange, syncListings } from "../lib/listings.js";
+import { deviceId, loadPostings } from "../lib/storage.js";
+
+const CONFIG = { LISTINGS_API_URL: "https://listing.example/api", LISTINGS_API_KEY: "", posterName: "Pak Tani" };
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+describe("kepemilikan listing", () => {
+  beforeEach(() => localStorage.clear());
+
+  it("listing tanpa author (mis. dari server) bukan milik sendiri", () => {
+    expect(isOwnListing({ id: "a" })).toBe(false);
+    expect(isOwnListing({ id: "b", author: { id: deviceId() } })).toBe(true);
+    expect(expireListings([{ id: "a", status: "aktif", expiresAt: "2020-01-01", syncState: "synced" }], "2026-10-18")).toBeNull();
+  });
+
+  it("listing lokal lama tanpa author & syncState ditandai milik sendiri sekali", () => {
+    localStorage.setItem("agrihub_posts_v1", JSON.stringify([{ id: "lama", ts: 1 }, { id: "server", ts: 2, syncState: "synced" }]));
+    const posts = loadPostings();
+    expect(isOwnListing(posts[0])).toBe(true);
+    expect(posts[1].author).toBeUndefined();
+    expect(JSON.parse(localStorage.getItem("agrihub_posts_v1"))[0].author.id).toBe(deviceId());
+  });
+});
+
+describe("mergeListings", () => {
+  it("tidak menimpa listing lokal yang belum terkirim walau versi server sama baru", () => {
+    const local = [{ id: "a", ts: 1, updatedAt: 5, price: "60000", syncState: "pending" }];
+    const merged = mergeListings(local, [{ id: "a", ts: 1, updatedAt: 5, price: "55000" }]);
+    expect(merged[0]).toMatchObject({ price: "60000", syncState: "pending" });
+  });
+});
+
+describe("syncListings", () => {
+  beforeEach(() => localStorage.clear());
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("mengembalikan hasil kirim & hapus walau penarikan gagal", async () => {
+    vi.stubGlobal("fetch", vi.fn(async (url, init) => {
+      if (init.method === "POST") return json({ ...JSON.parse(init.body), updatedAt: 9 });
+      if (init.method === "DELETE") return new Response(null, { status: 204 });
+      return json({}, 500);
+    }));
+    const posts = [{ id: "a", ts: 1, commodity: "Cabai", author: { id: deviceId(), name: "Pak Tani" }, syncState: "pending" }];
+    const res = await syncListings(CONFIG, posts, { since: "c1", pendingDeletes: ["x"], lastSync: null });
+    expect(res.posts[0].syncState).toBe("synced");
+    expect(res.state.pendingDeletes).toEqual([]);
+    expect(res.state.since).toBe("c1");
+    expect(res.errors).toHaveLength(1);
+  });
+
+  it("mengirim tawaran pada listing orang lain ke endpoint offers tanpa mengubah listingnya", async () => {
+    const fetchMock = vi.fn(async () => json({ items: [], next: null, since: "c2" }));
+    vi.stubGlobal("fetch", fetchMock);
+    const offer = { id: "o1", ts: 5, kind: "tawaran", price: 50000, by: "Bu Sri" };
+    const res = await syncListings(CONFIG, [], { since: null, pendingDeletes: [], lastSync: null }, [{ listingId: "b", offer, sent: false }]);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toMatch(/\/b\/offers$/);
+    expect(init.method).toBe("POST");
+    expect(JSON.parse(init.body)).toEqual(offer);
+    expect(res.offers).toEqual([{ listingId: "b", offer, sent: true }]);
+    expect(res.posts).toEqual([]);
+  });
+});
+
+describe("applySyncResult", () => {
+  const state = (pendingDeletes = []) => ({ since: "", pendingDeletes, lastSync: null });
+
+  it("mempertahankan tambah, ubah, dan hapus yang terjadi selama sinkronisasi", () => {
+    const a = { id: "a", ts: 1, updatedAt: 1, syncState: "synced" };
+    const b = { id: "b", ts: 2, updatedAt: 2, syncState: "pending" };
+    const c = { id: "c", ts: 3, updatedAt: 3, syncState: "synced" };
+    const before = { posts: [a, b, c], state: state(), offers: [] };
+    const current = {
+      posts: [{ ...c, price: "9", updatedAt: 5, syncState: "pending" }, { id: "d", ts: 4, syncState: "pending" }],
+      state: state(["a"]),
+      offers: [],
+    };
+    const result = { posts: [a, { ...b, syncState: "synced" }, c, { id: "e", ts: 0, syncState: "synced" }], state: { since: "c1", pendingDeletes: [], lastSync: 9 }, offers: [] };
+    const next = applySyncResult(before, current, result);
+    expect(next.posts.map((p) => p.id)).toEqual(["d", "c", "e"]);
+    expect(next.posts[1]).toMatchObject({ price: "9", syncState: "pending" });
+    // "b" terhapus lokal padahal baru saja terkirim → ikut dihapus di server
+    expect(next.state).toMatchObject({ since: "c1", pendingDeletes: ["a", "b"] });
+  });
+});
+
+describe("listingOffers", () => {
+  it("menggabungkan tawaran sendiri yang belum muncul di listing server", () => {
+    const p = { id: "b", offers: [{ id: "o1", ts: 5 }] };
+    const offers = [
+      { listingId: "b", offer: { id: "o1", ts: 5 }, sent: true },
+      { listingId: "b", offer: { id: "o2", ts: 3 }, sent: false },
+      { listingId: "c", offer: { id: "o3", ts: 1 }, sent: false },
+    ];
+    expect(listingOffers(p, offers).map((o) => o.id)).toEqual(["o2", "o1"]);
+  });
+});
+
+describe("parsePriceRange", () => {
+  it.each([
+    ["60.000", { min: 60000, max: 60000 }],
+    ["55 rb – 60 rb", { min: 55000, max: 60000 }],
+    ["1,5 rb", { min: 1500, max: 1500 }],
+    ["2.5k-3k", { min: 2500, max: 3000 }],
+    ["Rp 7,5 ribu/kg", { min: 7500, max: 7500 }],
+  ])("membaca %s", (text, range) => {
+    expect(parsePriceRange(text)).toEqual(range);
+  });
+});
@@ -0,0 +1,137 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { DEFAULT_MAPPING, fetchMarketSource, mapMarketItems, marketCacheKey, newMarketSource, parsePrice, pullMarketPrices, readField } from "../lib/market.js";
+import { parseQuantity } from "../lib/units.js";
+
+describe("readField", () => {
+  it("memakai alias pertama yang berisi nilai", () => {
+    expect(readField({ nama: "Cabai" }, DEFAULT_MAPPING.commodity)).toBe("Cabai");
+    expect(readField({ commodity: "Tomat", nama: "Cabai" }, DEFAULT_MAPPING.commodity)).toBe("Tomat");
+    expect(readField({ commodity: "", nama: "Cabai" }, DEFAULT_MAPPING.commodity)).toBe("Cabai");
+  });
+
+  it("membaca path bersarang dan indeks array", () => {
+    expect(readField({ data: { harga: [{ nilai: 5 }] } }, "$.x|$.data.harga[0].nilai")).toBe(5);
+  });
+
+  it("membaca kolom CSV menurut nama header", () => {
+    expect(readField({ harga: "40000" }, "$.price|$.harga", true)).toBe("40000");
+  });
+
+  it("mengembalikan undefined bila tidak ada alias yang cocok", () => {
+    expect(readField({ foo: 1 }, DEFAULT_MAPPING.price)).toBeUndefined();
+  });
+});
+
+describe("mapMarketItems", () => {
+  it("menormalkan nama field Indonesia dan Inggris ke baris standar", () => {
+    const { rows, errors } = mapMarketItems(
+      [
+        { commodity: "Beras Medium", market: "Jakarta", price: 13500, unit: "kg", ts: 1760000000 },
+        { nama: "Cabai Merah", pasar: "Medan", harga: "Rp 62.000", satuan: "kg", timestamp: "2026-10-01T08:00:00Z", lat: "3.59", lng: "98.67" },
+      ],
+      DEFAULT_MAPPING
+    );
+    expect(errors).toEqual([]);
+    expect(rows[0]).toEqual({ commodity: "Beras Medium", unit: "kg", market: "Jakarta", price: 13500, ts: 1760000000000 });
+    expect(rows[1]).toEqual({
+      commodity: "Cabai Merah",
+      unit: "kg",
+      market: "Medan",
+      price: 62000,
+      ts: Date.parse("2026-10-01T08:00:00Z"),
+      latitude: 3.59,
+      longitude: 98.67,
+    });
+  });
+
+  it("memberi satuan & pasar bawaan bila kosong", () => {
+    const { rows } = mapMarketItems([{ nama: "Jagung", harga: "5,200", ts: 1760000000000 }], DEFAULT_MAPPING);
+    expect(rows[0]).toMatchObject({ unit: "kg", market: "-", price: 5200 });
+  });
+
+  it("melaporkan baris yang gagal dipetakan tanpa membuangnya diam-diam", () => {
+    const { rows, errors } = mapMarketItems([{ harga: "abc", ts: "kemarin" }], DEFAULT_MAPPING);
+    expect(rows).toEqual([]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^Baris 1: komoditas kosong/);
+    expect(errors[0]).toContain("harga tidak valid");
+    expect(errors[0]).toContain("waktu tidak valid");
+  });
+});
+
+describe("fetchMarketSource", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("mengambil JSON dari path akar lalu memetakan alias", async () => {
+    const fetch = vi.fn(async () => new Response(JSON.stringify({ data: { items: [{ nama: "Bawang Merah", pasar: "Surabaya", harga: 38000 }] } })));
+    vi.stubGlobal("fetch", fetch);
+    const source = newMarketSource({ url: "https://harga.example/api", rootPath: "$.data.items", auth: { type: "bearer", key: "rahasia", name: "" } });
+    const { rows, errors, pages } = await fetchMarketSource(source);
+    expect(errors).toEqual([]);
+    expect(pages).toBe(1);
+    expect(rows[0]).toMatchObject({ commodity: "Bawang Merah", market: "Surabaya", price: 38000, unit: "kg" });
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe("Bearer rahasia");
+  });
+
+  it("memetakan CSV dengan header alias", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => new Response('nama,pasar,harga,satuan\n"Cabai Rawit",Bandung,"75.000",kg\n')));
+    const { rows } = await fetchMarketSource(newMarketSource({ url: "https://harga.example/harga.csv", format: "csv" }));
+    expect(rows[0]).toMatchObject({ commodity: "Cabai Rawit", market: "Bandung", price: 75000, unit: "kg" });
+  });
+});
+
+describe("pullMarketPrices", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("menggabungkan entri tanpa waktu dari beberapa sumber walau diambil pada milidetik berbeda", async () => {
+    vi.stubGlobal("fetch", vi.fn(async () => new Response(JSON.stringify([{ nama: "Cabai", pasar: "Bandung", harga: 75000 }]))));
+    let now = Date.parse("2026-10-18T08:00:00");
+    vi.spyOn(Date, "now").mockImplementation(() => (now += 7));
+    const a = newMarketSource({ name: "A", url: "https://a.example/api" });
+    const b = newMarketSource({ name: "B", url: "https://b.example/api" });
+    const { rows } = await pullMarketPrices({ marketSources: [a, b] });
+    expect(rows).toHaveLength(1);
+    expect(rows[0].sources).toEqual(["A", "B"]);
+  });
+
+  it("tidak menggabungkan harga berbeda atau waktu berbeda pada hari yang sama", async () => {
+    const items = {
+      "https://a.example/api": [{ nama: "Cabai", pasar: "Bandung", harga: 75000, ts: "2026-10-18T08:00:00" }],
+      "https://b.example/api": [
+        { nama: "Cabai", pasar: "Bandung", harga: 72000, ts: "2026-10-18T08:00:00" },
+        { nama: "Cabai", pasar: "Bandung", harga: 75000, ts: "2026-10-18T15:00:00" },
+      ],
+    };
+    vi.stubGlobal("fetch", vi.fn(async (url) => new Response(JSON.stringify(items[url]))));
+    const a = newMarketSource({ name: "A", url: "https://a.example/api" });
+    const b = newMarketSource({ name: "B", url: "https://b.example/api" });
+    const { rows } = await pullMarketPrices({ marketSources: [a, b] });
+    expect(rows.map((r) => [r.price, r.sources])).toEqual([
+      [75000, ["A"]],
+      [75000, ["B"]],
+      [72000, ["B"]],
+    ]);
+  });
+
+  it("memisahkan cache offline menurut sumber yang aktif", () => {
+    const a = newMarketSource({ url: "https://a.example/api" });
+    const b = newMarketSource({ url: "https://b.example/api" });
+    expect(marketCacheKey({ marketSources: [a, b] })).not.toBe(marketCacheKey({ marketSources: [a, { ...b, enabled: false }] }));
+  });
+});
+
+describe("angka harga & kuantitas", () => {
+  it.each([
+    ["1.500", 1500],
+    ["1,500", 1500],
+    ["2,5", 2.5],
+    ["40.000,50", 40000.5],
+    ["0.125", 0.125],
+  ])("parsePrice dan parseQuantity membaca %s dengan aturan yang sama", (text, value) => {
+    expect(parsePrice(text)).toBe(value);
+    expect(parseQuantity(`${text} kg`)).toEqual({ qty: value, unit: "kg" });
+  });
+});
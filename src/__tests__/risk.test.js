@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import DEFAULT_PEST_RULES from "../pest-rules.json";
+import { assessRisk, buildIndicators } from "../lib/risk.js";
+
+// Aturan uji dengan angka bulat agar skor mudah dihitung: level × bobot terpenuhi / total bobot × bobot fase
+const RULE = {
+  id: "uji-jamur",
+  crop: "padi",
+  pest: "Jamur Uji",
+  level: 0.6,
+  stageWeights: { Panen: 0.5 },
+  conditions: [
+    { var: "rh", op: ">=", value: 90, weight: 1 },
+    { var: "tMean24", op: "between", value: [20, 28], weight: 1 },
+  ],
+};
+
+describe("assessRisk", () => {
+  it("melaporkan risiko bila semua kondisi terpenuhi, termasuk tepat di batas", () => {
+    const res = assessRisk("padi", { rh: 90, tMean24: 28, hst: 30 }, [RULE]);
+    expect(res.risks).toHaveLength(1);
+    expect(res.risks[0].level).toBeCloseTo(0.6);
+    expect(res.headline).toBe("Jamur Uji");
+    expect(res.risks[0].factors).toHaveLength(2);
+  });
+
+  it("menskalakan skor menurut bobot kondisi yang terpenuhi", () => {
+    const res = assessRisk("padi", { rh: 95, tMean24: 31, hst: 30 }, [RULE]);
+    expect(res.risks[0].level).toBeCloseTo(0.3);
+  });
+
+  it("tidak melaporkan skor di bawah ambang 0,25", () => {
+    // 0,6 × ½ × bobot fase Panen 0,5 = 0,15
+    const res = assessRisk("padi", { rh: 95, tMean24: 31, hst: 95 }, [RULE]);
+    expect(res.risks).toEqual([]);
+    expect(res.level).toBe(0);
+    expect(res.headline).toBe("Rendah");
+  });
+
+  it("melaporkan skor tepat di ambang 0,25", () => {
+    const rule = { ...RULE, level: 0.5, stageWeights: {} };
+    const res = assessRisk("padi", { rh: 95, tMean24: 10, hst: 30 }, [rule]);
+    expect(res.risks[0].level).toBeCloseTo(0.25);
+  });
+
+  it("menerapkan bobot fase dan mencatatnya sebagai faktor", () => {
+    const res = assessRisk("padi", { rh: 95, tMean24: 25, hst: 95 }, [RULE]);
+    expect(res.risks[0].level).toBeCloseTo(0.3);
+    expect(res.risks[0].factors).toContain("Fase Panen: bobot ×0.5");
+  });
+
+  it("mengabaikan nilai di luar rentang dan indikator yang tidak tersedia", () => {
+    expect(assessRisk("padi", { rh: 89.9, tMean24: 28.1 }, [RULE]).risks).toEqual([]);
+    expect(assessRisk("padi", { rh: null, tMean24: NaN }, [RULE]).risks).toEqual([]);
+    expect(assessRisk("padi", null, [RULE]).level).toBe(0);
+  });
+
+  it("hanya menilai aturan untuk komoditas yang diminta", () => {
+    expect(assessRisk("cabai", { rh: 95, tMean24: 25 }, [RULE]).risks).toEqual([]);
+  });
+
+  it("membatasi skor gabungan maksimal 1", () => {
+    const rules = [RULE, { ...RULE, id: "uji-2", pest: "Jamur Uji 2", level: 0.9 }];
+    const res = assessRisk("padi", { rh: 95, tMean24: 25, hst: 30 }, rules);
+    expect(res.level).toBe(1);
+    expect(res.headline).toBe("Jamur Uji 2");
+  });
+
+  it("memicu blas padi dari deret jam-jaman daun basah memakai katalog bawaan", () => {
+    const hours = 24;
+    const hourly = {
+      time: Array.from({ length: hours }, (_, i) => `2026-01-10T${String(i).padStart(2, "0")}:00`),
+      temperature_2m: Array(hours).fill(24),
+      relative_humidity_2m: Array(hours).fill(96),
+      precipitation: Array(hours).fill(1.2),
+    };
+    const ind = buildIndicators(hourly, { crop: "padi", plantingDate: "2025-12-01" });
+    const res = assessRisk("padi", ind[hours - 1], DEFAULT_PEST_RULES);
+    expect(res.risks.map((r) => r.id)).toContain("padi-blas");
+    expect(res.level).toBeGreaterThan(0.5);
+  });
+});
@@ -0,0 +1,71 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { CONFIG_KEYS, CONFIG_VERSION, DEFAULT_CONFIG } from "../lib/config.js";
+import { loadConfig, loadFields, loadPostings, loadRules } from "../lib/storage.js";
+import DEFAULT_PEST_RULES from "../pest-rules.json";
+
+const KEY = CONFIG_KEYS[CONFIG_VERSION];
+
+describe("loadConfig", () => {
+  beforeEach(() => localStorage.clear());
+
+  it("memakai konfigurasi bawaan bila belum ada yang tersimpan", () => {
+    expect(loadConfig()).toEqual(DEFAULT_CONFIG);
+  });
+
+  it.each([
+    ["JSON rusak", "{bukan json"],
+    ["null", "null"],
+    ["angka", "42"],
+    ["teks", '"halo"'],
+    ["array", "[1,2,3]"],
+  ])("kembali ke bawaan bila isi tersimpan berupa %s", (_, raw) => {
+    localStorage.setItem(KEY, raw);
+    const cfg = loadConfig();
+    expect(cfg.refreshMinutes).toBe(DEFAULT_CONFIG.refreshMinutes);
+    expect(cfg.latitude).toBe(DEFAULT_CONFIG.latitude);
+    expect(cfg.marketSources).toEqual(DEFAULT_CONFIG.marketSources);
+  });
+
+  it("mengganti nilai yang tidak valid dan mempertahankan yang valid", () => {
+    localStorage.setItem(KEY, JSON.stringify({ version: CONFIG_VERSION, refreshMinutes: "abc", forecastDays: 99, latitude: -7.8, posterName: "Bu Sri" }));
+    const cfg = loadConfig();
+    expect(cfg.refreshMinutes).toBe(DEFAULT_CONFIG.refreshMinutes);
+    expect(cfg.forecastDays).toBe(DEFAULT_CONFIG.forecastDays);
+    expect(cfg.latitude).toBe(-7.8);
+    expect(cfg.posterName).toBe("Bu Sri");
+  });
+
+  it("memigrasikan konfigurasi versi lama lalu menghapus kunci lamanya", () => {
+    localStorage.setItem(CONFIG_KEYS[1], JSON.stringify({ MARKET_API_URL: "https://harga.example/api", MARKET_API_KEY: "k" }));
+    const cfg = loadConfig();
+    expect(cfg.marketSources).toHaveLength(1);
+    expect(cfg.marketSources[0]).toMatchObject({ url: "https://harga.example/api", auth: { type: "bearer", key: "k" } });
+    expect(localStorage.getItem(CONFIG_KEYS[1])).toBeNull();
+    expect(JSON.parse(localStorage.getItem(KEY)).version).toBe(CONFIG_VERSION);
+  });
+
+  it("kembali ke bawaan bila konfigurasi versi lama rusak", () => {
+    localStorage.setItem(CONFIG_KEYS[1], "{rusak");
+    expect(loadConfig()).toEqual(DEFAULT_CONFIG);
+  });
+});
+
+describe("penyimpanan lain yang rusak", () => {
+  beforeEach(() => localStorage.clear());
+
+  it("memulihkan lahan, listing, dan aturan hama", () => {
+    localStorage.setItem("agrihub_fields_v1", "{rusak");
+    localStorage.setItem("agrihub_posts_v1", "[");
+    localStorage.setItem("agrihub_rules_v1", JSON.stringify([{ id: "tanpa-kondisi" }]));
+    const fields = loadFields(DEFAULT_CONFIG);
+    expect(fields).toHaveLength(1);
+    expect(fields[0]).toMatchObject({ name: "Lahan Utama", latitude: DEFAULT_CONFIG.latitude });
+    expect(loadPostings()).toEqual([]);
+    expect(loadRules()).toBe(DEFAULT_PEST_RULES);
+  });
+
+  it("mengganti koordinat lahan yang rusak dengan koordinat bawaan", () => {
+    localStorage.setItem("agrihub_fields_v1", JSON.stringify([{ id: "a", name: "Sawah", latitude: null, longitude: "x" }]));
+    expect(loadFields(DEFAULT_CONFIG)[0]).toMatchObject({ name: "Sawah", latitude: DEFAULT_CONFIG.latitude, longitude: DEFAULT_CONFIG.longitude });
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_KC, kcAt, waterBalance } from "../lib/water.js";
+import { dailyResponse } from "../test/fixtures.js";
+
+describe("kcAt", () => {
+  it("memakai Kc sesuai fase panduan", () => {
+    expect(kcAt("jagung", 3)).toBe(0.4);
+    expect(kcAt("jagung", 50)).toBe(1.2);
+    expect(kcAt("padi", 100)).toBe(0.9);
+  });
+
+  it("jatuh ke Kc bawaan untuk komoditas tanpa panduan", () => {
+    expect(kcAt("bawang_merah", 30)).toBe(DEFAULT_KC);
+  });
+});
+
+describe("waterBalance", () => {
+  it("menghitung kebutuhan harian dalam mm dan liter per luas lahan", () => {
+    const res = waterBalance(dailyResponse({ et0: [5, 5, 5], rain: [0, 5, 0] }), { crop: "jagung", plantingDate: "2026-09-01", areaHa: 0.5 });
+    // Kc 1,2 (Pemeliharaan) × 5 mm = 6 mm; hari ke-2 dikurangi hujan efektif 4 mm
+    expect(res.days.map((d) => d.need)).toEqual([6, 2, 6]);
+    expect(res.today.date).toBe("2026-10-03");
+    expect(res.today.liters).toBe(30000);
+    expect(res.today.deficit).toBeCloseTo(14);
+  });
+
+  it("tidak menumpuk air hujan melewati kapasitas lapang", () => {
+    const res = waterBalance(dailyResponse({ et0: [5, 5, 5], rain: [0, 100, 0] }), { crop: "jagung", plantingDate: "2026-09-01" });
+    expect(res.days[1].deficit).toBe(0);
+    expect(res.days[2].deficit).toBeCloseTo(6);
+  });
+
+  it("memulai defisit dari kelembapan tanah hari pertama", () => {
+    // (0,35 − 0,25) × 1 m akar jagung = 100 mm
+    const res = waterBalance(dailyResponse({ et0: [0, 0, 0], rain: [0, 0, 0], soil: [0.25, 0.25, 0.25] }), { crop: "jagung" });
+    expect(res.days[0].deficit).toBeCloseTo(100);
+    expect(res.today.soil).toBe(0.25);
+  });
+
+  it("memperingatkan stres kekeringan yang mendekat di ramalan", () => {
+    // padi: RAW = 0,2 × 60 mm = 12 mm; ETc 1,2 × 4 + perkolasi 3 = 7,8 mm/hari
+    const res = waterBalance(dailyResponse({ et0: [4, 4, 4, 4], rain: [20, 20, 0, 0], today: "2026-10-02" }), { crop: "padi", plantingDate: "2026-09-01" });
+    expect(res.raw).toBeCloseTo(12);
+    expect(res.warning).toEqual({ level: "stress", date: "2026-10-04", inDays: 2 });
+  });
+
+  it("tidak memberi peringatan saat hujan cukup", () => {
+    const res = waterBalance(dailyResponse({ et0: [4, 4, 4], rain: [20, 20, 20] }), { crop: "padi", plantingDate: "2026-09-01" });
+    expect(res.warning).toBeNull();
+    expect(res.today.need).toBe(0);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { dailyExtremes, extremeWeatherWarnings, newWarnings, warningAdvice, warningThresholds } from "../lib/weatherWarnings.js";
+import { hourlyForecast } from "../test/fixtures.js";
+
+const field = { id: "f1", name: "Sawah Timur", crop: "padi" };
+const thresholds = warningThresholds(DEFAULT_CONFIG);
+
+describe("dailyExtremes", () => {
+  it("menjumlahkan hujan dan mengambil suhu & hembusan maksimum per hari", () => {
+    const hourly = hourlyForecast({ days: 3 });
+    hourly.precipitation[25] = 30;
+    hourly.precipitation[26] = 25;
+    hourly.temperature_2m[37] = 36.5;
+    const days = dailyExtremes(hourly);
+    expect(days).toHaveLength(3);
+    expect(days[1]).toEqual({ date: "2026-10-19", rain: 55, heat: 36.5, gust: 15 });
+  });
+});
+
+describe("extremeWeatherWarnings", () => {
+  it("memperingatkan hujan, panas, dan hembusan di atas ambang bawaan", () => {
+    const hourly = hourlyForecast({ days: 3 });
+    hourly.precipitation[25] = 60;
+    hourly.temperature_2m[60] = 36;
+    hourly.wind_gusts_10m[61] = 45;
+    const out = extremeWeatherWarnings(hourly, thresholds, { field, today: "2026-10-18" });
+    expect(out.map((w) => w.id)).toEqual(["f1:rain:2026-10-19", "f1:heat:2026-10-20", "f1:gust:2026-10-20"]);
+    expect(out[0]).toMatchObject({ fieldName: "Sawah Timur", kind: "rain", value: 60, threshold: 50 });
+  });
+
+  it("tidak memperingatkan nilai tepat di ambang atau hari yang sudah lewat", () => {
+    const hourly = hourlyForecast({ days: 3 });
+    hourly.precipitation[2] = 80;
+    hourly.precipitation[30] = 50;
+    expect(extremeWeatherWarnings(hourly, thresholds, { field, today: "2026-10-19" })).toEqual([]);
+  });
+
+  it("mengikuti ambang yang diatur pengguna", () => {
+    const hourly = hourlyForecast({ days: 3 });
+    const out = extremeWeatherWarnings(hourly, warningThresholds({ ...DEFAULT_CONFIG, warnGustKmh: 10 }), { field, today: "2026-10-18" });
+    expect(out).toHaveLength(3);
+    expect(out.every((w) => w.kind === "gust")).toBe(true);
+  });
+});
+
+describe("riwayat peringatan", () => {
+  it("hanya peringatan yang belum tercatat dianggap baru", () => {
+    const hourly = hourlyForecast({ days: 3 });
+    hourly.precipitation[25] = 60;
+    hourly.precipitation[49] = 70;
+    const found = extremeWeatherWarnings(hourly, thresholds, { field, today: "2026-10-18" });
+    const log = [{ id: "x", warningId: "f1:rain:2026-10-19", ts: 1 }];
+    expect(newWarnings(found, log).map((w) => w.date)).toEqual(["2026-10-20"]);
+  });
+
+  it("memakai saran khusus komoditas bila ada, selain itu saran umum", () => {
+    expect(warningAdvice({ kind: "gust", crop: "jagung" })).toMatch(/rebah/);
+    expect(warningAdvice({ kind: "gust", crop: "bawang_merah" })).toBe(warningAdvice({ kind: "gust", crop: "" }));
+  });
+});
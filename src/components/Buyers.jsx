@@ -0,0 +1,637 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  ShoppingCart,
+  Users,
+  RefreshCw,
+  MessageCircle,
+  ExternalLink,
+  Pencil,
+} from "lucide-react";
+import { Badge, Button, Card, CardBody, CardHeader, Input, Select } from "./ui.jsx";
+import { fmt, fmtDate, fmtDateTime, fmtRp, isoDate } from "../lib/format.js";
+import { hasCoords, loadGeocodes } from "../lib/geo.js";
+import { addDays } from "../lib/guides.js";
+import { t } from "../lib/i18n.js";
+import {
+  LISTING_FILTERS,
+  LISTING_SORTS,
+  LISTING_STATUS,
+  LISTING_TTL_DAYS,
+  applySyncResult,
+  describeListing,
+  expireListings,
+  filterListings,
+  findMatches,
+  fmtPriceRange,
+  isOpenListing,
+  isOwnListing,
+  listingType,
+  listingFiltersFromUrl,
+  listingFiltersToUrl,
+  listingOffers,
+  listingStatus,
+  loadOffers,
+  loadSyncState,
+  matchMessage,
+  parsePriceRange,
+  saveOffers,
+  saveSyncState,
+  syncListings,
+  touchListing,
+  waLink,
+} from "../lib/listings.js";
+import { parsePrice } from "../lib/market.js";
+import { deviceId, loadPostings, savePostings } from "../lib/storage.js";
+import { convertPrice, convertQty, normalizeUnit, parseQuantity, unitFactor } from "../lib/units.js";
+import { writeUrlParams } from "../lib/url.js";
+import { WEBHOOK_MAX_ATTEMPTS } from "../lib/webhook.js";
+
+// ===================== Koneksi Pembeli =====================
+// Label di katalog `buyers.delivery.<status>`
+const DELIVERY_STATUS = {
+  pending: { cls: "bg-amber-100 text-amber-800" },
+  failed: { cls: "bg-red-100 text-red-700" },
+  sent: { cls: "bg-emerald-100 text-emerald-800" },
+};
+
+const blankListing = () => ({
+  type: "Jual", // Jual/Beli
+  commodity: "",
+  qty: "",
+  unit: "kg",
+  location: "",
+  latitude: "",
+  longitude: "",
+  price: "",
+  contact: "",
+  notes: "",
+  expiresAt: addDays(isoDate(new Date()), LISTING_TTL_DAYS),
+});
+const LISTING_FORM_KEYS = Object.keys(blankListing());
+
+export function Buyers({ config, fields, origin, deliveries, onQueue, onResend, onDiscard }) {
+  const [posts, setPosts] = useState(loadPostings());
+  const units = [...new Set(config.unitConversions.map((e) => normalizeUnit(e.unit)).filter(Boolean).concat("ikat", "karung"))];
+  const [form, setForm] = useState(blankListing);
+  const [editId, setEditId] = useState(null);
+  const [filters, setFilters] = useState(listingFiltersFromUrl);
+  const [copied, setCopied] = useState(false);
+  const [openLog, setOpenLog] = useState(null);
+  const [offers, setOffers] = useState(loadOffers);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+  const [deliveryFilter, setDeliveryFilter] = useState("all");
+  const [syncInfo, setSyncInfo] = useState(loadSyncState);
+  const [syncing, setSyncing] = useState(false);
+  const [syncError, setSyncError] = useState("");
+  const syncBusy = useRef(false);
+  const syncAgain = useRef(false);
+  const deliveryOf = Object.fromEntries(deliveries.map((d) => [d.id, d]));
+  const matches = useMemo(() => findMatches(posts, config.unitConversions), [posts, config.unitConversions]);
+  const view = filters.view;
+  const shown = useMemo(
+    () =>
+      filterListings(
+        posts.filter((p) => (view === "open" ? isOpenListing(p) : !isOpenListing(p))),
+        filters,
+        { table: config.unitConversions, unit: config.priceUnit, origin, places: loadGeocodes() }
+      ),
+    [posts, filters, view, config.unitConversions, config.priceUnit, origin]
+  );
+  const setFilter = (patch) => setFilters({ ...filters, ...patch });
+  const filtering = Object.entries(filters).some(([k, v]) => k !== "view" && k !== "sort" && v !== LISTING_FILTERS[k]);
+
+  // Filter tercermin di URL; dibersihkan saat meninggalkan tab
+  useEffect(() => {
+    listingFiltersToUrl(filters);
+  }, [filters]);
+  useEffect(() => () => writeUrlParams(Object.fromEntries(Object.keys(LISTING_FILTERS).map((k) => [k, ""]))), []);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      window.prompt(t("buyers.copyPrompt"), window.location.href);
+    }
+  };
+
+  const updatePosts = (next) => {
+    setPosts(next);
+    savePostings(next);
+  };
+
+  const updateOffers = (next) => {
+    setOffers(next);
+    saveOffers(next);
+  };
+
+  const updateListing = (id, patch) => updatePosts(posts.map((p) => (p.id === id ? touchListing({ ...p, ...patch }) : p)));
+
+  // Arsipkan listing kedaluwarsa saat dibuka & tiap jam
+  useEffect(() => {
+    const expire = () => {
+      const next = expireListings(loadPostings());
+      if (next) updatePosts(next);
+    };
+    expire();
+    const id = setInterval(expire, 60 * 60 * 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  const runSync = async () => {
+    if (!config.LISTINGS_API_URL || !navigator.onLine) return;
+    // sedang berjalan: perubahan baru dikirim pada putaran berikutnya, tidak dibuang
+    if (syncBusy.current) {
+      syncAgain.current = true;
+      return;
+    }
+    syncBusy.current = true;
+    setSyncing(true);
+    try {
+      const before = { posts: loadPostings(), state: loadSyncState(), offers: loadOffers() };
+      const result = await syncListings(config, before.posts, before.state, before.offers);
+      // dibaca ulang: tambah/ubah/hapus selama sinkronisasi berlangsung ikut dipertahankan
+      const next = applySyncResult(before, { posts: loadPostings(), state: loadSyncState(), offers: loadOffers() }, result);
+      updatePosts(next.posts);
+      updateOffers(next.offers);
+      setSyncInfo(next.state);
+      saveSyncState(next.state);
+      setSyncError(result.errors.join("; "));
+    } catch (e) {
+      setSyncError(e.message || t("buyers.syncFailed"));
+    } finally {
+      syncBusy.current = false;
+      setSyncing(false);
+    }
+    if (syncAgain.current) {
+      syncAgain.current = false;
+      runSync();
+    }
+  };
+
+  // Listener & interval memanggil runSync terkini lewat ref (konfigurasi tidak basi)
+  const runSyncRef = useRef(runSync);
+  runSyncRef.current = runSync;
+  useEffect(() => {
+    if (!config.LISTINGS_API_URL) return;
+    const sync = () => runSyncRef.current();
+    sync();
+    window.addEventListener("online", sync);
+    const id = config.refreshMinutes > 0 ? setInterval(sync, config.refreshMinutes * 60 * 1000) : null;
+    return () => {
+      window.removeEventListener("online", sync);
+      if (id) clearInterval(id);
+    };
+  }, [config.LISTINGS_API_URL, config.LISTINGS_API_KEY, config.refreshMinutes]);
+
+  const startEdit = (p) => {
+    setEditId(p.id);
+    setForm({ ...blankListing(), ...Object.fromEntries(LISTING_FORM_KEYS.filter((k) => p[k] != null).map((k) => [k, p[k]])) });
+    setError("");
+    setNotice("");
+  };
+
+  const cancelEdit = () => {
+    setEditId(null);
+    setForm(blankListing());
+  };
+
+  // Posting selalu disimpan lokal dulu; webhook dikirim lewat log pengiriman (dengan coba ulang)
+  const submit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setNotice("");
+    if (editId) {
+      // perpanjang masa berlaku menghidupkan lagi listing yang kedaluwarsa
+      const current = posts.find((p) => p.id === editId);
+      const revived = current?.status === "kedaluwarsa" && form.expiresAt >= isoDate(new Date()) ? { status: "aktif" } : {};
+      updateListing(editId, { ...form, ...revived });
+      cancelEdit();
+      setNotice(t("buyers.saved"));
+      runSync();
+      return;
+    }
+    const ts = Date.now();
+    const payload = {
+      ...form,
+      ts,
+      updatedAt: ts,
+      id: crypto.randomUUID(),
+      status: "aktif",
+      offers: [],
+      author: { id: deviceId(), name: config.posterName.trim() || t("listings.anonymous") },
+    };
+    try {
+      setSending(true);
+      updatePosts([{ ...payload, ...(config.LISTINGS_API_URL ? { syncState: "pending" } : {}) }, ...posts]);
+      if (config.WEBHOOK_URL) {
+        onQueue(payload);
+        setNotice(t(navigator.onLine ? "buyers.sending" : "buyers.queuedOffline"));
+      }
+      setForm({ ...form, commodity: "", qty: "", price: "", notes: "", expiresAt: blankListing().expiresAt });
+      runSync();
+    } catch (e) {
+      setError(e.message || t("webhook.sendFailed"));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const del = (id) => {
+    const post = posts.find((p) => p.id === id);
+    updatePosts(posts.filter((p) => p.id !== id));
+    onDiscard(id);
+    if (editId === id) cancelEdit();
+    // listing yang sudah ada di server dihapus juga di sana (tertunda bila offline)
+    if (config.LISTINGS_API_URL && post?.syncState === "synced") {
+      const state = { ...loadSyncState(), pendingDeletes: [...loadSyncState().pendingDeletes, id] };
+      setSyncInfo(state);
+      saveSyncState(state);
+      runSync();
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <Card className="lg:col-span-1">
+        <CardHeader
+          title={editId ? t("buyers.editTitle") : t("buyers.createTitle")}
+          subtitle={editId ? t("buyers.editSubtitle") : t("buyers.createSubtitle")}
+          icon={editId ? Pencil : ShoppingCart}
+        />
+        <CardBody>
+          <form onSubmit={submit} className="space-y-3">
+            <div className="grid grid-cols-2 gap-2">
+              <button type="button" onClick={() => setForm({ ...form, type: "Jual" })} className={`rounded-xl border px-3 py-2 ${form.type === "Jual" ? "bg-emerald-600 text-white border-emerald-600" : "bg-white"}`}>{listingType("Jual")}</button>
+              <button type="button" onClick={() => setForm({ ...form, type: "Beli" })} className={`rounded-xl border px-3 py-2 ${form.type === "Beli" ? "bg-emerald-600 text-white border-emerald-600" : "bg-white"}`}>{listingType("Beli")}</button>
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("market.col.commodity")}</label>
+              <Input required value={form.commodity} onChange={(e) => setForm({ ...form, commodity: e.target.value })} />
+            </div>
+            <div className="grid grid-cols-3 gap-2">
+              <div className="col-span-2">
+                <label className="text-xs text-gray-600">{t("buyers.form.qty")}</label>
+                <Input required value={form.qty} onChange={(e) => setForm({ ...form, qty: e.target.value })} />
+              </div>
+              <div>
+                <label className="text-xs text-gray-600">{t("buyers.form.unit")}</label>
+                <Select value={form.unit} onChange={(e) => setForm({ ...form, unit: e.target.value })}>
+                  {units.map((u) => <option key={u}>{u}</option>)}
+                </Select>
+              </div>
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("buyers.form.location")}</label>
+              <Input required value={form.location} onChange={(e) => setForm({ ...form, location: e.target.value })} />
+              <Select
+                className="mt-1 text-xs"
+                value={fields.find((f) => f.latitude === form.latitude && f.longitude === form.longitude)?.id || ""}
+                onChange={(e) => {
+                  const f = fields.find((x) => x.id === e.target.value);
+                  setForm(f ? { ...form, location: form.location || f.name, latitude: f.latitude, longitude: f.longitude } : { ...form, latitude: "", longitude: "" });
+                }}
+              >
+                <option value="">{t("buyers.form.noCoords")}</option>
+                {fields.map((f) => (
+                  <option key={f.id} value={f.id}>{t("buyers.form.coordsFrom", { name: f.name })}</option>
+                ))}
+              </Select>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="text-xs text-gray-600">{t("buyers.form.price", { unit: form.unit })}</label>
+                <Input placeholder={t("buyers.form.pricePlaceholder")} value={form.price} onChange={(e) => setForm({ ...form, price: e.target.value })} />
+              </div>
+              <div>
+                <label className="text-xs text-gray-600">{t("buyers.form.contact")}</label>
+                <Input required value={form.contact} onChange={(e) => setForm({ ...form, contact: e.target.value })} />
+              </div>
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("calendar.form.notes")}</label>
+              <Input value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("buyers.form.expires")}</label>
+              <Input type="date" required min={editId ? undefined : isoDate(new Date())} value={form.expiresAt} onChange={(e) => setForm({ ...form, expiresAt: e.target.value })} />
+            </div>
+            <div className="flex items-center gap-2">
+              <Button type="submit" disabled={sending} className="bg-emerald-600 text-white border-emerald-600 hover:bg-emerald-700">
+                {sending ? t("buyers.submitting") : editId ? t("buyers.saveChanges") : t("buyers.submit")}
+              </Button>
+              {editId && <Button type="button" onClick={cancelEdit}>{t("common.cancel")}</Button>}
+            </div>
+            {error && <div className="text-sm text-red-600">{error}</div>}
+            {notice && <div className="text-sm text-amber-700">{notice}</div>}
+            {!config.WEBHOOK_URL && (
+              <div className="text-xs text-gray-500">{t("buyers.webhookTip")}</div>
+            )}
+          </form>
+        </CardBody>
+      </Card>
+
+      <Card className="lg:col-span-2">
+        <CardHeader
+          title={t("buyers.listTitle")}
+          subtitle={config.LISTINGS_API_URL ? t("buyers.listSubtitleSync") : t("buyers.listSubtitleLocal")}
+          icon={Users}
+        />
+        <CardBody>
+          {config.LISTINGS_API_URL && (
+            <div className="mb-4 flex flex-wrap items-center gap-3 text-sm">
+              <Button onClick={runSync} disabled={syncing}><RefreshCw className={`w-4 h-4 ${syncing ? "animate-spin" : ""}`}/> {t("buyers.sync")}</Button>
+              <span className="text-gray-600">
+                {syncInfo.lastSync ? t("buyers.syncedAt", { time: fmtDateTime(new Date(syncInfo.lastSync)) }) : t("buyers.neverSynced")}
+                {syncInfo.pendingDeletes.length > 0 && ` • ${t("buyers.pendingDeletes", { n: syncInfo.pendingDeletes.length })}`}
+              </span>
+              {syncError && <span className="text-red-600">{syncError}</span>}
+            </div>
+          )}
+          <div className="flex items-center gap-2 mb-3 flex-wrap">
+            {["open", "archive"].map((k) => (
+              <button key={k} onClick={() => setFilter({ view: k })} className={`px-3 py-1 rounded-full border text-sm ${view === k ? "bg-emerald-600 text-white border-emerald-600" : "bg-white"}`}>
+                {t(`buyers.view.${k}`)} ({posts.filter((p) => (k === "open") === isOpenListing(p)).length})
+              </button>
+            ))}
+            <div className="grow" />
+            <Button onClick={copyLink} className="text-xs">
+              <ExternalLink className="w-4 h-4"/> {copied ? t("buyers.linkCopied") : t("buyers.shareView")}
+            </Button>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4">
+            <Input className="col-span-2" placeholder={t("buyers.filter.q")} value={filters.q} onChange={(e) => setFilter({ q: e.target.value })} />
+            <Select value={filters.type} onChange={(e) => setFilter({ type: e.target.value })}>
+              <option value="">{t("buyers.filter.allTypes")}</option>
+              <option value="Jual">{listingType("Jual")}</option>
+              <option value="Beli">{listingType("Beli")}</option>
+            </Select>
+            <Input placeholder={t("buyers.filter.loc")} value={filters.loc} onChange={(e) => setFilter({ loc: e.target.value })} />
+            <Input inputMode="numeric" placeholder={t("buyers.filter.pmin", { unit: config.priceUnit })} value={filters.pmin} onChange={(e) => setFilter({ pmin: e.target.value })} />
+            <Input inputMode="numeric" placeholder={t("buyers.filter.pmax", { unit: config.priceUnit })} value={filters.pmax} onChange={(e) => setFilter({ pmax: e.target.value })} />
+            <Input type="date" title={t("buyers.filter.from")} value={filters.from} onChange={(e) => setFilter({ from: e.target.value })} />
+            <Input type="date" title={t("buyers.filter.to")} value={filters.to} onChange={(e) => setFilter({ to: e.target.value })} />
+            <Select className="col-span-2" value={filters.sort} onChange={(e) => setFilter({ sort: e.target.value })}>
+              {LISTING_SORTS.map((k) => (
+                <option key={k} value={k} disabled={k === "distance" && !hasCoords(origin)}>
+                  {t("buyers.sortBy", { label: t(`listings.sort.${k}`) })}{k === "distance" ? ` ${t("buyers.fromOrigin", { name: origin?.name || t("buyers.activeField") })}` : ""}
+                </option>
+              ))}
+            </Select>
+            {filtering && (
+              <Button className="col-span-2 justify-center" onClick={() => setFilters({ ...LISTING_FILTERS, view, sort: filters.sort })}>
+                {t("buyers.clearFilters", { n: shown.length })}
+              </Button>
+            )}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {shown.length === 0 && (
+              <div className="text-sm text-gray-500">
+                {filtering ? t("buyers.noMatchFilter") : view === "open" ? t("buyers.emptyOpen") : t("buyers.emptyArchive")}
+              </div>
+            )}
+            {shown.map(({ post: p, distanceKm }) => (
+              <div key={p.id} className={`rounded-2xl border p-4 bg-white ${p.id === editId ? "ring-2 ring-emerald-300" : ""}`}>
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-1 flex-wrap">
+                    <Badge className={p.type === "Jual" ? "bg-emerald-100 text-emerald-800" : "bg-amber-100 text-amber-800"}>{listingType(p.type)}</Badge>
+                    <Badge className={LISTING_STATUS[listingStatus(p)].cls}>{t(`listings.status.${listingStatus(p)}`)}</Badge>
+                    {deliveryOf[p.id] && (
+                      <Badge className={DELIVERY_STATUS[deliveryOf[p.id].status].cls}>webhook: {t(`buyers.delivery.${deliveryOf[p.id].status}`)}</Badge>
+                    )}
+                    {p.syncState === "pending" && <Badge className="bg-gray-100 text-gray-700">{t("buyers.notSynced")}</Badge>}
+                  </div>
+                  {isOwnListing(p) && (
+                    <div className="whitespace-nowrap">
+                      <button onClick={() => startEdit(p)} className="text-xs text-emerald-700 hover:underline mr-3">{t("common.edit")}</button>
+                      <button onClick={() => del(p.id)} className="text-xs text-red-600 hover:underline">{t("common.delete")}</button>
+                    </div>
+                  )}
+                </div>
+                <div className="mt-2 font-semibold">{p.commodity}</div>
+                <div className="text-sm text-gray-600">
+                  {p.qty} {p.unit} • {p.location}
+                  {distanceKm != null && <span className="text-xs text-gray-500"> • {t("buyers.distanceFrom", { km: fmt.format(Math.round(distanceKm)), name: origin.name })}</span>}
+                </div>
+                <ListingNormalized post={p} target={config.priceUnit} table={config.unitConversions} />
+                {p.price && <div className="mt-1 text-sm">{t("buyers.priceLabel")} <b>{fmtPriceRange(parsePriceRange(p.price))}/{p.unit}</b></div>}
+                {p.notes && <div className="mt-1 text-sm">{t("buyers.notesLabel", { notes: p.notes })}</div>}
+                <div className="mt-3 flex items-center gap-2 text-sm">
+                  {p.contact && (
+                    <a className="inline-flex items-center gap-1 text-emerald-700 hover:underline" href={waLink(p.contact, t("buyers.waHello"))} target="_blank" rel="noreferrer">
+                      <MessageCircle className="w-4 h-4"/> WhatsApp
+                    </a>
+                  )}
+                </div>
+                <div className="mt-2 text-xs text-gray-500">
+                  {isOwnListing(p) ? t("buyers.byYou") : t("buyers.by", { name: p.author?.name || t("listings.anonymous") })} • {fmtDateTime(new Date(p.ts))}
+                  {p.expiresAt && ` • ${t("buyers.validUntil", { date: fmtDate(p.expiresAt) })}`}
+                </div>
+                {isOwnListing(p) && (
+                  <div className="mt-2 flex flex-wrap gap-2 text-xs">
+                    {listingStatus(p) !== "terjual" && (
+                      <button onClick={() => updateListing(p.id, { status: "terjual" })} className="rounded-lg border px-2 py-1 hover:bg-gray-50">{t("buyers.markSold")}</button>
+                    )}
+                    {listingStatus(p) === "aktif" && (
+                      <button onClick={() => updateListing(p.id, { status: "negosiasi" })} className="rounded-lg border px-2 py-1 hover:bg-gray-50">{t("buyers.markNegotiating")}</button>
+                    )}
+                    {!isOpenListing(p) && (
+                      <button
+                        onClick={() => updateListing(p.id, { status: "aktif", ...(listingStatus(p) === "kedaluwarsa" ? { expiresAt: addDays(isoDate(new Date()), LISTING_TTL_DAYS) } : {}) })}
+                        className="rounded-lg border px-2 py-1 hover:bg-gray-50"
+                      >
+                        {t("buyers.reactivate")}
+                      </button>
+                    )}
+                  </div>
+                )}
+                <button onClick={() => setOpenLog(openLog === p.id ? null : p.id)} className="mt-2 text-xs text-emerald-700 hover:underline">
+                  {t("buyers.negotiation", { n: listingOffers(p, offers).length })} {openLog === p.id ? "▲" : "▼"}
+                </button>
+                {openLog === p.id && (
+                  <NegotiationLog
+                    post={p}
+                    offers={listingOffers(p, offers)}
+                    posterName={config.posterName}
+                    onAdd={(offer) => {
+                      if (isOwnListing(p)) {
+                        updateListing(p.id, {
+                          offers: [...(p.offers || []), offer],
+                          // tawaran pertama memindahkan listing aktif ke negosiasi
+                          ...(listingStatus(p) === "aktif" ? { status: "negosiasi" } : {}),
+                        });
+                      } else {
+                        // listing pengguna lain tidak diubah: tawaran dicatat & dikirim terpisah
+                        updateOffers([...offers, { listingId: p.id, offer, sent: false }]);
+                        runSync();
+                      }
+                    }}
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        </CardBody>
+      </Card>
+
+      <Card className="lg:col-span-3">
+        <CardHeader title={t("buyers.matchesTitle")} subtitle={t("buyers.matchesSubtitle")} icon={ShoppingCart} />
+        <CardBody>
+          {matches.length === 0 ? (
+            <div className="text-sm text-gray-500">{t("buyers.noMatches")}</div>
+          ) : (
+            <div className="space-y-3">
+              {matches.slice(0, 10).map((m) => (
+                <div key={`${m.mine.id}|${m.other.id}`} className="rounded-2xl border p-3 flex flex-col md:flex-row md:items-center gap-3">
+                  <div className="text-2xl font-bold text-emerald-700 w-16 shrink-0">{Math.round(m.score * 100)}%</div>
+                  <div className="grow text-sm">
+                    <div><span className="text-gray-500">{t("buyers.you")}:</span> {describeListing(m.mine)}</div>
+                    <div><span className="text-gray-500">{m.other.author?.name || t("buyers.partner")}:</span> {describeListing(m.other)}</div>
+                    <div className="mt-1 flex flex-wrap gap-1 text-xs">
+                      <Badge className="bg-gray-100 text-gray-700">{t("buyers.part.commodity", { pct: Math.round(m.parts.commodity * 100) })}</Badge>
+                      <Badge className="bg-gray-100 text-gray-700">{t("buyers.part.qty", { pct: Math.round(m.parts.qty * 100) })}</Badge>
+                      <Badge className="bg-gray-100 text-gray-700">{t("buyers.part.price", { pct: Math.round(m.parts.price * 100) })}</Badge>
+                      <Badge className="bg-gray-100 text-gray-700">
+                        {m.distanceKm != null ? t("buyers.part.distance", { km: fmt.format(Math.round(m.distanceKm)) }) : t("buyers.part.location", { pct: Math.round(m.parts.distance * 100) })}
+                      </Badge>
+                    </div>
+                  </div>
+                  {m.other.contact && (
+                    <a className="inline-flex items-center gap-1 rounded-xl border px-3 py-2 text-sm text-emerald-700 hover:bg-emerald-50 shrink-0" href={waLink(m.other.contact, matchMessage(m))} target="_blank" rel="noreferrer">
+                      <MessageCircle className="w-4 h-4"/> {t("buyers.contactWa")}
+                    </a>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </CardBody>
+      </Card>
+
+      {deliveries.length > 0 && (
+        <Card className="lg:col-span-3">
+          <CardHeader
+            title={t("buyers.outboxTitle")}
+            subtitle={`${t("buyers.outboxSubtitle", { n: WEBHOOK_MAX_ATTEMPTS })}${config.WEBHOOK_SECRET ? ` • ${t("buyers.outboxSigned")}` : ""}`}
+            icon={ExternalLink}
+          />
+          <CardBody>
+            <div className="flex items-center gap-2 mb-3 flex-wrap">
+              {["all", ...Object.keys(DELIVERY_STATUS)].map((k) => (
+                <button key={k} onClick={() => setDeliveryFilter(k)} className={`px-3 py-1 rounded-full border text-sm ${deliveryFilter === k ? "bg-emerald-600 text-white border-emerald-600" : "bg-white"}`}>
+                  {t(`buyers.delivery.${k}`)} ({k === "all" ? deliveries.length : deliveries.filter((d) => d.status === k).length})
+                </button>
+              ))}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left text-gray-600">
+                  <tr>
+                    <th className="py-2 pr-4">{t("buyers.col.posting")}</th>
+                    <th className="py-2 pr-4">{t("buyers.col.status")}</th>
+                    <th className="py-2 pr-4">{t("buyers.col.attempts")}</th>
+                    <th className="py-2 pr-4">{t("buyers.col.response")}</th>
+                    <th className="py-2 pr-4">{t("market.col.time")}</th>
+                    <th className="py-2 pr-4"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {deliveries
+                    .filter((d) => deliveryFilter === "all" || d.status === deliveryFilter)
+                    .map((d) => (
+                      <tr key={d.id} className="border-t align-top">
+                        <td className="py-2 pr-4"><b>{listingType(d.payload.type)}</b> {d.payload.commodity} • {d.payload.qty} {d.payload.unit}</td>
+                        <td className="py-2 pr-4"><Badge className={DELIVERY_STATUS[d.status].cls}>{t(`buyers.delivery.${d.status}`)}</Badge></td>
+                        <td className="py-2 pr-4">{d.attempts}</td>
+                        <td className="py-2 pr-4">
+                          <div className="flex flex-wrap gap-1">
+                            {d.responses.map((r) => (
+                              <span key={r.ts} title={`${fmtDateTime(new Date(r.ts))}${r.error ? ` • ${r.error}` : ""}`} className={`px-1.5 rounded text-xs ${r.ok ? "bg-emerald-50 text-emerald-700" : "bg-red-50 text-red-700"}`}>
+                                {r.code || t("buyers.network")}
+                              </span>
+                            ))}
+                            {d.responses.length === 0 && <span className="text-xs text-gray-500">-</span>}
+                          </div>
+                          {d.lastError && <div className="text-xs text-red-600 mt-1">{d.lastError}</div>}
+                        </td>
+                        <td className="py-2 pr-4 text-xs text-gray-600">
+                          {d.status === "sent" && t("buyers.sentAt", { time: fmtDateTime(new Date(d.sentAt)) })}
+                          {d.status === "pending" && (d.attempts ? t("buyers.retryAt", { time: fmtDateTime(new Date(d.nextAt)) }) : t("buyers.queued"))}
+                          {d.status === "failed" && t("buyers.createdAt", { time: fmtDateTime(new Date(d.createdAt)) })}
+                        </td>
+                        <td className="py-2 pr-4">
+                          <button onClick={() => onResend(d.id)} disabled={!config.WEBHOOK_URL} className="text-xs text-emerald-700 hover:underline disabled:text-gray-400">
+                            {t("buyers.resend")}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+            </div>
+          </CardBody>
+        </Card>
+      )}
+    </div>
+  );
+}
+
+// Riwayat tawaran & tawaran balik per listing
+function NegotiationLog({ post, offers, posterName, onAdd }) {
+  const mine = isOwnListing(post);
+  const [draft, setDraft] = useState({ kind: mine ? "balik" : "tawaran", price: "", note: "" });
+  const submit = (e) => {
+    e.preventDefault();
+    const price = parsePrice(draft.price);
+    if (!Number.isFinite(price) || price <= 0) return;
+    onAdd({ id: crypto.randomUUID(), ts: Date.now(), kind: draft.kind, price, note: draft.note.trim(), by: { id: deviceId(), name: posterName.trim() || t("listings.anonymous") } });
+    setDraft({ ...draft, price: "", note: "" });
+  };
+  return (
+    <div className="mt-2 rounded-xl bg-gray-50 p-3 text-sm">
+      {offers.length === 0 && <div className="text-xs text-gray-500">{t("buyers.noOffers")}</div>}
+      <ul className="space-y-1">
+        {offers.map((o) => (
+          <li key={o.id} className="flex flex-wrap items-baseline gap-x-2">
+            <span className={`text-xs font-medium ${o.kind === "balik" ? "text-sky-700" : "text-amber-700"}`}>{t(`buyers.offer.${o.kind}`)}</span>
+            <b>{fmtRp(o.price)}/{post.unit}</b>
+            <span className="text-xs text-gray-500">{o.by?.id === deviceId() ? t("buyers.you") : o.by?.name || t("listings.anonymous")} • {fmtDateTime(new Date(o.ts))}</span>
+            {o.note && <span className="text-xs w-full text-gray-700">{o.note}</span>}
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={submit} className="mt-2 grid grid-cols-6 gap-2">
+        <Select className="col-span-2 text-xs" value={draft.kind} onChange={(e) => setDraft({ ...draft, kind: e.target.value })}>
+          <option value="tawaran">{t("buyers.offer.tawaran")}</option>
+          <option value="balik">{t("buyers.offer.balik")}</option>
+        </Select>
+        <Input className="col-span-2 text-xs" required placeholder={`Rp/${post.unit}`} value={draft.price} onChange={(e) => setDraft({ ...draft, price: e.target.value })} />
+        <Button type="submit" className="col-span-2 text-xs justify-center">{t("buyers.record")}</Button>
+        <Input className="col-span-6 text-xs" placeholder={t("buyers.noteOptional")} value={draft.note} onChange={(e) => setDraft({ ...draft, note: e.target.value })} />
+      </form>
+    </div>
+  );
+}
+
+// Kuantitas & harga listing dalam satuan tampilan (satuan asli tetap ditampilkan di atasnya)
+function ListingNormalized({ post, target, table }) {
+  const parsed = parseQuantity(post.qty);
+  const unit = parsed.unit && unitFactor(post.commodity, parsed.unit, table) ? parsed.unit : post.unit;
+  if (normalizeUnit(unit) === target && normalizeUnit(post.unit) === target) return null;
+  const qty = Number.isFinite(parsed.qty) ? convertQty(parsed.qty, post.commodity, unit, target, table) : null;
+  const range = parsePriceRange(post.price);
+  const price = range ? convertPrice(range.min, post.commodity, post.unit, target, table) : null;
+  if (qty == null && price == null) {
+    return <div className="text-xs text-amber-700">{t("buyers.unitMissing", { unit: post.unit, commodity: post.commodity })}</div>;
+  }
+  return (
+    <div className="text-xs text-gray-500">
+      ≈ {qty != null && <>{fmt.format(Math.round(qty * 100) / 100)} {target}</>}
+      {qty != null && price != null && " • "}
+      {price != null && <>{fmtRp(price)}/{target}</>}
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+import { useState } from "react";
+import {
+  Plus,
+  Download,
+  CalendarDays,
+  Bell,
+  ChevronLeft,
+  ChevronRight,
+} from "lucide-react";
+import { Badge, Button, Card, CardBody, CardHeader, Input, Select } from "./ui.jsx";
+import { ALL_DAY_REMINDER_TIME, buildIcs, eventsOn } from "../lib/calendar.js";
+import { downloadFile, fmtDate, isoDate } from "../lib/format.js";
+import { addDays } from "../lib/guides.js";
+import { dateFormat, t } from "../lib/i18n.js";
+
+// ===================== Kalender Kegiatan =====================
+// Nama hari Senin–Minggu sesuai bahasa aktif (1 Jan 2024 = Senin)
+const weekdays = () => Array.from({ length: 7 }, (_, i) => dateFormat({ weekday: "short" }).format(new Date(2024, 0, 1 + i)));
+const EVENT_STYLE = {
+  stage: "bg-sky-100 text-sky-800",
+  task: "bg-emerald-100 text-emerald-800",
+  manual: "bg-amber-100 text-amber-800",
+};
+// Menit sebelum kegiatan; label di katalog `calendar.remind.<menit>`
+const REMIND_OPTIONS = [0, 15, 60, 1440];
+
+// Senin pertama pada/sebelum `iso`
+const weekStart = (iso) => addDays(iso, -((new Date(`${iso}T00:00`).getDay() + 6) % 7));
+
+export function CalendarPanel({ events, fields, activities, done, remindersEnabled, onSaveActivities, onToggleDone, onToggleReminders }) {
+  const today = isoDate(new Date());
+  const [view, setView] = useState("month");
+  const [cursor, setCursor] = useState(today);
+  const [selected, setSelected] = useState(today);
+  const [form, setForm] = useState({ title: "", date: today, time: "", fieldId: "", remindMinutes: 0, notes: "" });
+
+  const days =
+    view === "month"
+      ? Array.from({ length: 42 }, (_, i) => addDays(weekStart(`${cursor.slice(0, 7)}-01`), i))
+      : Array.from({ length: 7 }, (_, i) => addDays(weekStart(cursor), i));
+
+  const move = (delta) => {
+    if (view === "week") return setCursor(addDays(cursor, delta * 7));
+    const d = new Date(`${cursor.slice(0, 7)}-01T00:00`);
+    d.setMonth(d.getMonth() + delta);
+    setCursor(isoDate(d));
+  };
+
+  const title =
+    view === "month"
+      ? dateFormat({ month: "long", year: "numeric" }).format(new Date(`${cursor}T00:00`))
+      : `${fmtDate(days[0])} – ${fmtDate(days[6])}`;
+
+  const add = (e) => {
+    e.preventDefault();
+    onSaveActivities([...activities, { ...form, id: crypto.randomUUID(), title: form.title.trim(), remindMinutes: Number(form.remindMinutes) }]);
+    setSelected(form.date);
+    setForm({ ...form, title: "", time: "", notes: "" });
+  };
+
+  const selectedEvents = eventsOn(events, selected);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <Card className="lg:col-span-2">
+        <CardHeader title={t("calendar.title")} subtitle={t("calendar.subtitle")} icon={CalendarDays} />
+        <CardBody>
+          <div className="flex flex-wrap items-center gap-2">
+            <button onClick={() => setView("month")} className={`px-3 py-1 rounded-full border ${view === "month" ? "bg-emerald-600 text-white border-emerald-600" : "bg-white"}`}>{t("calendar.month")}</button>
+            <button onClick={() => setView("week")} className={`px-3 py-1 rounded-full border ${view === "week" ? "bg-emerald-600 text-white border-emerald-600" : "bg-white"}`}>{t("calendar.week")}</button>
+            <div className="flex items-center gap-1 ml-2">
+              <Button className="px-2" onClick={() => move(-1)} title={t("common.previous")}><ChevronLeft className="w-4 h-4"/></Button>
+              <Button onClick={() => { setCursor(today); setSelected(today); }}>{t("calendar.today")}</Button>
+              <Button className="px-2" onClick={() => move(1)} title={t("common.next")}><ChevronRight className="w-4 h-4"/></Button>
+            </div>
+            <div className="font-semibold capitalize ml-2">{title}</div>
+            <div className="grow" />
+            <Button onClick={() => downloadFile("agrihub-kalender.ics", buildIcs(events.filter((e) => !done[e.id])), "text/calendar")}>
+              <Download className="w-4 h-4"/> {t("calendar.exportIcs")}
+            </Button>
+          </div>
+
+          <div className="mt-4 grid grid-cols-7 gap-1 text-xs">
+            {weekdays().map((d) => (
+              <div key={d} className="text-center text-gray-500 py-1">{d}</div>
+            ))}
+            {days.map((iso) => {
+              const list = eventsOn(events, iso);
+              const outside = view === "month" && iso.slice(0, 7) !== cursor.slice(0, 7);
+              return (
+                <button
+                  key={iso}
+                  onClick={() => setSelected(iso)}
+                  className={`text-left rounded-xl border p-1 align-top ${view === "month" ? "min-h-[5rem]" : "min-h-[14rem]"} ${
+                    iso === selected ? "border-emerald-500 ring-1 ring-emerald-300" : "border-gray-200"
+                  } ${outside ? "bg-gray-50 text-gray-400" : "bg-white"}`}
+                >
+                  <div className={`font-medium ${iso === today ? "text-emerald-700" : ""}`}>{Number(iso.slice(8))}</div>
+                  <div className="space-y-0.5">
+                    {list.slice(0, view === "month" ? 3 : 12).map((e) => (
+                      <div key={e.id} className={`truncate rounded px-1 ${EVENT_STYLE[e.kind]} ${done[e.id] ? "line-through opacity-60" : ""}`}>
+                        {e.time && `${e.time} `}{e.title}
+                      </div>
+                    ))}
+                    {view === "month" && list.length > 3 && <div className="text-gray-500">{t("calendar.more", { n: list.length - 3 })}</div>}
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+          <div className="mt-3 flex flex-wrap gap-2 text-xs">
+            <Badge className={EVENT_STYLE.stage}>{t("calendar.kind.stage")}</Badge>
+            <Badge className={EVENT_STYLE.task}>{t("calendar.kind.task")}</Badge>
+            <Badge className={EVENT_STYLE.manual}>{t("calendar.kind.manual")}</Badge>
+          </div>
+        </CardBody>
+      </Card>
+
+      <div className="space-y-6">
+        <Card>
+          <CardHeader title={fmtDate(selected)} subtitle={t("calendar.count", { n: selectedEvents.length })} icon={CalendarDays} />
+          <CardBody>
+            {selectedEvents.length === 0 && <div className="text-sm text-gray-500">{t("calendar.none")}</div>}
+            <ul className="space-y-3 text-sm">
+              {selectedEvents.map((e) => (
+                <li key={e.id} className="flex items-start gap-2">
+                  <input type="checkbox" className="mt-1" checked={Boolean(done[e.id])} onChange={() => onToggleDone(e.id)} />
+                  <div className="grow">
+                    <div className={done[e.id] ? "line-through text-gray-500" : "font-medium"}>
+                      {e.time && `${e.time} • `}{e.title}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {[e.fieldName, e.endDate && e.endDate !== e.date && `${fmtDate(e.date)} – ${fmtDate(e.endDate)}`].filter(Boolean).join(" • ")}
+                    </div>
+                    {e.notes && <div className="text-xs text-gray-600">{e.notes}</div>}
+                  </div>
+                  {e.kind === "manual" && (
+                    <button onClick={() => onSaveActivities(activities.filter((a) => a.id !== e.id))} className="text-xs text-red-600 hover:underline">{t("common.delete")}</button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </CardBody>
+        </Card>
+
+        <Card>
+          <CardHeader title={t("calendar.addTitle")} subtitle={t("calendar.addSubtitle")} icon={Plus} />
+          <CardBody>
+            <form onSubmit={add} className="space-y-3">
+              <div>
+                <label className="text-xs text-gray-600">{t("calendar.form.title")}</label>
+                <Input required value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} />
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="text-xs text-gray-600">{t("calendar.form.date")}</label>
+                  <Input required type="date" value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} />
+                </div>
+                <div>
+                  <label className="text-xs text-gray-600">{t("calendar.form.time")}</label>
+                  <Input type="time" value={form.time} onChange={(e) => setForm({ ...form, time: e.target.value })} />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="text-xs text-gray-600">{t("calendar.form.field")}</label>
+                  <Select value={form.fieldId} onChange={(e) => setForm({ ...form, fieldId: e.target.value })}>
+                    <option value="">—</option>
+                    {fields.map((f) => <option key={f.id} value={f.id}>{f.name}</option>)}
+                  </Select>
+                </div>
+                <div>
+                  <label className="text-xs text-gray-600">{t("calendar.form.remind")}</label>
+                  <Select value={form.remindMinutes} onChange={(e) => setForm({ ...form, remindMinutes: e.target.value })}>
+                    {REMIND_OPTIONS.map((v) => <option key={v} value={v}>{t(`calendar.remind.${v}`)}</option>)}
+                  </Select>
+                </div>
+              </div>
+              <div>
+                <label className="text-xs text-gray-600">{t("calendar.form.notes")}</label>
+                <Input value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
+              </div>
+              <Button type="submit" className="bg-emerald-600 text-white border-emerald-600 hover:bg-emerald-700"><Plus className="w-4 h-4"/> {t("common.add")}</Button>
+            </form>
+          </CardBody>
+        </Card>
+
+        <Card>
+          <CardHeader title={t("calendar.remindersTitle")} subtitle={t("calendar.remindersSubtitle")} icon={Bell} />
+          <CardBody>
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={remindersEnabled} onChange={(e) => onToggleReminders(e.target.checked)} />
+              {t("calendar.enableReminders")}
+            </label>
+            <div className="mt-2 text-xs text-gray-500">
+              {t("calendar.remindersHelp", { time: ALL_DAY_REMINDER_TIME })}
+            </div>
+            {remindersEnabled && typeof Notification !== "undefined" && Notification.permission === "denied" && (
+              <div className="mt-2 text-xs text-red-600">{t("common.notificationsDenied")}</div>
+            )}
+          </CardBody>
+        </Card>
+      </div>
+    </div>
+  );
+}
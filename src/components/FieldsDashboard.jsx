@@ -0,0 +1,116 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { MapPin, RefreshCw, Pencil } from "lucide-react";
+import { Button, Card, CardBody, CardHeader, StaleBanner } from "./ui.jsx";
+import { fmt, fmtDateTime, fmtFixed } from "../lib/format.js";
+import { guideFor } from "../lib/guides.js";
+import { getLocale, t } from "../lib/i18n.js";
+import { withOfflineCache } from "../lib/offline.js";
+import { assessRisk, buildIndicators, currentHourIndex } from "../lib/risk.js";
+import { fetchWeatherBatch, pastDaysFor } from "../lib/weather.js";
+import { RiskBar } from "./WeatherAndPest.jsx";
+
+// ===================== Dasbor Lahan =====================
+export function FieldsDashboard({ fields, config, rules, activeId, onOpen, onManage }) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [results, setResults] = useState({ key: "", list: [] });
+  const [lastFetch, setLastFetch] = useState(null);
+  const [asOf, setAsOf] = useState(null);
+
+  // kunci lokasi: ambil ulang hanya bila koordinat/tanggal tanam berubah
+  const locKey = fields.map((f) => `${f.latitude},${f.longitude},${f.plantingDate}`).join(";");
+
+  const refresh = async () => {
+    try {
+      setError("");
+      setLoading(true);
+      const past = Math.max(...fields.map((f) => pastDaysFor(f.plantingDate)));
+      const { data, asOf: cachedAt } = await withOfflineCache(`dashboard:${locKey}`, () => fetchWeatherBatch(fields, 1, past));
+      setResults({ key: locKey, list: data });
+      setAsOf(cachedAt);
+      if (!cachedAt) setLastFetch(new Date());
+    } catch (e) {
+      setError(e.message || t("common.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // interval memanggil refresh terkini lewat ref; jadwal dibuat ulang hanya bila lokasi/interval berubah
+  const refreshRef = useRef(refresh);
+  refreshRef.current = refresh;
+  useEffect(() => {
+    const run = () => refreshRef.current();
+    run();
+    if (config.refreshMinutes > 0) {
+      const id = setInterval(run, config.refreshMinutes * 60 * 1000);
+      return () => clearInterval(id);
+    }
+  }, [locKey, config.refreshMinutes]);
+
+  // teks risiko diterjemahkan saat dihitung → hitung ulang bila bahasa berganti
+  const locale = getLocale();
+  const cards = useMemo(
+    () =>
+      fields.map((f, i) => {
+        // abaikan hasil lama bila daftar lahan berubah sejak pengambilan terakhir
+        const data = results.key === locKey ? results.list[i] : null;
+        if (!data?.current) return { field: f };
+        const indicators = buildIndicators(data.hourly, { crop: f.crop, plantingDate: f.plantingDate });
+        const idx = currentHourIndex(data.hourly, data.current.time);
+        const temp = data.current.temperature_2m;
+        const h = data.current.relative_humidity_2m;
+        const p = data.current.precipitation ?? 0;
+        const ind = indicators[idx] ? { ...indicators[idx], t: temp, rh: h, p } : null;
+        return { field: f, temp, h, p, risk: assessRisk(f.crop, ind, rules) };
+      }),
+    [fields, results, locKey, rules, locale]
+  );
+
+  const totalHa = fields.reduce((acc, f) => acc + (Number(f.areaHa) || 0), 0);
+
+  return (
+    <div className="space-y-4">
+      <StaleBanner asOf={asOf} />
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="text-sm text-gray-600">
+          {t("fields.summary", { n: fields.length, area: fmt.format(totalHa) })}
+          {lastFetch && ` • ${t("common.updated", { time: fmtDateTime(lastFetch) })}`}
+        </div>
+        <Button onClick={refresh} className="bg-emerald-50 hover:bg-emerald-100"><RefreshCw className="w-4 h-4"/> {t("common.refresh")}</Button>
+        <Button onClick={onManage}><Pencil className="w-4 h-4"/> {t("fields.manage")}</Button>
+        {loading && <span className="text-sm text-gray-500">{t("common.loading")}</span>}
+        {error && <span className="text-sm text-red-600">{error}</span>}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+        {cards.map(({ field: f, temp, h, p, risk }) => (
+          <div key={f.id} role="button" tabIndex={0} onClick={() => onOpen(f.id)} onKeyDown={(e) => e.key === "Enter" && onOpen(f.id)} className="cursor-pointer">
+            <Card className={`h-full hover:border-emerald-400 ${f.id === activeId ? "border-emerald-500 ring-1 ring-emerald-300" : ""}`}>
+              <CardHeader title={f.name} subtitle={`${guideFor(f.crop)?.name || f.crop} • ${fmt.format(Number(f.areaHa) || 0)} ha`} icon={MapPin} />
+              <CardBody>
+                {risk ? (
+                  <div>
+                    <div className="grid grid-cols-3 gap-2 text-sm">
+                      <div><div className="text-xs text-gray-500">{t("weather.temp")}</div><b>{fmtFixed(temp, 1)} °C</b></div>
+                      <div><div className="text-xs text-gray-500">{t("weather.rh")}</div><b>{h.toFixed(0)} %</b></div>
+                      <div><div className="text-xs text-gray-500">{t("weather.rain")}</div><b>{fmtFixed(p, 1)} mm</b></div>
+                    </div>
+                    <div className="mt-3"><RiskBar level={risk.level} /></div>
+                    <div className="mt-1 text-sm">{t("fields.highest")} <b>{risk.headline}</b></div>
+                  </div>
+                ) : (
+                  <div className="text-sm text-gray-500">{loading ? t("common.loadingData") : t("common.noData")}</div>
+                )}
+                <div className="mt-2 text-xs text-gray-500">
+                  {Number(f.latitude).toFixed(3)}, {Number(f.longitude).toFixed(3)}
+                  {f.plantingDate && ` • ${t("fields.planted", { date: f.plantingDate })}`}
+                </div>
+              </CardBody>
+            </Card>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import { useState } from "react";
+import { Leaf, AlertTriangle, BookOpen } from "lucide-react";
+import { Badge, Card, CardBody, CardHeader, Input, SectionTitle } from "./ui.jsx";
+import { daysBetween, fmtDate, isoDate } from "../lib/format.js";
+import { GUIDES, fmtHst, guideFor, relativeWhen, stageAt, upcomingTasks } from "../lib/guides.js";
+import { t } from "../lib/i18n.js";
+import { plantingFor } from "../lib/storage.js";
+
+// ===================== Panduan Budidaya =====================
+export function Guides({ config, fields, onSetPlanting }) {
+  const keys = Object.keys(GUIDES);
+  const [active, setActive] = useState(GUIDES[config.crop] ? config.crop : keys[0]);
+  const g = guideFor(active);
+
+  const planting = plantingFor(active, fields, config);
+  const today = isoDate(new Date());
+  const hst = planting.date ? daysBetween(planting.date, today) : null;
+  const current = stageAt(active, hst, g);
+  const tasks = upcomingTasks(active, planting.date, today);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="lg:col-span-1 space-y-6">
+        <Card>
+          <CardHeader title={t("guides.crops")} subtitle={t("guides.cropsSubtitle")} icon={BookOpen} />
+          <CardBody>
+            <div className="grid grid-cols-2 md:grid-cols-1 gap-2">
+              {keys.map((k) => (
+                <button
+                  key={k}
+                  onClick={() => setActive(k)}
+                  className={`text-left rounded-xl border px-3 py-2 ${k === active ? "bg-emerald-600 text-white border-emerald-600" : "bg-white hover:bg-gray-50"}`}
+                >
+                  {guideFor(k).name}
+                </button>
+              ))}
+            </div>
+          </CardBody>
+        </Card>
+
+        <Card>
+          <CardHeader title={t("guides.plantingDate")} subtitle={planting.field ? t("guides.fromField", { name: planting.field.name }) : t("guides.forCrop")} icon={Leaf} />
+          <CardBody>
+            <Input type="date" value={planting.date} onChange={(e) => onSetPlanting(active, e.target.value)} />
+            <div className="mt-2 text-sm">
+              {hst == null ? (
+                <span className="text-gray-500">{t("guides.plantingHint")}</span>
+              ) : (
+                <>
+                  <b>{fmtHst(hst)}</b>
+                  {current ? <> — {t("guides.stage")} <b>{current.title}</b></> : hst > g.stages[g.stages.length - 1].to && ` — ${t("guides.cycleDone")}`}
+                </>
+              )}
+            </div>
+          </CardBody>
+        </Card>
+
+        {planting.date && (
+          <Card>
+            <CardHeader title={t("guides.upcoming")} subtitle={t("guides.upcomingSubtitle")} icon={AlertTriangle} />
+            <CardBody>
+              {tasks.length === 0 && <div className="text-sm text-gray-500">{t("guides.noTasks")}</div>}
+              <ul className="space-y-2 text-sm">
+                {tasks.map((task) => (
+                  <li key={task.title} className="flex items-start gap-2">
+                    <span className={`mt-1.5 w-1.5 h-1.5 rounded-full ${task.ongoing ? "bg-emerald-600" : "bg-amber-500"}`} />
+                    <div>
+                      <b>{task.title}</b> — {task.ongoing ? t("guides.ongoing") : t("guides.due", { when: relativeWhen(task.daysUntil) })}
+                      <div className="text-xs text-gray-500">
+                        {fmtDate(task.start)}{task.end !== task.start && ` – ${fmtDate(task.end)}`}
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </CardBody>
+          </Card>
+        )}
+      </div>
+
+      <Card className="lg:col-span-2">
+        <CardHeader title={g.name} subtitle={t("guides.summary")} icon={Leaf} />
+        <CardBody>
+          <div className="space-y-5">
+            {g.stages.map((s, i) => {
+              const isCurrent = current?.title === s.title;
+              return (
+                <div key={i} className={isCurrent ? "rounded-2xl border border-emerald-400 bg-emerald-50 p-4 -mx-1" : ""}>
+                  <SectionTitle
+                    title={s.title}
+                    right={
+                      <div className="flex items-center gap-2">
+                        {isCurrent && <Badge className="bg-emerald-600 text-white">{t("guides.currentStage")}</Badge>}
+                        <span className="text-xs text-gray-500">{s.from < 0 ? t("guides.daysBeforeRange", { from: -s.from, to: -s.to }) : t("guide.hstRange", { from: s.from, to: s.to })}</span>
+                      </div>
+                    }
+                  />
+                  <ul className="list-disc pl-5 text-sm space-y-1">
+                    {s.steps.map((st, j) => (
+                      <li key={j}>{st}</li>
+                    ))}
+                  </ul>
+                </div>
+              );
+            })}
+          </div>
+        </CardBody>
+      </Card>
+    </div>
+  );
+}
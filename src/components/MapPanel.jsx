@@ -0,0 +1,448 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import L from "leaflet";
+import "leaflet/dist/leaflet.css";
+import {
+  Users,
+  MapPin,
+  MessageCircle,
+  Download,
+  Map as MapIcon,
+  Search,
+  LocateFixed,
+} from "lucide-react";
+import { Badge, Button, Card, CardBody, CardHeader, Input } from "./ui.jsx";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { fmt, fmtRp } from "../lib/format.js";
+import {
+  currentPosition,
+  geocodeMissing,
+  hasCoords,
+  haversineKm,
+  listingCoords,
+  loadGeocodes,
+  marketLocations,
+  needsGeocode,
+  placeKey,
+  searchPlaces,
+  tileUrls,
+} from "../lib/geo.js";
+import { guideFor } from "../lib/guides.js";
+import { getLocale, t } from "../lib/i18n.js";
+import {
+  LISTING_STATUS,
+  describeListing,
+  fmtPriceRange,
+  isOpenListing,
+  listingStatus,
+  listingType,
+  parsePriceRange,
+  waLink,
+} from "../lib/listings.js";
+import { MOCK_MARKET, enabledMarketSources, marketCacheKey } from "../lib/market.js";
+import { loadCached, useOnline } from "../lib/offline.js";
+import { loadPostings } from "../lib/storage.js";
+
+// ===================== Peta =====================
+export const mapTiles = (config) => ({ url: config.MAP_TILE_URL || DEFAULT_CONFIG.MAP_TILE_URL, attribution: config.MAP_ATTRIBUTION || "" });
+
+/**
+ * Peta Leaflet tipis yang dipakai ulang di beberapa tab.
+ * markers: [{ id, latitude, longitude, color, radius, label, onClick }], lines: [[[lat, lon], [lat, lon]]].
+ * `onPick(lat, lon)` dipanggil saat area kosong diklik; setiap `fitKey` berubah peta menyesuaikan ke semua penanda.
+ */
+export function MapView({ tiles, center, zoom = 10, markers = [], lines = [], onPick, fitKey, offline = false, className = "h-72" }) {
+  const el = useRef(null);
+  const map = useRef(null);
+  const layer = useRef(null);
+  const pick = useRef(onPick);
+  pick.current = onPick;
+  const latestMarkers = useRef(markers);
+  latestMarkers.current = markers;
+  // posisi awal saja; perubahan `center` berikutnya lewat efek panTo
+  const initialView = useRef({ center, zoom });
+  const [saving, setSaving] = useState(null); // { done, total, busy }
+
+  useEffect(() => {
+    const { center: c, zoom: z } = initialView.current;
+    const start = hasCoords(c) ? c : DEFAULT_CONFIG;
+    const m = L.map(el.current, { center: [start.latitude, start.longitude], zoom: z });
+    layer.current = L.layerGroup().addTo(m);
+    m.on("click", (e) => pick.current?.(e.latlng.lat, e.latlng.lng));
+    map.current = m;
+    return () => m.remove();
+  }, []);
+
+  useEffect(() => {
+    const t = L.tileLayer(tiles.url, { attribution: tiles.attribution, maxZoom: 19, crossOrigin: true }).addTo(map.current);
+    return () => t.remove();
+  }, [tiles.url, tiles.attribution]);
+
+  useEffect(() => {
+    if (Number.isFinite(center.latitude) && Number.isFinite(center.longitude)) map.current.panTo([center.latitude, center.longitude]);
+  }, [center.latitude, center.longitude]);
+
+  useEffect(() => {
+    layer.current.clearLayers();
+    for (const line of lines) L.polyline(line, { color: "#6b7280", weight: 2, dashArray: "4 6" }).addTo(layer.current);
+    for (const mk of markers) {
+      if (!hasCoords(mk)) continue;
+      const dot = L.circleMarker([mk.latitude, mk.longitude], { radius: mk.radius || 7, color: "#fff", weight: 2, fillColor: mk.color || "#059669", fillOpacity: 0.9 });
+      if (mk.label) {
+        // teks listing berasal dari pengguna lain: jangan disisipkan sebagai HTML
+        const tip = document.createElement("span");
+        tip.textContent = mk.label;
+        dot.bindTooltip(tip);
+      }
+      if (mk.onClick) {
+        dot.on("click", (e) => {
+          L.DomEvent.stopPropagation(e);
+          mk.onClick();
+        });
+      }
+      dot.addTo(layer.current);
+    }
+  }, [markers, lines]);
+
+  // hanya saat `fitKey` berubah, dengan penanda terkini (bukan tiap kali penanda berubah)
+  useEffect(() => {
+    const all = latestMarkers.current;
+    if (fitKey == null || all.length < 2) return;
+    map.current.fitBounds(all.map((m) => [m.latitude, m.longitude]), { padding: [24, 24], maxZoom: 12 });
+  }, [fitKey]);
+
+  // Ambil ubin area terlihat (zoom sekarang s.d. +2) agar dicache service worker
+  const saveOffline = async () => {
+    const m = map.current;
+    const b = m.getBounds();
+    const z = m.getZoom();
+    const urls = tileUrls(tiles.url, { north: b.getNorth(), south: b.getSouth(), west: b.getWest(), east: b.getEast() }, [z, z + 1, z + 2].filter((x) => x <= 18));
+    let saved = 0;
+    setSaving({ done: 0, total: urls.length, saved, busy: true });
+    for (const [i, url] of urls.entries()) {
+      try {
+        if ((await fetch(url)).ok) saved += 1;
+      } catch {
+        // ubin yang gagal (atau server tanpa CORS) dilewati
+      }
+      setSaving({ done: i + 1, total: urls.length, saved, busy: true });
+    }
+    setSaving({ done: urls.length, total: urls.length, saved, busy: false });
+  };
+
+  return (
+    <div className="relative z-0">
+      <div ref={el} className={`w-full rounded-xl border ${className}`} />
+      {offline && (
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+          <Button className="text-xs py-1" onClick={saveOffline} disabled={saving?.busy}>
+            <Download className="w-4 h-4"/> {t("map.saveOffline")}
+          </Button>
+          {saving && <span>{saving.busy ? t("map.downloadingTiles", { done: saving.done, total: saving.total }) : t("map.tilesSaved", { n: saving.saved })}</span>}
+          {!navigator.serviceWorker?.controller && <span>{t("map.tileCacheHint")}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Cari desa/kecamatan/kabupaten atau pakai GPS → onPick({ latitude, longitude, label, name }).
+// Tanpa <form> agar aman diletakkan di dalam form lain (Enter ditangani sendiri).
+export function PlaceSearch({ config, onPick }) {
+  const [q, setQ] = useState("");
+  const [results, setResults] = useState(null);
+  const [note, setNote] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const pick = (place) => {
+    onPick(place);
+    setResults(null);
+    setQ("");
+    setNote(t("map.used", { label: place.label }));
+  };
+
+  const search = async () => {
+    if (!q.trim() || busy) return;
+    setBusy(true);
+    try {
+      const found = await searchPlaces(q.trim(), config);
+      setResults(found.results);
+      setNote(found.offline ? `${found.error ? `${found.error}. ` : ""}${t("map.offlineResults")}` : "");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const useGps = async () => {
+    setBusy(true);
+    setNote(t("map.locating"));
+    try {
+      const pos = await currentPosition();
+      pick({ ...pos, name: "", label: t("map.gpsLabel", { m: fmt.format(Math.round(pos.accuracy)) }) });
+    } catch (e) {
+      setNote(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2">
+        <Input
+          className="flex-1 min-w-[12rem]"
+          placeholder={t("map.searchPlaceholder")}
+          value={q}
+          onChange={(e) => setQ(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key !== "Enter") return;
+            e.preventDefault();
+            search();
+          }}
+        />
+        <Button type="button" onClick={search} disabled={busy}><Search className="w-4 h-4"/> {t("map.search")}</Button>
+        <Button type="button" onClick={useGps} disabled={busy}><LocateFixed className="w-4 h-4"/> {t("map.useGps")}</Button>
+      </div>
+      {results && (
+        <ul className="mt-2 border rounded-xl divide-y text-sm max-h-60 overflow-auto">
+          {results.length === 0 && <li className="px-3 py-2 text-gray-500">{t("map.notFound")}</li>}
+          {results.map((r, i) => (
+            <li key={i}>
+              <button type="button" className="w-full text-left px-3 py-2 hover:bg-emerald-50" onClick={() => pick(r)}>
+                {r.label}
+                <span className="ml-2 text-xs text-gray-500">{r.latitude.toFixed(4)}, {r.longitude.toFixed(4)}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {note && <div className="mt-1 text-xs text-gray-500">{note}</div>}
+    </div>
+  );
+}
+
+export const MAP_COLORS = { field: "#059669", Jual: "#d97706", Beli: "#2563eb", market: "#7c3aed", picked: "#6b7280" };
+// Label di katalog `map.layers.<lapisan>`
+const MAP_LAYERS = ["fields", "listings", "markets"];
+
+export function MapPanel({ config, fields, activeField, onSelectField, onSetLocation }) {
+  const online = useOnline();
+  const [layers, setLayers] = useState({ fields: true, listings: true, markets: true });
+  const [places, setPlaces] = useState(loadGeocodes);
+  const [selected, setSelected] = useState(null); // "kind:id"
+  const [picked, setPicked] = useState(null);
+  const [geoStatus, setGeoStatus] = useState("");
+  const [fitKey, setFitKey] = useState(0);
+
+  const listings = useMemo(() => loadPostings().filter((p) => isOpenListing(p)), []);
+  const marketRows = useMemo(
+    () => (enabledMarketSources(config).length ? loadCached(marketCacheKey(config))?.data?.rows || [] : MOCK_MARKET),
+    [config]
+  );
+
+  // Listing tanpa koordinat & nama pasar → koordinat dari layanan geocoding atau daftar kabupaten offline
+  // (hasil disimpan di perangkat)
+  useEffect(() => {
+    const texts = [...listings.filter((p) => !hasCoords(p)).map((p) => p.location), ...marketRows.filter((r) => !hasCoords(r)).map((r) => r.market)];
+    if (!texts.some((text) => needsGeocode(text, loadGeocodes()))) return;
+    let cancelled = false;
+    setGeoStatus(t("map.geocoding"));
+    geocodeMissing(texts, config, (next) => {
+      if (cancelled) return false;
+      setPlaces(next);
+    })
+      .then(() => {
+        if (cancelled) return;
+        setGeoStatus("");
+        setFitKey((k) => k + 1);
+      })
+      .catch((e) => !cancelled && setGeoStatus(e.message || t("map.geocodeFailed")));
+    return () => {
+      cancelled = true;
+    };
+  }, [online, listings, marketRows, config]);
+
+  const origin = hasCoords(activeField) ? activeField : null;
+  const distanceTo = useCallback(
+    (it) => (origin ? haversineKm(Number(origin.latitude), Number(origin.longitude), it.latitude, it.longitude) : null),
+    [origin]
+  );
+  const locale = getLocale();
+
+  const items = useMemo(() => {
+    const out = [];
+    if (layers.fields) {
+      for (const f of fields.filter(hasCoords)) out.push({ key: `field:${f.id}`, kind: "field", latitude: Number(f.latitude), longitude: Number(f.longitude), title: f.name, data: f });
+    }
+    if (layers.listings) {
+      for (const p of listings) {
+        const at = listingCoords(p, places);
+        if (at) out.push({ key: `listing:${p.id}`, kind: "listing", latitude: at.latitude, longitude: at.longitude, geocoded: at.label, title: `${listingType(p.type)} ${p.commodity} • ${p.location}`, data: p });
+      }
+    }
+    if (layers.markets) {
+      for (const m of marketLocations(marketRows, places).filter(hasCoords)) {
+        out.push({ key: `market:${placeKey(m.market)}`, kind: "market", latitude: Number(m.latitude), longitude: Number(m.longitude), geocoded: m.label, title: m.market, data: m });
+      }
+    }
+    return out;
+  }, [layers, fields, listings, marketRows, places, locale]);
+
+  const sel = items.find((it) => it.key === selected) || null;
+  const unplaced = listings.filter((p) => !listingCoords(p, places));
+  const nearest = useMemo(
+    () =>
+      items
+        .filter((it) => it.kind === "listing")
+        .map((it) => ({ ...it, distanceKm: distanceTo(it) }))
+        .filter((it) => it.distanceKm != null)
+        .sort((a, b) => a.distanceKm - b.distanceKm)
+        .slice(0, 5),
+    [items, distanceTo]
+  );
+
+  const markers = useMemo(() => {
+    const out = items.map((it) => ({
+      id: it.key,
+      latitude: it.latitude,
+      longitude: it.longitude,
+      color: it.kind === "listing" ? MAP_COLORS[it.data.type] : MAP_COLORS[it.kind],
+      radius: it.key === selected || it.key === `field:${activeField.id}` ? 10 : 7,
+      label: it.title,
+      onClick: () => {
+        setSelected(it.key);
+        setPicked(null);
+      },
+    }));
+    if (picked) out.push({ id: "picked", ...picked, color: MAP_COLORS.picked, radius: 6, label: t("map.picked") });
+    return out;
+  }, [items, selected, picked, activeField.id]);
+  const lines = useMemo(
+    () => (origin && sel && sel.kind !== "field" ? [[[Number(origin.latitude), Number(origin.longitude)], [sel.latitude, sel.longitude]]] : []),
+    [origin, sel]
+  );
+
+  const distance = sel && sel.kind !== "field" ? distanceTo(sel) : null;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <Card className="lg:col-span-2">
+        <CardHeader title={t("map.title")} subtitle={t("map.subtitle")} icon={MapIcon} />
+        <CardBody>
+          <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+            {MAP_LAYERS.map((k) => (
+              <button key={k} onClick={() => setLayers({ ...layers, [k]: !layers[k] })} className={`px-3 py-1 rounded-full border ${layers[k] ? "bg-emerald-600 text-white border-emerald-600" : "bg-white"}`}>
+                {t(`map.layers.${k}`)}
+              </button>
+            ))}
+            <div className="grow" />
+            <Button className="text-xs py-1" onClick={() => setFitKey((k) => k + 1)}>{t("map.showAll")}</Button>
+          </div>
+          <MapView
+            tiles={mapTiles(config)}
+            center={{ latitude: Number(activeField.latitude), longitude: Number(activeField.longitude) }}
+            zoom={9}
+            markers={markers}
+            lines={lines}
+            fitKey={fitKey}
+            offline
+            className="h-[28rem]"
+            onPick={(lat, lon) => {
+              setPicked({ latitude: Number(lat.toFixed(5)), longitude: Number(lon.toFixed(5)) });
+              setSelected(null);
+            }}
+          />
+          <div className="mt-3 flex flex-wrap gap-4 text-xs text-gray-600">
+            {["field", "Jual", "Beli", "market"].map((k) => (
+              <span key={k} className="inline-flex items-center gap-1">
+                <span className="w-3 h-3 rounded-full" style={{ background: MAP_COLORS[k] }} /> {t(`map.legend.${k}`)}
+              </span>
+            ))}
+          </div>
+          {geoStatus && <div className="mt-2 text-xs text-gray-500">{geoStatus}</div>}
+          {layers.listings && unplaced.length > 0 && !geoStatus && (
+            <div className="mt-2 text-xs text-amber-700">
+              {t(online ? "map.unplaced" : "map.unplacedOffline", { n: unplaced.length })}: {unplaced.slice(0, 3).map((p) => p.location).join("; ")}
+              {unplaced.length > 3 ? "…" : ""}
+            </div>
+          )}
+        </CardBody>
+      </Card>
+
+      <div className="space-y-6">
+        <Card>
+          <CardHeader title={t("map.detail")} subtitle={sel ? sel.title : picked ? t("map.picked") : t("map.pickMarker")} icon={MapPin} />
+          <CardBody>
+            {!sel && !picked && <div className="text-sm text-gray-500">{t("map.nothingSelected")}</div>}
+            {picked && (
+              <div className="text-sm space-y-3">
+                <div>{picked.latitude.toFixed(5)}, {picked.longitude.toFixed(5)}</div>
+                <Button className="bg-emerald-600 text-white border-emerald-600 hover:bg-emerald-700" onClick={() => { onSetLocation(picked.latitude, picked.longitude); setPicked(null); }}>
+                  <MapPin className="w-4 h-4"/> {t("map.setCoords", { name: activeField.name })}
+                </Button>
+              </div>
+            )}
+            {sel?.kind === "field" && (
+              <div className="text-sm space-y-2">
+                <div>{guideFor(sel.data.crop)?.name || sel.data.crop}{sel.data.areaHa ? ` • ${sel.data.areaHa} ha` : ""}</div>
+                <div className="text-xs text-gray-500">{sel.latitude.toFixed(4)}, {sel.longitude.toFixed(4)}</div>
+                {sel.data.id === activeField.id ? (
+                  <Badge className="bg-emerald-100 text-emerald-800">{t("map.activeField")}</Badge>
+                ) : (
+                  <Button onClick={() => onSelectField(sel.data.id)}>{t("map.makeActive")}</Button>
+                )}
+              </div>
+            )}
+            {sel?.kind === "listing" && (
+              <div className="text-sm space-y-2">
+                <div className="flex items-center gap-2">
+                  <Badge className={sel.data.type === "Jual" ? "bg-amber-100 text-amber-800" : "bg-sky-100 text-sky-800"}>{listingType(sel.data.type)}</Badge>
+                  <Badge className={LISTING_STATUS[listingStatus(sel.data)].cls}>{t(`listings.status.${listingStatus(sel.data)}`)}</Badge>
+                </div>
+                <div>{sel.data.qty} {sel.data.unit} • {sel.data.location}</div>
+                {sel.data.price && <div>{fmtPriceRange(parsePriceRange(sel.data.price))}/{sel.data.unit}</div>}
+                {sel.geocoded && <div className="text-xs text-gray-500">{t("map.approxFromText", { place: sel.geocoded })}</div>}
+                {distance != null && <div className="font-medium">{t("buyers.distanceFrom", { km: fmt.format(Math.round(distance)), name: activeField.name })}</div>}
+                {sel.data.contact && (
+                  <a className="inline-flex items-center gap-1 text-emerald-700 hover:underline" target="_blank" rel="noreferrer" href={waLink(sel.data.contact, `${t("listings.msgGreeting", { name: "" })}\n• ${describeListing(sel.data)}`)}>
+                    <MessageCircle className="w-4 h-4"/> {t("buyers.contactWa")}
+                  </a>
+                )}
+              </div>
+            )}
+            {sel?.kind === "market" && (
+              <div className="text-sm space-y-2">
+                {sel.geocoded && <div className="text-xs text-gray-500">{t("map.approxFromMarket", { place: sel.geocoded })}</div>}
+                {distance != null && <div className="font-medium">{t("buyers.distanceFrom", { km: fmt.format(Math.round(distance)), name: activeField.name })}</div>}
+                <ul className="divide-y">
+                  {sel.data.rows.map((r, i) => (
+                    <li key={i} className="py-1 flex justify-between gap-2">
+                      <span>{r.commodity}</span>
+                      <span className="tabular-nums">{fmtRp(r.price)}/{r.unit}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </CardBody>
+        </Card>
+
+        <Card>
+          <CardHeader title={t("map.nearest")} subtitle={origin ? t("map.fromField", { name: activeField.name }) : t("map.noOrigin")} icon={Users} />
+          <CardBody>
+            {nearest.length === 0 && <div className="text-sm text-gray-500">{t("map.noNearest")}</div>}
+            <ul className="space-y-2 text-sm">
+              {nearest.map((it) => (
+                <li key={it.key}>
+                  <button className="w-full text-left flex justify-between gap-2 hover:text-emerald-700" onClick={() => { setSelected(it.key); setPicked(null); }}>
+                    <span>{it.title}</span>
+                    <span className="tabular-nums text-gray-500 whitespace-nowrap">±{fmt.format(Math.round(it.distanceKm))} km</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </CardBody>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,463 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  ShoppingCart,
+  LineChart,
+  RefreshCw,
+  Plus,
+  Trash2,
+  Bell,
+} from "lucide-react";
+import {
+  Badge,
+  Button,
+  Card,
+  CardBody,
+  CardHeader,
+  Input,
+  SectionTitle,
+  Select,
+  StaleBanner,
+} from "./ui.jsx";
+import { ALERT_TYPES, alertLabel } from "../lib/alerts.js";
+import { DAY_MS, fmt, fmtDateTime, fmtFixed, fmtRp } from "../lib/format.js";
+import { dateFormat, t } from "../lib/i18n.js";
+import { MOCK_MARKET, enabledMarketSources, marketCacheKey, priceSpread, pullMarketPrices } from "../lib/market.js";
+import { withOfflineCache } from "../lib/offline.js";
+import {
+  groupHistory,
+  loadPriceHistory,
+  mockHistory,
+  priceChange,
+  priceKey,
+  priceStats,
+} from "../lib/priceHistory.js";
+import { PRICE_UNITS, toPriceUnit } from "../lib/units.js";
+
+// ===================== Harga Pasar =====================
+const PRICE_RANGES = [7, 30, 90];
+
+export function Market({ config, alerts, alertLog, onSaveAlerts, onPrices, onChangeConfig }) {
+  const sources = enabledMarketSources(config);
+  const sourcesKey = JSON.stringify(sources);
+  const live = sources.length > 0;
+  const [rows, setRows] = useState(MOCK_MARKET);
+  const [error, setError] = useState("");
+  const [mapErrors, setMapErrors] = useState([]);
+  const [sourceErrors, setSourceErrors] = useState([]);
+  const [asOf, setAsOf] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [q, setQ] = useState("");
+  const [lastFetch, setLastFetch] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyError, setHistoryError] = useState("");
+  const [selected, setSelected] = useState(MOCK_MARKET[0].commodity);
+  const [range, setRange] = useState(30);
+
+  const reloadHistory = async () => {
+    try {
+      setHistory(await loadPriceHistory(Date.now() - PRICE_RANGES[PRICE_RANGES.length - 1] * DAY_MS));
+      setHistoryError("");
+    } catch (e) {
+      setHistoryError(e.message || t("market.historyFailed"));
+    }
+  };
+
+  const refresh = async () => {
+    if (!live) return;
+    try {
+      setLoading(true);
+      setError("");
+      const { data, asOf: cachedAt } = await withOfflineCache(marketCacheKey(config), () => pullMarketPrices(config));
+      const { rows: norm, errors, sourceErrors: failed, historyError: saveError } = data;
+      setRows(norm);
+      setAsOf(cachedAt);
+      setMapErrors(errors);
+      setSourceErrors(failed);
+      if (!norm.some((r) => r.commodity === selected)) setSelected(norm[0]?.commodity || "");
+      await reloadHistory();
+      if (cachedAt) return;
+      setLastFetch(new Date());
+      if (saveError) setHistoryError(saveError);
+      await onPrices(norm);
+    } catch (e) {
+      setError(e.message || t("market.sourceFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // interval memanggil refresh terkini lewat ref; jadwal dibuat ulang hanya bila sumber/interval berubah
+  const refreshRef = useRef(refresh);
+  refreshRef.current = refresh;
+  const reloadHistoryRef = useRef(reloadHistory);
+  reloadHistoryRef.current = reloadHistory;
+  useEffect(() => {
+    if (live) {
+      const run = () => refreshRef.current();
+      reloadHistoryRef.current();
+      run();
+      if (config.refreshMinutes > 0) {
+        const id = setInterval(run, config.refreshMinutes * 60 * 1000);
+        return () => clearInterval(id);
+      }
+    } else {
+      setRows(MOCK_MARKET);
+      setMapErrors([]);
+      setSourceErrors([]);
+      setAsOf(null);
+    }
+  }, [live, sourcesKey, config.refreshMinutes]);
+
+  const toggleSource = (id) =>
+    onChangeConfig({ marketSources: config.marketSources.map((s) => (s.id === id ? { ...s, enabled: s.enabled === false } : s)) });
+
+  const grouped = useMemo(() => groupHistory(live ? history : mockHistory(MOCK_MARKET)), [live, history]);
+
+  const displayRows = useMemo(
+    () => rows.map((r) => toPriceUnit(r, config.priceUnit, config.unitConversions)),
+    [rows, config.priceUnit, config.unitConversions]
+  );
+  const filtered = displayRows.filter((r) =>
+    [r.commodity, r.market, ...(r.sources || [])].join(" ").toLowerCase().includes(q.toLowerCase())
+  );
+  const spreads = priceSpread(filtered);
+
+  const to = Date.now();
+  const from = to - range * DAY_MS;
+  const chartSeries = Object.entries(grouped)
+    .filter(([, pts]) => pts[0].commodity === selected)
+    .map(([, pts]) => ({ name: pts[0].market, unit: pts[0].unit, points: pts.filter((p) => p.ts >= from) }));
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader
+          title={t("tabs.market")}
+          subtitle={live ? `${t("market.liveSources", { n: sources.length })} • ${lastFetch ? t("common.updated", { time: fmtDateTime(lastFetch) }) : t("market.waiting")}` : t("market.mockMode")}
+          icon={LineChart}
+        />
+        <CardBody>
+          {live && <StaleBanner asOf={asOf} />}
+          <div className="flex flex-col md:flex-row md:items-center gap-3">
+            <div className="flex items-center gap-2 flex-wrap">
+              <label className="text-sm">{t("market.sourceLabel")}</label>
+              {config.marketSources.length === 0 && <span className="px-3 py-1 rounded-full border bg-emerald-600 text-white border-emerald-600">{t("market.mockSource")}</span>}
+              {config.marketSources.map((s) => (
+                <button
+                  key={s.id}
+                  onClick={() => toggleSource(s.id)}
+                  title={s.url}
+                  className={`px-3 py-1 rounded-full border ${s.enabled !== false ? "bg-emerald-600 text-white border-emerald-600" : "bg-white"}`}
+                >
+                  {s.name}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-2">
+              <label className="text-sm">{t("market.per")}</label>
+              {PRICE_UNITS.map((u) => (
+                <button key={u} onClick={() => onChangeConfig({ priceUnit: u })} className={`px-3 py-1 rounded-full border ${config.priceUnit === u ? "bg-emerald-600 text-white border-emerald-600" : "bg-white"}`}>{u}</button>
+              ))}
+            </div>
+            <div className="grow">
+              <Input placeholder={t("market.searchPlaceholder")} value={q} onChange={(e) => setQ(e.target.value)} />
+            </div>
+            <Button onClick={refresh} disabled={!live || loading}><RefreshCw className={`w-4 h-4 ${loading ? "animate-spin" : ""}`}/> {t("common.refresh")}</Button>
+          </div>
+          {error && <div className="mt-2 text-sm text-red-600">{error}</div>}
+          {sourceErrors.map((e) => (
+            <div key={e.source} className="mt-2 text-sm text-red-600">{e.source}: {e.message}</div>
+          ))}
+          {live && mapErrors.length > 0 && (
+            <div className="mt-2 text-sm text-amber-700">
+              {t("market.skippedRows", { n: mapErrors.length, example: mapErrors[0] })}
+            </div>
+          )}
+
+          <div className="mt-4 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-gray-600">
+                <tr>
+                  <th className="py-2 pr-4">{t("market.col.commodity")}</th>
+                  <th className="py-2 pr-4">{t("market.col.market")}</th>
+                  <th className="py-2 pr-4">{t("market.col.price")}</th>
+                  <th className="py-2 pr-4">{t("market.col.rawUnit")}</th>
+                  <th className="py-2 pr-4">{t("market.col.daily")}</th>
+                  <th className="py-2 pr-4">{t("market.col.weekly")}</th>
+                  <th className="py-2 pr-4">{t("market.col.source")}</th>
+                  <th className="py-2 pr-4">{t("market.col.time")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filtered.map((r, i) => (
+                  <tr
+                    key={i}
+                    onClick={() => setSelected(r.commodity)}
+                    className={`border-t cursor-pointer hover:bg-gray-50 ${r.commodity === selected ? "bg-emerald-50" : ""}`}
+                  >
+                    <td className="py-2 pr-4">{r.commodity}</td>
+                    <td className="py-2 pr-4">{r.market}</td>
+                    <td className="py-2 pr-4 font-medium">{fmtRp(r.price)}/{r.unit}</td>
+                    <td className="py-2 pr-4">
+                      {r.raw.unit === r.unit ? r.raw.unit : <>{fmtRp(r.raw.price)}/{r.raw.unit}</>}
+                      {r.unit !== config.priceUnit && <span className="ml-1 text-xs text-amber-700" title={t("market.addConversion")}>• {t("market.notConverted")}</span>}
+                    </td>
+                    <td className="py-2 pr-4"><ChangeCell value={priceChange(grouped[priceKey(r)], r.raw, DAY_MS)} /></td>
+                    <td className="py-2 pr-4"><ChangeCell value={priceChange(grouped[priceKey(r)], r.raw, 7 * DAY_MS)} /></td>
+                    <td className="py-2 pr-4 text-xs text-gray-600">{r.sources?.join(", ") || t("market.example")}</td>
+                    <td className="py-2 pr-4">{fmtDateTime(new Date(r.ts))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </CardBody>
+      </Card>
+
+      <Card>
+        <CardHeader title={t("market.spreadTitle")} subtitle={t("market.spreadSubtitle")} icon={ShoppingCart} />
+        <CardBody>
+          {spreads.length === 0 ? (
+            <div className="text-sm text-gray-500">{t("market.noSpread")}</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="text-left text-gray-600">
+                  <tr>
+                    <th className="py-2 pr-4">{t("market.col.commodity")}</th>
+                    <th className="py-2 pr-4">{t("market.col.market")}</th>
+                    <th className="py-2 pr-4">{t("market.col.cheapest")}</th>
+                    <th className="py-2 pr-4">{t("market.col.priciest")}</th>
+                    <th className="py-2 pr-4">{t("market.col.avg")}</th>
+                    <th className="py-2 pr-4">{t("market.col.spread")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {spreads.map((sp) => (
+                    <tr key={`${sp.commodity}|${sp.unit}`} onClick={() => setSelected(sp.commodity)} className="border-t cursor-pointer hover:bg-gray-50">
+                      <td className="py-2 pr-4 font-medium">{sp.commodity}</td>
+                      <td className="py-2 pr-4">{sp.markets.length}</td>
+                      <td className="py-2 pr-4">{fmtRp(sp.min.price)}/{sp.unit} <span className="text-xs text-gray-500">• {sp.min.market}</span></td>
+                      <td className="py-2 pr-4 text-emerald-700">{fmtRp(sp.max.price)}/{sp.unit} <span className="text-xs text-gray-500">• {sp.max.market}</span></td>
+                      <td className="py-2 pr-4">{fmtRp(sp.avg)}</td>
+                      <td className="py-2 pr-4">{fmtRp(sp.spread)} <span className="text-xs text-gray-500">({fmtFixed(sp.spreadPct, 1)}%)</span></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardBody>
+      </Card>
+
+      <Card>
+        <CardHeader
+          title={t("market.trendTitle", { commodity: selected || "-" })}
+          subtitle={live ? t("market.trendLive") : t("market.trendMock")}
+          icon={LineChart}
+        />
+        <CardBody>
+          <div className="flex items-center gap-2 mb-3">
+            <label className="text-sm">{t("market.range")}</label>
+            {PRICE_RANGES.map((d) => (
+              <button key={d} onClick={() => setRange(d)} className={`px-3 py-1 rounded-full border ${range === d ? "bg-emerald-600 text-white border-emerald-600" : "bg-white"}`}>{t("market.days", { n: d })}</button>
+            ))}
+          </div>
+          {historyError && <div className="mb-2 text-sm text-red-600">{historyError}</div>}
+          <PriceChart series={chartSeries} from={from} to={to} />
+          <div className="mt-4 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-gray-600">
+                <tr>
+                  <th className="py-2 pr-4">{t("market.col.market")}</th>
+                  <th className="py-2 pr-4">{t("market.col.min")}</th>
+                  <th className="py-2 pr-4">{t("market.col.max")}</th>
+                  <th className="py-2 pr-4">{t("market.col.avg")}</th>
+                  <th className="py-2 pr-4">{t("market.col.snapshots")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {chartSeries.map((s) => {
+                  const st = priceStats(s.points);
+                  return (
+                    <tr key={s.name} className="border-t">
+                      <td className="py-2 pr-4">{s.name}</td>
+                      <td className="py-2 pr-4">{st ? `${fmtRp(st.min)}/${s.unit}` : "-"}</td>
+                      <td className="py-2 pr-4">{st ? `${fmtRp(st.max)}/${s.unit}` : "-"}</td>
+                      <td className="py-2 pr-4">{st ? `${fmtRp(st.avg)}/${s.unit}` : "-"}</td>
+                      <td className="py-2 pr-4">{st?.n ?? 0}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </CardBody>
+      </Card>
+
+      <PriceAlerts rows={rows} unit={config.priceUnit} alerts={alerts} log={alertLog} onSave={onSaveAlerts} />
+
+    </div>
+  );
+}
+
+const CHART_COLORS = ["#059669", "#d97706", "#2563eb", "#dc2626", "#7c3aed", "#0891b2"];
+
+// Grafik garis SVG sederhana: series = [{ name, points: [{ ts, price }] }]
+function PriceChart({ series, from, to }) {
+  const all = series.flatMap((s) => s.points);
+  if (all.length === 0) return <div className="text-sm text-gray-500">{t("market.noHistory")}</div>;
+  const W = 640, H = 220, L = 64, R = 12, T = 12, B = 28;
+  let min = Math.min(...all.map((p) => p.price));
+  let max = Math.max(...all.map((p) => p.price));
+  if (min === max) { min *= 0.95; max *= 1.05; }
+  const x = (ts) => L + ((ts - from) / Math.max(1, to - from)) * (W - L - R);
+  const y = (v) => T + (1 - (v - min) / (max - min)) * (H - T - B);
+  const ticks = [min, (min + max) / 2, max];
+  const dateLabel = (ts) => dateFormat({ day: "numeric", month: "short" }).format(ts);
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+        {ticks.map((v) => (
+          <g key={v}>
+            <line x1={L} x2={W - R} y1={y(v)} y2={y(v)} stroke="#e5e7eb" />
+            <text x={L - 6} y={y(v) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{fmt.format(Math.round(v))}</text>
+          </g>
+        ))}
+        <text x={L} y={H - 8} fontSize="10" fill="#6b7280">{dateLabel(from)}</text>
+        <text x={W - R} y={H - 8} textAnchor="end" fontSize="10" fill="#6b7280">{dateLabel(to)}</text>
+        {series.map((s, i) => (
+          <g key={s.name}>
+            <polyline
+              fill="none"
+              stroke={CHART_COLORS[i % CHART_COLORS.length]}
+              strokeWidth="2"
+              points={s.points.map((p) => `${x(p.ts)},${y(p.price)}`).join(" ")}
+            />
+            {s.points.length === 1 && <circle cx={x(s.points[0].ts)} cy={y(s.points[0].price)} r="3" fill={CHART_COLORS[i % CHART_COLORS.length]} />}
+          </g>
+        ))}
+      </svg>
+      <div className="mt-1 flex flex-wrap gap-3 text-xs">
+        {series.map((s, i) => (
+          <span key={s.name} className="inline-flex items-center gap-1">
+            <span className="w-3 h-0.5" style={{ background: CHART_COLORS[i % CHART_COLORS.length] }} /> {s.name}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ChangeCell({ value }) {
+  if (value == null) return <span className="text-gray-400">–</span>;
+  const pct = fmtFixed(value * 100, 1);
+  const cls = value > 0.0005 ? "text-emerald-700" : value < -0.0005 ? "text-red-600" : "text-gray-600";
+  return <span className={cls}>{value > 0 ? "▲" : value < 0 ? "▼" : ""} {pct}%</span>;
+}
+
+const EMPTY_ALERT = { commodity: "", market: "", type: "above", value: "", windowHours: 24, browser: true };
+
+function PriceAlerts({ rows, unit, alerts, log, onSave }) {
+  const [form, setForm] = useState(EMPTY_ALERT);
+  const [error, setError] = useState("");
+  const pct = form.type === "drop" || form.type === "rise";
+
+  const add = (e) => {
+    e.preventDefault();
+    const value = Number(form.value);
+    if (!(value > 0)) return setError(t("alerts.valueInvalid"));
+    if (pct && !(Number(form.windowHours) > 0)) return setError(t("alerts.windowInvalid"));
+    setError("");
+    if (form.browser && typeof Notification !== "undefined" && Notification.permission === "default") {
+      Notification.requestPermission();
+    }
+    onSave([
+      ...alerts,
+      { ...form, id: crypto.randomUUID(), commodity: form.commodity.trim(), market: form.market.trim(), value, unit, windowHours: Number(form.windowHours), enabled: true, active: {} },
+    ]);
+    setForm({ ...EMPTY_ALERT, type: form.type });
+  };
+
+  const patch = (id, p) => onSave(alerts.map((a) => (a.id === id ? { ...a, ...p } : a)));
+
+  return (
+    <Card>
+      <CardHeader title={t("alerts.title")} subtitle={t("alerts.subtitle")} icon={Bell} />
+      <CardBody>
+        <form onSubmit={add} className="grid grid-cols-1 md:grid-cols-6 gap-3 items-end">
+          <div>
+            <label className="text-xs text-gray-600">{t("market.col.commodity")}</label>
+            <Input required list="alert-commodities" value={form.commodity} onChange={(e) => setForm({ ...form, commodity: e.target.value })} />
+            <datalist id="alert-commodities">
+              {[...new Set(rows.map((r) => r.commodity))].map((c) => <option key={c} value={c} />)}
+            </datalist>
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">{t("alerts.marketAll")}</label>
+            <Input list="alert-markets" value={form.market} onChange={(e) => setForm({ ...form, market: e.target.value })} />
+            <datalist id="alert-markets">
+              {[...new Set(rows.map((r) => r.market))].map((m) => <option key={m} value={m} />)}
+            </datalist>
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">{t("alerts.condition")}</label>
+            <Select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+              {ALERT_TYPES.map((k) => <option key={k} value={k}>{t(`alerts.types.${k}`)}</option>)}
+            </Select>
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">{pct ? t("alerts.changePct") : t("alerts.priceRp", { unit })}</label>
+            <Input required type="number" min={0} step="any" value={form.value} onChange={(e) => setForm({ ...form, value: e.target.value })} />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">{t("alerts.windowHours")}</label>
+            <Input type="number" min={1} disabled={!pct} value={form.windowHours} onChange={(e) => setForm({ ...form, windowHours: e.target.value })} />
+          </div>
+          <div className="flex flex-col gap-2">
+            <label className="flex items-center gap-2 text-xs text-gray-600">
+              <input type="checkbox" checked={form.browser} onChange={(e) => setForm({ ...form, browser: e.target.checked })} />
+              {t("alerts.browser")}
+            </label>
+            <Button type="submit" className="bg-emerald-600 text-white border-emerald-600 hover:bg-emerald-700"><Plus className="w-4 h-4"/> {t("common.add")}</Button>
+          </div>
+        </form>
+        {error && <div className="mt-2 text-sm text-red-600">{error}</div>}
+
+        <div className="mt-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <SectionTitle title={t("alerts.activeRules")} />
+            {alerts.length === 0 && <div className="text-sm text-gray-500">{t("alerts.none")}</div>}
+            <ul className="space-y-2 text-sm">
+              {alerts.map((a) => (
+                <li key={a.id} className="flex items-center gap-2">
+                  <input type="checkbox" checked={a.enabled} onChange={(e) => patch(a.id, { enabled: e.target.checked, active: {} })} title={t("alerts.enabled")} />
+                  <span className={`grow ${a.enabled ? "" : "text-gray-400"}`}>
+                    {alertLabel(a)}
+                    {Object.keys(a.active || {}).length > 0 && <Badge className="ml-2 bg-red-100 text-red-700">{t("alerts.triggered")}</Badge>}
+                  </span>
+                  <button onClick={() => patch(a.id, { browser: !a.browser })} title={t("alerts.browser")} className={a.browser ? "text-emerald-700" : "text-gray-400"}>
+                    <Bell className="w-4 h-4"/>
+                  </button>
+                  <button onClick={() => onSave(alerts.filter((x) => x.id !== a.id))} className="text-red-600" title={t("common.remove")}><Trash2 className="w-4 h-4"/></button>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div>
+            <SectionTitle title={t("alerts.history")} />
+            {log.length === 0 && <div className="text-sm text-gray-500">{t("alerts.noHistory")}</div>}
+            <ul className="space-y-2 text-sm max-h-64 overflow-y-auto">
+              {log.slice(0, 50).map((l) => (
+                <li key={l.id} className="border-b pb-1">
+                  <div>{l.body}</div>
+                  <div className="text-xs text-gray-500">{fmtDateTime(new Date(l.ts))} • {l.title}</div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
@@ -0,0 +1,898 @@
+import { useMemo, useRef, useState } from "react";
+import {
+  AlertTriangle,
+  ShoppingCart,
+  LineChart,
+  Users,
+  RefreshCw,
+  Settings as SettingsIcon,
+  Plus,
+  Trash2,
+  Upload,
+  Download,
+  LayoutGrid,
+} from "lucide-react";
+import DEFAULT_PEST_RULES from "../pest-rules.json";
+import {
+  Button,
+  Card,
+  CardBody,
+  CardHeader,
+  FieldError,
+  Input,
+  SectionTitle,
+  Select,
+  invalid,
+  numOrEmpty,
+} from "./ui.jsx";
+import {
+  CONFIG_VERSION,
+  DEFAULT_CONFIG,
+  exportBundle,
+  parseBundle,
+  validateConfig,
+  validateField,
+  validateMarketSource,
+} from "../lib/config.js";
+import { downloadFile, fmt, fmtDateTime, fmtRp, isoDate } from "../lib/format.js";
+import { GEOCODERS, hasCoords } from "../lib/geo.js";
+import { GUIDES, guideFor, stageLabel } from "../lib/guides.js";
+import { LOCALES, t } from "../lib/i18n.js";
+import { fetchMarketSource, newMarketSource } from "../lib/market.js";
+import { RULE_OPS, RULE_VARS, ruleVarLabel, ruleVarUnit, validateRules } from "../lib/risk.js";
+import { cropOptions } from "../lib/storage.js";
+import { DEFAULT_UNIT_CONVERSIONS } from "../lib/units.js";
+import { MAP_COLORS, MapView, PlaceSearch, mapTiles } from "./MapPanel.jsx";
+
+// ===================== Pengaturan =====================
+export function SettingsPanel({ config, rules, fields, onSave, onSaveRules, onSaveFields, onImport }) {
+  const [local, setLocal] = useState(config);
+  const errors = useMemo(() => validateConfig(local), [local]);
+  const errorCount = Object.keys(errors).length;
+  const save = () => errorCount === 0 && onSave(local);
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader title={t("settings.generalTitle")} subtitle={t("settings.generalSubtitle")} icon={SettingsIcon} />
+        <CardBody>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="text-xs text-gray-600">{t("weather.autoRefresh")}</label>
+              <Input type="number" min={0} className={invalid(errors.refreshMinutes)} value={local.refreshMinutes} onChange={(e) => setLocal({ ...local, refreshMinutes: numOrEmpty(e.target.value) })} />
+              <FieldError message={errors.refreshMinutes} />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("weather.forecastDays")}</label>
+              <Input type="number" min={1} max={16} className={invalid(errors.forecastDays)} value={local.forecastDays} onChange={(e) => setLocal({ ...local, forecastDays: numOrEmpty(e.target.value) })} />
+              <FieldError message={errors.forecastDays} />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("app.language")}</label>
+              <Select value={local.language} onChange={(e) => setLocal({ ...local, language: e.target.value })}>
+                <option value="">{t("settings.languageAuto")}</option>
+                {Object.entries(LOCALES).map(([k, l]) => (
+                  <option key={k} value={k}>{l.label}</option>
+                ))}
+              </Select>
+            </div>
+          </div>
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="md:col-span-2">
+              <label className="text-xs text-gray-600">MAP_TILE_URL</label>
+              <Input placeholder={DEFAULT_CONFIG.MAP_TILE_URL} className={invalid(errors.MAP_TILE_URL)} value={local.MAP_TILE_URL} onChange={(e) => setLocal({ ...local, MAP_TILE_URL: e.target.value })} />
+              <FieldError message={errors.MAP_TILE_URL} />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("settings.mapAttribution")}</label>
+              <Input value={local.MAP_ATTRIBUTION} onChange={(e) => setLocal({ ...local, MAP_ATTRIBUTION: e.target.value })} />
+            </div>
+          </div>
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="text-xs text-gray-600">{t("settings.geocoder")}</label>
+              <Select value={local.GEOCODER} onChange={(e) => setLocal({ ...local, GEOCODER: e.target.value })}>
+                {Object.keys(GEOCODERS).map((k) => (
+                  <option key={k} value={k}>{t(`geo.geocoders.${k}`)}</option>
+                ))}
+              </Select>
+            </div>
+            <div className="md:col-span-2">
+              <label className="text-xs text-gray-600">GEOCODE_URL {t("common.optional")}</label>
+              <Input
+                placeholder={GEOCODERS[local.GEOCODER]?.url || "—"}
+                disabled={local.GEOCODER === "offline"}
+                className={invalid(errors.GEOCODE_URL)}
+                value={local.GEOCODE_URL}
+                onChange={(e) => setLocal({ ...local, GEOCODE_URL: e.target.value })}
+              />
+              <FieldError message={errors.GEOCODE_URL} />
+            </div>
+          </div>
+          <div className="mt-2 text-xs text-gray-500">
+            {t("settings.geocoderHelp")} <code>{"{z}/{x}/{y}"}</code>, {t("settings.tileExample")} <code>http://192.168.1.10:8080/tiles/{"{z}/{x}/{y}"}.png</code>. {t("settings.tileOffline")}
+          </div>
+        </CardBody>
+      </Card>
+
+      <FieldManager fields={fields} rules={rules} config={config} onSave={onSaveFields} />
+
+      <MarketSourceEditor
+        sources={local.marketSources}
+        onSave={(marketSources) => {
+          setLocal({ ...local, marketSources });
+          onSave({ ...config, marketSources });
+        }}
+      />
+
+      <UnitConversionEditor table={local.unitConversions} error={errors.unitConversions} onChange={(unitConversions) => setLocal({ ...local, unitConversions })} />
+
+      <Card>
+        <CardHeader title={t("settings.syncTitle")} subtitle={t("settings.syncSubtitle")} icon={RefreshCw} />
+        <CardBody>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="text-xs text-gray-600">LISTINGS_API_URL</label>
+              <Input placeholder="https://api.example.com/listings" className={invalid(errors.LISTINGS_API_URL)} value={local.LISTINGS_API_URL} onChange={(e) => setLocal({ ...local, LISTINGS_API_URL: e.target.value })} />
+              <FieldError message={errors.LISTINGS_API_URL} />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">LISTINGS_API_KEY</label>
+              <Input type="password" placeholder={t("settings.apiKeyPlaceholder")} value={local.LISTINGS_API_KEY} onChange={(e) => setLocal({ ...local, LISTINGS_API_KEY: e.target.value })} />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("settings.posterName")}</label>
+              <Input placeholder="Pak Tani, Kab. Karo" value={local.posterName} onChange={(e) => setLocal({ ...local, posterName: e.target.value })} />
+            </div>
+          </div>
+          <div className="mt-2 text-xs text-gray-500">
+            GET <code>?since=&amp;cursor=&amp;limit=</code> → <code>{"{ items, next, since }"}</code>, POST listing, DELETE <code>/{"{id}"}</code>. {t("settings.syncConflicts")}
+          </div>
+        </CardBody>
+      </Card>
+
+      <Card>
+        <CardHeader title={t("settings.webhookTitle")} subtitle={t("settings.webhookSubtitle")} icon={Users} />
+        <CardBody>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="text-xs text-gray-600">WEBHOOK_URL</label>
+              <Input placeholder="https://script.google.com/macros/s/.../exec" className={invalid(errors.WEBHOOK_URL)} value={local.WEBHOOK_URL} onChange={(e) => setLocal({ ...local, WEBHOOK_URL: e.target.value })} />
+              <FieldError message={errors.WEBHOOK_URL} />
+              <label className="mt-3 block text-xs text-gray-600">WEBHOOK_SECRET {t("common.optional")}</label>
+              <Input type="password" placeholder={t("settings.secretPlaceholder")} value={local.WEBHOOK_SECRET} onChange={(e) => setLocal({ ...local, WEBHOOK_SECRET: e.target.value })} />
+              <div className="mt-2 text-xs text-gray-500">
+                {t("settings.signatureHelp1")} <code>X-AgriHub-Signature: sha256=&lt;hex&gt;</code> {t("settings.signatureHelp2")}
+                {" "}{t("settings.signatureHelp3")} <code>X-AgriHub-Delivery</code> {t("settings.signatureHelp4")}
+              </div>
+            </div>
+            <div className="text-xs text-gray-600">
+              {t("settings.payloadFormat")}
+              <pre className="mt-2 bg-gray-50 p-2 rounded-xl overflow-auto">{JSON.stringify({
+                id: "uuid",
+                type: "Jual/Beli",
+                commodity: "Cabai Merah",
+                qty: "500",
+                unit: "kg",
+                location: "Kabanjahe, Karo",
+                price: "60000",
+                contact: "6281234567890",
+                notes: "Siap kirim Jabodetabek",
+                ts: 1710000000000,
+              }, null, 2)}</pre>
+            </div>
+          </div>
+        </CardBody>
+      </Card>
+
+      <div className="flex items-center gap-3">
+        <Button onClick={save} disabled={errorCount > 0} className="bg-emerald-600 text-white border-emerald-600 hover:bg-emerald-700 disabled:opacity-50">{t("common.save")}</Button>
+        {errorCount > 0 ? (
+          <div className="text-sm text-red-600">{t("settings.fixErrors", { n: errorCount })}</div>
+        ) : (
+          <div className="text-sm text-gray-600">{t("settings.savedLocally")}</div>
+        )}
+      </div>
+
+      <ConfigTransfer config={config} fields={fields} rules={rules} onImport={onImport} />
+
+      <RuleEditor rules={rules} onSave={onSaveRules} />
+    </div>
+  );
+}
+
+// Ekspor/impor seluruh setelan (konfigurasi, lahan, katalog aturan) sebagai satu berkas JSON
+function ConfigTransfer({ config, fields, rules, onImport }) {
+  const [secrets, setSecrets] = useState(false);
+  const [message, setMessage] = useState(null); // { ok, text }
+  const fileRef = useRef(null);
+
+  const exportFile = () =>
+    downloadFile(`agrihub-konfigurasi-${isoDate(new Date())}.json`, JSON.stringify(exportBundle(config, fields, rules, { secrets }), null, 2));
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const bundle = parseBundle(JSON.parse(await file.text()), config);
+      const summary = t("settings.transfer.summary", { fields: bundle.fields.length, rules: bundle.rules.length, sources: bundle.config.marketSources.length });
+      if (!window.confirm(t("settings.transfer.confirm", { summary }))) return;
+      onImport(bundle);
+      setMessage({ ok: true, text: t("settings.transfer.imported", { summary }) });
+    } catch (err) {
+      setMessage({ ok: false, text: t("settings.transfer.failed", { error: err.message }) });
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader title={t("settings.transfer.title")} subtitle={t("settings.transfer.subtitle")} icon={Download} />
+      <CardBody>
+        <div className="flex flex-wrap items-center gap-2">
+          <Button onClick={exportFile}><Download className="w-4 h-4"/> {t("settings.exportJson")}</Button>
+          <Button onClick={() => fileRef.current?.click()}><Upload className="w-4 h-4"/> {t("settings.importJson")}</Button>
+          <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={secrets} onChange={(e) => setSecrets(e.target.checked)} /> {t("settings.transfer.secrets")}
+          </label>
+          <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={importFile} />
+        </div>
+        <div className="mt-2 text-xs text-gray-500">
+          {t("settings.transfer.help", { version: CONFIG_VERSION })}
+          {secrets && ` ${t("settings.transfer.secretsWarning")}`}
+        </div>
+        {message && <div className={`mt-2 text-sm ${message.ok ? "text-emerald-700" : "text-red-600"}`}>{message.text}</div>}
+      </CardBody>
+    </Card>
+  );
+}
+
+// Label di katalog `settings.mapping.<field>`
+const MAPPING_FIELDS = ["commodity", "market", "price", "unit", "ts", "lat", "lon"];
+
+// Kelola adapter sumber harga: daftar, form, & uji koneksi dengan pratinjau hasil pemetaan
+function MarketSourceEditor({ sources, onSave }) {
+  const [form, setForm] = useState(() => newMarketSource());
+  const [editId, setEditId] = useState(null);
+  const [error, setError] = useState("");
+  const [testing, setTesting] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  const setIn = (section, key, value) => setForm({ ...form, [section]: { ...form[section], [key]: value } });
+
+  const reset = () => {
+    setForm(newMarketSource());
+    setEditId(null);
+    setError("");
+    setPreview(null);
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    const source = { ...form, name: form.name.trim() || t("settings.sources.defaultName", { n: sources.length + 1 }), url: form.url.trim() };
+    const problems = validateMarketSource(source);
+    if (problems.length) {
+      setError(t("settings.sources.invalid", { problems: problems.join(" ") }));
+      return;
+    }
+    if (editId) onSave(sources.map((s) => (s.id === editId ? source : s)));
+    else onSave([...sources, source]);
+    reset();
+  };
+
+  const remove = (id) => {
+    onSave(sources.filter((s) => s.id !== id));
+    if (editId === id) reset();
+  };
+
+  const test = async () => {
+    setTesting(true);
+    setError("");
+    setPreview(null);
+    try {
+      setPreview(await fetchMarketSource(form, 2));
+    } catch (e) {
+      setError(e.message || t("settings.sources.connectionFailed"));
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const pg = form.pagination;
+
+  return (
+    <Card>
+      <CardHeader title={t("settings.sources.title")} subtitle={t("settings.sources.subtitle")} icon={LineChart} />
+      <CardBody>
+        {sources.length > 0 && (
+          <div className="overflow-x-auto mb-4">
+            <table className="w-full text-sm">
+              <thead className="text-left text-gray-600">
+                <tr>
+                  <th className="py-2 pr-4">{t("alerts.enabled")}</th>
+                  <th className="py-2 pr-4">{t("settings.sources.name")}</th>
+                  <th className="py-2 pr-4">URL</th>
+                  <th className="py-2 pr-4">Format</th>
+                  <th className="py-2 pr-4">Auth</th>
+                  <th className="py-2 pr-4"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {sources.map((s) => (
+                  <tr key={s.id} className="border-t">
+                    <td className="py-2 pr-4">
+                      <input type="checkbox" checked={s.enabled !== false} onChange={() => onSave(sources.map((x) => (x.id === s.id ? { ...x, enabled: s.enabled === false } : x)))} />
+                    </td>
+                    <td className="py-2 pr-4 font-medium">{s.name}</td>
+                    <td className="py-2 pr-4 break-all text-xs">{s.url}</td>
+                    <td className="py-2 pr-4">{s.format.toUpperCase()}</td>
+                    <td className="py-2 pr-4">{s.auth.type}</td>
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      <button onClick={() => { setEditId(s.id); setForm(s); setError(""); setPreview(null); }} className="text-xs text-emerald-700 hover:underline mr-3">{t("common.edit")}</button>
+                      <button onClick={() => remove(s.id)} className="text-xs text-red-600 hover:underline">{t("common.delete")}</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <form onSubmit={submit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <div>
+              <label className="text-xs text-gray-600">{t("settings.sources.name")}</label>
+              <Input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="Info Pangan Jakarta" />
+            </div>
+            <div className="md:col-span-2">
+              <label className="text-xs text-gray-600">URL</label>
+              <Input value={form.url} onChange={(e) => setForm({ ...form, url: e.target.value })} placeholder="https://api.example.com/market-prices" />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">Format</label>
+              <Select value={form.format} onChange={(e) => setForm({ ...form, format: e.target.value })}>
+                <option value="json">JSON</option>
+                <option value="csv">CSV</option>
+              </Select>
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("settings.sources.auth")}</label>
+              <Select value={form.auth.type} onChange={(e) => setIn("auth", "type", e.target.value)}>
+                {["none", "bearer", "header", "query"].map((k) => <option key={k} value={k}>{t(`settings.sources.authTypes.${k}`)}</option>)}
+              </Select>
+            </div>
+            {(form.auth.type === "header" || form.auth.type === "query") && (
+              <div>
+                <label className="text-xs text-gray-600">{form.auth.type === "header" ? t("settings.sources.headerName") : t("settings.sources.paramName")}</label>
+                <Input value={form.auth.name} onChange={(e) => setIn("auth", "name", e.target.value)} placeholder={form.auth.type === "header" ? "X-API-Key" : "api_key"} />
+              </div>
+            )}
+            {form.auth.type !== "none" && (
+              <div className="md:col-span-2">
+                <label className="text-xs text-gray-600">{t("settings.sources.key")}</label>
+                <Input value={form.auth.key} onChange={(e) => setIn("auth", "key", e.target.value)} />
+              </div>
+            )}
+            {form.format === "json" ? (
+              <div>
+                <label className="text-xs text-gray-600">{t("settings.sources.rootPath")}</label>
+                <Input value={form.rootPath} onChange={(e) => setForm({ ...form, rootPath: e.target.value })} placeholder="$.data.items" />
+              </div>
+            ) : (
+              <div>
+                <label className="text-xs text-gray-600">{t("settings.sources.delimiter")}</label>
+                <Input value={form.csvDelimiter} maxLength={1} onChange={(e) => setForm({ ...form, csvDelimiter: e.target.value || "," })} />
+              </div>
+            )}
+          </div>
+
+          <div>
+            <SectionTitle title={t("settings.sources.mapping")} />
+            <div className="text-xs text-gray-500 -mt-2 mb-2">
+              {form.format === "json" ? t("settings.sources.mappingJson") : t("settings.sources.mappingCsv")}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+              {MAPPING_FIELDS.map((key) => (
+                <div key={key}>
+                  <label className="text-xs text-gray-600">{t(`settings.mapping.${key}`)}</label>
+                  <Input value={form.mapping[key] || ""} onChange={(e) => setIn("mapping", key, e.target.value)} />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <SectionTitle title={t("settings.sources.pagination")} />
+            <div className="grid grid-cols-1 md:grid-cols-6 gap-3">
+              <div>
+                <label className="text-xs text-gray-600">{t("settings.sources.pageType")}</label>
+                <Select value={pg.type} onChange={(e) => setIn("pagination", "type", e.target.value)}>
+                  {["none", "page", "offset", "cursor", "link"].map((k) => <option key={k} value={k}>{t(`settings.sources.pageTypes.${k}`)}</option>)}
+                </Select>
+              </div>
+              {pg.type !== "none" && pg.type !== "link" && (
+                <div>
+                  <label className="text-xs text-gray-600">{t("settings.sources.param")}</label>
+                  <Input value={pg.param} onChange={(e) => setIn("pagination", "param", e.target.value)} placeholder={pg.type === "page" ? "page" : pg.type === "offset" ? "offset" : "cursor"} />
+                </div>
+              )}
+              {pg.type === "page" && (
+                <div>
+                  <label className="text-xs text-gray-600">{t("settings.sources.startPage")}</label>
+                  <Input type="number" value={pg.start} onChange={(e) => setIn("pagination", "start", parseInt(e.target.value || "0", 10))} />
+                </div>
+              )}
+              {(pg.type === "cursor" || pg.type === "link") && (
+                <div>
+                  <label className="text-xs text-gray-600">{pg.type === "cursor" ? t("settings.sources.cursorPath") : t("settings.sources.nextPath")}</label>
+                  <Input value={pg.cursorPath} onChange={(e) => setIn("pagination", "cursorPath", e.target.value)} placeholder={pg.type === "cursor" ? "$.meta.next_cursor" : "$.links.next"} />
+                </div>
+              )}
+              {pg.type !== "none" && (
+                <>
+                  <div>
+                    <label className="text-xs text-gray-600">{t("settings.sources.sizeParam")}</label>
+                    <Input value={pg.sizeParam} onChange={(e) => setIn("pagination", "sizeParam", e.target.value)} placeholder="limit" />
+                  </div>
+                  <div>
+                    <label className="text-xs text-gray-600">{t("settings.sources.pageSize")}</label>
+                    <Input type="number" min={1} value={pg.size} onChange={(e) => setIn("pagination", "size", parseInt(e.target.value || "1", 10))} />
+                  </div>
+                  <div>
+                    <label className="text-xs text-gray-600">{t("settings.sources.maxPages")}</label>
+                    <Input type="number" min={1} value={pg.maxPages} onChange={(e) => setIn("pagination", "maxPages", parseInt(e.target.value || "1", 10))} />
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2 flex-wrap">
+            <Button type="submit" className="bg-emerald-600 text-white border-emerald-600 hover:bg-emerald-700">
+              {editId ? t("settings.sources.save") : <><Plus className="w-4 h-4"/> {t("settings.sources.add")}</>}
+            </Button>
+            <Button type="button" onClick={test} disabled={testing || !form.url.trim()}>
+              <RefreshCw className={`w-4 h-4 ${testing ? "animate-spin" : ""}`}/> {t("settings.sources.test")}
+            </Button>
+            {editId && <Button type="button" onClick={reset}>{t("common.cancel")}</Button>}
+            {error && <span className="text-sm text-red-600">{error}</span>}
+          </div>
+        </form>
+
+        {preview && (
+          <div className="mt-4 space-y-2">
+            <div className="text-sm text-gray-700">
+              {t("settings.sources.previewRows", { n: preview.rows.length, pages: preview.pages })}
+              {preview.errors.length > 0 && <span className="text-amber-700"> • {t("settings.sources.previewErrors", { n: preview.errors.length })}</span>}
+            </div>
+            {preview.rows.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="text-left text-gray-600">
+                    <tr>
+                      <th className="py-2 pr-4">{t("market.col.commodity")}</th>
+                      <th className="py-2 pr-4">{t("market.col.market")}</th>
+                      <th className="py-2 pr-4">{t("market.col.price")}</th>
+                      <th className="py-2 pr-4">{t("buyers.form.unit")}</th>
+                      <th className="py-2 pr-4">{t("market.col.time")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.rows.slice(0, 10).map((r, i) => (
+                      <tr key={i} className="border-t">
+                        <td className="py-2 pr-4">{r.commodity}</td>
+                        <td className="py-2 pr-4">{r.market}</td>
+                        <td className="py-2 pr-4">{fmtRp(r.price)}</td>
+                        <td className="py-2 pr-4">{r.unit}</td>
+                        <td className="py-2 pr-4">{fmtDateTime(new Date(r.ts))}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {preview.errors.length > 0 && (
+              <ul className="text-xs text-amber-700 list-disc pl-5">
+                {preview.errors.slice(0, 10).map((m, i) => <li key={i}>{m}</li>)}
+                {preview.errors.length > 10 && <li>{t("settings.sources.moreErrors", { n: preview.errors.length - 10 })}</li>}
+              </ul>
+            )}
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
+
+// Tabel konversi satuan; perubahan ikut tersimpan lewat tombol Simpan pengaturan
+function UnitConversionEditor({ table, error, onChange }) {
+  const update = (i, patch) => onChange(table.map((e, j) => (j === i ? { ...e, ...patch } : e)));
+  return (
+    <Card>
+      <CardHeader title={t("settings.units.title")} subtitle={t("settings.units.subtitle")} icon={ShoppingCart} />
+      <CardBody>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-600">
+              <tr>
+                <th className="py-2 pr-4">{t("market.col.commodity")}</th>
+                <th className="py-2 pr-4">{t("buyers.form.unit")}</th>
+                <th className="py-2 pr-4">= kg</th>
+                <th className="py-2 pr-4"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {table.map((e, i) => (
+                <tr key={i} className="border-t">
+                  <td className="py-2 pr-4"><Input value={e.commodity} onChange={(ev) => update(i, { commodity: ev.target.value })} /></td>
+                  <td className="py-2 pr-4"><Input value={e.unit} onChange={(ev) => update(i, { unit: ev.target.value })} /></td>
+                  <td className="py-2 pr-4"><Input type="number" min={0} step="any" value={e.kg} onChange={(ev) => update(i, { kg: numOrEmpty(ev.target.value) })} /></td>
+                  <td className="py-2 pr-4">
+                    <button onClick={() => onChange(table.filter((_, j) => j !== i))} className="text-xs text-red-600 hover:underline">{t("common.delete")}</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="mt-3 flex items-center gap-2">
+          <Button onClick={() => onChange([...table, { commodity: "", unit: "", kg: "" }])}><Plus className="w-4 h-4"/> {t("settings.units.add")}</Button>
+          <Button onClick={() => onChange(DEFAULT_UNIT_CONVERSIONS)}>{t("settings.units.reset")}</Button>
+        </div>
+        <FieldError message={error && t("settings.units.row", { error })} />
+      </CardBody>
+    </Card>
+  );
+}
+
+const EMPTY_FIELD = { name: "", latitude: "", longitude: "", areaHa: "", crop: "padi", plantingDate: "" };
+
+function FieldManager({ fields, rules, config, onSave }) {
+  const [form, setForm] = useState(EMPTY_FIELD);
+  const [editId, setEditId] = useState(null);
+  const [error, setError] = useState("");
+
+  const formAt = useMemo(() => ({ latitude: parseFloat(form.latitude), longitude: parseFloat(form.longitude) }), [form.latitude, form.longitude]);
+  const markers = useMemo(
+    () => [
+      ...fields.filter((f) => f.id !== editId && hasCoords(f)).map((f) => ({ id: f.id, latitude: Number(f.latitude), longitude: Number(f.longitude), color: MAP_COLORS.picked, label: f.name })),
+      ...(hasCoords(formAt) ? [{ id: "form", ...formAt, color: MAP_COLORS.field, radius: 10, label: form.name || t("settings.fields.new") }] : []),
+    ],
+    [fields, editId, formAt, form.name]
+  );
+
+  const reset = () => {
+    setForm(EMPTY_FIELD);
+    setEditId(null);
+    setError("");
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    const field = {
+      ...form,
+      name: form.name.trim() || t("settings.fields.defaultName", { n: fields.length + 1 }),
+      latitude: numOrEmpty(String(form.latitude).trim()),
+      longitude: numOrEmpty(String(form.longitude).trim()),
+      areaHa: parseFloat(form.areaHa) || 0,
+    };
+    const problems = validateField(field);
+    if (problems.length) {
+      setError(problems.join(" "));
+      return;
+    }
+    if (editId) {
+      onSave(fields.map((f) => (f.id === editId ? { ...field, id: editId } : f)));
+    } else {
+      onSave([...fields, { ...field, id: crypto.randomUUID() }]);
+    }
+    reset();
+  };
+
+  const remove = (id) => {
+    if (fields.length <= 1) return;
+    onSave(fields.filter((f) => f.id !== id));
+    if (editId === id) reset();
+  };
+
+  return (
+    <Card>
+      <CardHeader title={t("settings.fields.title")} subtitle={t("settings.fields.subtitle")} icon={LayoutGrid} />
+      <CardBody>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-600">
+              <tr>
+                <th className="py-2 pr-4">{t("settings.sources.name")}</th>
+                <th className="py-2 pr-4">{t("weather.coords")}</th>
+                <th className="py-2 pr-4">{t("settings.fields.area")}</th>
+                <th className="py-2 pr-4">{t("market.col.commodity")}</th>
+                <th className="py-2 pr-4">{t("settings.fields.planted")}</th>
+                <th className="py-2 pr-4"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map((f) => (
+                <tr key={f.id} className="border-t">
+                  <td className="py-2 pr-4 font-medium">{f.name}</td>
+                  <td className="py-2 pr-4">{Number(f.latitude).toFixed(4)}, {Number(f.longitude).toFixed(4)}</td>
+                  <td className="py-2 pr-4">{fmt.format(Number(f.areaHa) || 0)}</td>
+                  <td className="py-2 pr-4">{guideFor(f.crop)?.name || f.crop}</td>
+                  <td className="py-2 pr-4">{f.plantingDate || "-"}</td>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    <button onClick={() => { setEditId(f.id); setForm({ ...EMPTY_FIELD, ...f }); setError(""); }} className="text-xs text-emerald-700 hover:underline mr-3">{t("common.edit")}</button>
+                    {fields.length > 1 && <button onClick={() => remove(f.id)} className="text-xs text-red-600 hover:underline">{t("common.delete")}</button>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <form onSubmit={submit} className="mt-4 grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-3 items-end">
+          <div>
+            <label className="text-xs text-gray-600">{t("settings.fields.name")}</label>
+            <Input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder={t("settings.fields.namePlaceholder")} />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">{t("common.latitude")}</label>
+            <Input required type="number" step="0.0001" value={form.latitude} onChange={(e) => setForm({ ...form, latitude: e.target.value })} />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">{t("common.longitude")}</label>
+            <Input required type="number" step="0.0001" value={form.longitude} onChange={(e) => setForm({ ...form, longitude: e.target.value })} />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">{t("settings.fields.area")}</label>
+            <Input type="number" step="0.01" min={0} value={form.areaHa} onChange={(e) => setForm({ ...form, areaHa: e.target.value })} />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">{t("market.col.commodity")}</label>
+            <Select value={form.crop} onChange={(e) => setForm({ ...form, crop: e.target.value })}>
+              {cropOptions(rules).map((o) => (
+                <option key={o.value} value={o.value}>{o.label}</option>
+              ))}
+            </Select>
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">{t("guides.plantingDate")}</label>
+            <Input type="date" value={form.plantingDate} onChange={(e) => setForm({ ...form, plantingDate: e.target.value })} />
+          </div>
+          <div className="md:col-span-3 lg:col-span-6 space-y-2">
+            <PlaceSearch
+              config={config}
+              onPick={(p) => setForm({ ...form, name: form.name || p.name || "", latitude: p.latitude.toFixed(5), longitude: p.longitude.toFixed(5) })}
+            />
+            <MapView
+              tiles={mapTiles(config)}
+              center={hasCoords(formAt) ? formAt : { latitude: Number(fields[0].latitude), longitude: Number(fields[0].longitude) }}
+              markers={markers}
+              className="h-56"
+              onPick={(lat, lon) => setForm({ ...form, latitude: lat.toFixed(5), longitude: lon.toFixed(5) })}
+            />
+            <div className="mt-1 text-xs text-gray-500">{t("settings.fields.mapHint")}</div>
+          </div>
+          <div className="md:col-span-3 lg:col-span-6 flex items-center gap-2">
+            <Button type="submit" className="bg-emerald-600 text-white border-emerald-600 hover:bg-emerald-700">
+              {editId ? t("settings.fields.save") : <><Plus className="w-4 h-4"/> {t("settings.fields.add")}</>}
+            </Button>
+            {editId && <Button type="button" onClick={reset}>{t("common.cancel")}</Button>}
+            {error && <span className="text-sm text-red-600">{error}</span>}
+          </div>
+        </form>
+      </CardBody>
+    </Card>
+  );
+}
+
+const EMPTY_RULE = {
+  id: "",
+  crop: "",
+  pest: "",
+  level: 0.5,
+  note: "",
+  action: "",
+  conditions: [{ var: "tMean24", op: ">=", value: 25, weight: 1 }],
+};
+
+function RuleEditor({ rules, onSave }) {
+  const [draft, setDraft] = useState(rules);
+  const [sel, setSel] = useState(0);
+  const [importError, setImportError] = useState("");
+  const [saved, setSaved] = useState(false);
+  const fileRef = useRef(null);
+
+  const problems = useMemo(() => validateRules(draft), [draft]);
+  const rule = draft[sel];
+  const ruleErrors = problems.find((x) => x.index === sel)?.errors || [];
+
+  const edit = (next) => {
+    setDraft(next);
+    setSaved(false);
+  };
+  const patchRule = (patch) => edit(draft.map((r, i) => (i === sel ? { ...r, ...patch } : r)));
+  const patchCond = (ci, patch) =>
+    patchRule({ conditions: rule.conditions.map((c, i) => (i === ci ? { ...c, ...patch } : c)) });
+
+  const add = () => {
+    edit([...draft, { ...EMPTY_RULE, id: `aturan-${Date.now()}` }]);
+    setSel(draft.length);
+  };
+  const remove = () => {
+    edit(draft.filter((_, i) => i !== sel));
+    setSel(Math.max(0, sel - 1));
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setImportError("");
+      const json = JSON.parse(await file.text());
+      const bad = validateRules(json);
+      if (bad.length) {
+        throw new Error(bad.map((b) => `${b.id || `#${b.index + 1}`}: ${b.errors.join(" ")}`).join(" • "));
+      }
+      edit(json);
+      setSel(0);
+    } catch (err) {
+      setImportError(t("settings.transfer.failed", { error: err.message }));
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader title={t("settings.rules.title")} subtitle={t("settings.rules.subtitle")} icon={AlertTriangle} />
+      <CardBody>
+        <div className="flex flex-wrap items-center gap-2">
+          <Button onClick={add}><Plus className="w-4 h-4"/> {t("settings.rules.add")}</Button>
+          <Button onClick={() => fileRef.current?.click()}><Upload className="w-4 h-4"/> {t("settings.importJson")}</Button>
+          <Button onClick={() => downloadFile("agrihub-aturan-hama.json", JSON.stringify(draft, null, 2))}><Download className="w-4 h-4"/> {t("settings.exportJson")}</Button>
+          <Button onClick={() => { edit(DEFAULT_PEST_RULES); setSel(0); }}>{t("settings.rules.restore")}</Button>
+          <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={importFile} />
+        </div>
+        {importError && <div className="mt-2 text-sm text-red-600">{importError}</div>}
+
+        <div className="mt-4 grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <div className="space-y-1 max-h-96 overflow-y-auto">
+            {draft.length === 0 && <div className="text-sm text-gray-500">{t("settings.rules.none")}</div>}
+            {draft.map((r, i) => {
+              const bad = problems.some((x) => x.index === i);
+              return (
+                <button
+                  key={i}
+                  onClick={() => setSel(i)}
+                  className={`w-full text-left rounded-xl border px-3 py-2 text-sm ${i === sel ? "bg-emerald-600 text-white border-emerald-600" : "bg-white hover:bg-gray-50"}`}
+                >
+                  <div className="font-medium">{r?.pest || t("settings.rules.unnamed")} {bad && <span className={i === sel ? "" : "text-red-600"}>⚠</span>}</div>
+                  <div className={`text-xs ${i === sel ? "text-emerald-50" : "text-gray-500"}`}>{r?.crop || "-"} • {r?.id}</div>
+                </button>
+              );
+            })}
+          </div>
+
+          {rule && (
+            <div className="lg:col-span-2 space-y-3">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                <div>
+                  <label className="text-xs text-gray-600">ID</label>
+                  <Input value={rule.id} onChange={(e) => patchRule({ id: e.target.value })} />
+                </div>
+                <div>
+                  <label className="text-xs text-gray-600">{t("settings.rules.crop")}</label>
+                  <Input list="rule-crops" value={rule.crop} onChange={(e) => patchRule({ crop: e.target.value.trim() })} />
+                  <datalist id="rule-crops">
+                    {cropOptions(draft).map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                  </datalist>
+                </div>
+                <div>
+                  <label className="text-xs text-gray-600">{t("settings.rules.pest")}</label>
+                  <Input value={rule.pest} onChange={(e) => patchRule({ pest: e.target.value })} />
+                </div>
+                <div>
+                  <label className="text-xs text-gray-600">{t("settings.rules.level")}</label>
+                  <Input type="number" step="0.05" min={0} max={1} value={rule.level} onChange={(e) => patchRule({ level: numOrEmpty(e.target.value) })} />
+                </div>
+              </div>
+              <div>
+                <label className="text-xs text-gray-600">{t("calendar.form.notes")}</label>
+                <Input value={rule.note || ""} onChange={(e) => patchRule({ note: e.target.value })} />
+              </div>
+              <div>
+                <label className="text-xs text-gray-600">{t("settings.rules.action")}</label>
+                <Input value={rule.action || ""} onChange={(e) => patchRule({ action: e.target.value })} />
+              </div>
+
+              {GUIDES[rule.crop] && (
+                <div>
+                  <div className="text-xs text-gray-600 mb-1">{t("settings.rules.stageWeights")}</div>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    {GUIDES[rule.crop].stages.map((st) => (
+                      <div key={st.title}>
+                        <label className="text-xs text-gray-500">{stageLabel(rule.crop, st.title)}</label>
+                        <Input
+                          type="number"
+                          step="0.1"
+                          min={0}
+                          max={1}
+                          value={rule.stageWeights?.[st.title] ?? ""}
+                          onChange={(e) => {
+                            const { [st.title]: _, ...rest } = rule.stageWeights || {};
+                            const v = numOrEmpty(e.target.value);
+                            patchRule({ stageWeights: v === "" ? rest : { ...rest, [st.title]: v } });
+                          }}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <div className="text-xs text-gray-600 mb-1">{t("settings.rules.conditions")}</div>
+                <div className="space-y-2">
+                  {(rule.conditions || []).map((c, ci) => (
+                    <div key={ci} className="grid grid-cols-12 gap-2 items-center">
+                      <Select className="col-span-4" value={c.var} onChange={(e) => patchCond(ci, { var: e.target.value })}>
+                        {Object.keys(RULE_VARS).map((k) => <option key={k} value={k}>{ruleVarLabel(k)} ({ruleVarUnit(k)})</option>)}
+                      </Select>
+                      <Select
+                        className="col-span-2"
+                        value={c.op}
+                        onChange={(e) => {
+                          const op = e.target.value;
+                          const value = op === "between" ? (Array.isArray(c.value) ? c.value : [c.value, c.value]) : (Array.isArray(c.value) ? c.value[0] : c.value);
+                          patchCond(ci, { op, value });
+                        }}
+                      >
+                        {Object.keys(RULE_OPS).map((op) => <option key={op} value={op}>{op}</option>)}
+                      </Select>
+                      {c.op === "between" ? (
+                        <div className="col-span-3 grid grid-cols-2 gap-1">
+                          <Input type="number" value={c.value?.[0] ?? ""} onChange={(e) => patchCond(ci, { value: [numOrEmpty(e.target.value), c.value?.[1]] })} />
+                          <Input type="number" value={c.value?.[1] ?? ""} onChange={(e) => patchCond(ci, { value: [c.value?.[0], numOrEmpty(e.target.value)] })} />
+                        </div>
+                      ) : (
+                        <Input className="col-span-3" type="number" value={c.value ?? ""} onChange={(e) => patchCond(ci, { value: numOrEmpty(e.target.value) })} />
+                      )}
+                      <Input className="col-span-2" type="number" step="0.05" title={t("settings.rules.weight")} value={c.weight ?? 1} onChange={(e) => patchCond(ci, { weight: numOrEmpty(e.target.value) })} />
+                      <button className="col-span-1 text-red-600" title={t("settings.rules.removeCondition")} onClick={() => patchRule({ conditions: rule.conditions.filter((_, i) => i !== ci) })}>
+                        <Trash2 className="w-4 h-4"/>
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <Button className="mt-2" onClick={() => patchRule({ conditions: [...(rule.conditions || []), { ...EMPTY_RULE.conditions[0] }] })}>
+                  <Plus className="w-4 h-4"/> {t("settings.rules.condition")}
+                </Button>
+              </div>
+
+              {ruleErrors.length > 0 && (
+                <ul className="text-sm text-red-600 list-disc pl-5">
+                  {ruleErrors.map((x, i) => <li key={i}>{x}</li>)}
+                </ul>
+              )}
+              <Button onClick={remove} className="text-red-600"><Trash2 className="w-4 h-4"/> {t("settings.rules.remove")}</Button>
+            </div>
+          )}
+        </div>
+
+        <div className="mt-4 flex items-center gap-3">
+          <Button
+            disabled={problems.length > 0}
+            onClick={() => { onSave(draft); setSaved(true); }}
+            className="bg-emerald-600 text-white border-emerald-600 hover:bg-emerald-700 disabled:opacity-50"
+          >
+            {t("settings.rules.save")}
+          </Button>
+          <div className="text-sm text-gray-600">
+            {problems.length > 0
+              ? t("settings.rules.invalid", { n: problems.length })
+              : saved ? t("settings.rules.saved") : t("settings.rules.summary", { n: draft.length })}
+          </div>
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
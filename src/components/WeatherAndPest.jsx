@@ -0,0 +1,657 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  CloudRain,
+  CloudSun,
+  Thermometer,
+  Droplets,
+  AlertTriangle,
+  Bell,
+  LineChart,
+  MapPin,
+  RefreshCw,
+  SprayCan,
+  Sprout,
+  Tractor,
+  Waves,
+  Wheat,
+  Wind,
+} from "lucide-react";
+import {
+  Button,
+  Card,
+  CardBody,
+  CardHeader,
+  FieldError,
+  Input,
+  SectionTitle,
+  Select,
+  StaleBanner,
+  invalid,
+  numOrEmpty,
+} from "./ui.jsx";
+import { ACTIVITIES, fieldWorkAdvice, mainBlocker, ruleSummary } from "../lib/advisor.js";
+import { CONFIG_SCHEMA, DEFAULT_CONFIG, checkConfigValue } from "../lib/config.js";
+import { clamp, fmt, fmtDate, fmtDateTime, fmtFixed } from "../lib/format.js";
+import { fmtHst, guideFor, stageAt } from "../lib/guides.js";
+import { dateFormat, getLocale, t } from "../lib/i18n.js";
+import { withOfflineCache } from "../lib/offline.js";
+import { assessRisk, buildIndicators, currentHourIndex, dailyRiskTimeline } from "../lib/risk.js";
+import { FIELD_KEYS, cropOptions } from "../lib/storage.js";
+import { waterBalance } from "../lib/water.js";
+import { WARNING_KINDS, warningAdvice, warningLabel } from "../lib/weatherWarnings.js";
+import { fetchWeather, pastDaysFor } from "../lib/weather.js";
+import { MAP_COLORS, MapView, PlaceSearch, mapTiles } from "./MapPanel.jsx";
+
+// ===================== Cuaca & Hama =====================
+export function WeatherAndPest({ config, rules, areaHa = 1, warnings = [], warningLog = [], onChangeConfig, onSaveWarnings }) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [data, setData] = useState(null);
+  const [lastFetch, setLastFetch] = useState(null);
+  const [asOf, setAsOf] = useState(null);
+
+  const refresh = async () => {
+    try {
+      setError("");
+      setLoading(true);
+      const { data: json, asOf: cachedAt } = await withOfflineCache(`weather:${config.latitude},${config.longitude}`, () =>
+        fetchWeather(config.latitude, config.longitude, config.forecastDays, pastDaysFor(config.plantingDate))
+      );
+      setData(json);
+      setAsOf(cachedAt);
+      if (!cachedAt) setLastFetch(new Date());
+    } catch (e) {
+      setError(e.message || t("common.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // interval memanggil refresh terkini lewat ref; jadwal dibuat ulang hanya bila lokasi/pengaturan ramalan berubah
+  const refreshRef = useRef(refresh);
+  refreshRef.current = refresh;
+  useEffect(() => {
+    const run = () => refreshRef.current();
+    run();
+    if (config.refreshMinutes > 0) {
+      const id = setInterval(run, config.refreshMinutes * 60 * 1000);
+      return () => clearInterval(id);
+    }
+  }, [config.latitude, config.longitude, config.refreshMinutes, config.forecastDays, config.plantingDate]);
+
+  const indicators = useMemo(
+    () => buildIndicators(data?.hourly, { crop: config.crop, plantingDate: config.plantingDate }),
+    [data, config.crop, config.plantingDate]
+  );
+  const nowIndex = useMemo(() => currentHourIndex(data?.hourly, data?.current?.time), [data]);
+
+  // teks risiko diterjemahkan saat dihitung → ikut dihitung ulang bila bahasa berganti
+  const locale = getLocale();
+  const timeline = useMemo(
+    () => dailyRiskTimeline(config.crop, indicators, data?.current?.time?.slice(0, 10), rules),
+    [indicators, config.crop, data, rules, locale]
+  );
+
+  const current = useMemo(() => {
+    if (!data?.current) return null;
+    const temp = data.current.temperature_2m;
+    const h = data.current.relative_humidity_2m;
+    const p = data.current.precipitation ?? 0;
+    const wind = data.current.wind_speed_10m;
+    const gust = data.current.wind_gusts_10m;
+    // indikator akumulasi dari deret jam-jaman, nilai instan dari `current`
+    const ind = indicators[nowIndex] ? { ...indicators[nowIndex], t: temp, rh: h, p } : null;
+    const risk = assessRisk(config.crop, ind, rules);
+    return { temp, h, p, wind, gust, ind, risk };
+  }, [data, indicators, nowIndex, config.crop, rules, locale]);
+
+  const advice = useMemo(
+    () => fieldWorkAdvice(data?.hourly, config.crop, Math.max(0, nowIndex)),
+    [data, nowIndex, config.crop, locale]
+  );
+
+  const water = useMemo(
+    () => waterBalance(data, { crop: config.crop, plantingDate: config.plantingDate, areaHa }),
+    [data, config.crop, config.plantingDate, areaHa]
+  );
+
+  // Teks koordinat yang sedang diketik; hanya nilai valid yang diteruskan ke lahan aktif
+  const [coords, setCoords] = useState({ latitude: String(config.latitude), longitude: String(config.longitude) });
+  useEffect(() => {
+    setCoords((c) => ({
+      latitude: Number(c.latitude) === config.latitude ? c.latitude : String(config.latitude),
+      longitude: Number(c.longitude) === config.longitude ? c.longitude : String(config.longitude),
+    }));
+  }, [config.latitude, config.longitude]);
+  const coordErrors = Object.fromEntries(FIELD_KEYS.slice(0, 2).map((k) => [k, checkConfigValue(CONFIG_SCHEMA[k], numOrEmpty(coords[k].trim()))]));
+  const editCoord = (key, text) => {
+    setCoords({ ...coords, [key]: text });
+    if (!checkConfigValue(CONFIG_SCHEMA[key], numOrEmpty(text.trim()))) onChangeConfig({ ...config, [key]: Number(text) });
+  };
+
+  const locationMarker = useMemo(
+    () => [{ id: "field", latitude: config.latitude, longitude: config.longitude, color: MAP_COLORS.field, radius: 10 }],
+    [config.latitude, config.longitude]
+  );
+
+  const hst = current?.ind?.hst;
+  const guide = guideFor(config.crop);
+  const stage = stageAt(config.crop, hst, guide);
+  const stageLabel = hst == null ? "" : ` • ${fmtHst(hst)}${stage ? `, ${t("guides.stage")} ${stage.title}` : ""}`;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <Card className="lg:col-span-2">
+        <CardHeader title={t("weather.current")} subtitle={lastFetch ? t("weather.lastUpdated", { time: fmtDateTime(lastFetch) }) : t("weather.realtime")} icon={CloudSun} />
+        <CardBody>
+          <StaleBanner asOf={asOf} />
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            <Metric icon={Thermometer} label={t("weather.temp")} value={current ? `${fmtFixed(current.temp, 1)} °C` : "-"} />
+            <Metric icon={Droplets} label={t("weather.humidity")} value={current ? `${fmtFixed(current.h)} %` : "-"} />
+            <Metric icon={CloudRain} label={t("weather.rain")} value={current ? `${fmtFixed(current.p, 2)} mm` : "-"} />
+            <Metric icon={Wind} label={t("weather.wind")} value={current?.wind != null ? `${fmtFixed(current.wind)} ${t("weather.kmh")}` : "-"} hint={current?.gust != null ? t("weather.gustValue", { v: fmtFixed(current.gust) }) : ""} />
+            <Metric icon={MapPin} label={t("weather.coords")} value={`${config.latitude.toFixed(3)}, ${config.longitude.toFixed(3)}`} />
+          </div>
+
+          <div className="mt-6 flex items-center gap-3">
+            <Button onClick={refresh} className="bg-emerald-50 hover:bg-emerald-100"><RefreshCw className="w-4 h-4"/> {t("common.refresh")}</Button>
+            {loading && <span className="text-sm text-gray-500">{t("common.loading")}</span>}
+            {error && <span className="text-sm text-red-600">{error}</span>}
+          </div>
+        </CardBody>
+      </Card>
+
+      <Card>
+        <CardHeader title={t("weather.riskTitle")} subtitle={`${t("weather.cropLabel", { crop: guide?.name || config.crop })}${stageLabel}`} icon={AlertTriangle} />
+        <CardBody>
+          {current ? (
+            <div>
+              <RiskBar level={current.risk.level} />
+              <div className="mt-2 text-sm text-gray-700">{t("fields.highest")} <b>{current.risk.headline}</b> — {current.risk.headlineNote}</div>
+              <ul className="mt-3 space-y-2 text-sm">
+                {current.risk.risks.length === 0 && <li>{t("weather.safe")}</li>}
+                {current.risk.risks.map((r, i) => (
+                  <li key={i} className="flex items-start gap-2">
+                    <span className="mt-1 w-1.5 h-1.5 rounded-full bg-amber-500"/>
+                    <div>
+                      <b>{r.name}</b> — {r.note} ({t("weather.score", { score: Math.round(r.level*100) })})
+                      {r.factors.length > 0 && (
+                        <ul className="mt-1 text-xs text-gray-600 list-disc pl-4">
+                          {r.factors.map((f, j) => <li key={j}>{f}</li>)}
+                        </ul>
+                      )}
+                      {r.action && <div className="mt-1 text-xs text-emerald-800">{t("weather.action", { action: r.action })}</div>}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              {current.ind && <IndicatorList ind={current.ind} />}
+              <div className="mt-4 text-xs text-gray-500">{t("weather.disclaimer")}</div>
+            </div>
+          ) : (
+            <div className="text-sm text-gray-500">{t("common.loadingData")}</div>
+          )}
+        </CardBody>
+      </Card>
+
+      <Card className="lg:col-span-3">
+        <CardHeader title={t("weather.timelineTitle", { n: timeline.length })} subtitle={t("weather.timelineSubtitle")} icon={AlertTriangle} />
+        <CardBody>
+          <RiskTimeline days={timeline} />
+        </CardBody>
+      </Card>
+
+      <ExtremeWeather config={config} warnings={warnings} log={warningLog} onSave={onSaveWarnings} />
+
+      <Card className="lg:col-span-3">
+        <CardHeader title={t("advisor.title")} subtitle={t("advisor.subtitle", { crop: guide?.name || config.crop })} icon={Tractor} />
+        <CardBody>
+          <FieldWorkAdvisor advice={advice} />
+        </CardBody>
+      </Card>
+
+      <Card className="lg:col-span-3">
+        <CardHeader title={t("water.title")} subtitle={t("water.subtitle", { crop: guide?.name || config.crop, area: fmtFixed(areaHa, 2) })} icon={Waves} />
+        <CardBody>
+          <WaterBalance water={water} />
+        </CardBody>
+      </Card>
+
+      <Card className="lg:col-span-3">
+        <CardHeader title={t("weather.hourlyTitle")} subtitle={t("weather.hourlySubtitle")} icon={LineChart} />
+        <CardBody>
+          <HourlyTable data={data} start={Math.max(0, nowIndex)} />
+        </CardBody>
+      </Card>
+
+      <Card className="lg:col-span-3">
+        <CardHeader title={t("weather.locationTitle")} subtitle={t("weather.locationSubtitle")} icon={MapPin} />
+        <CardBody>
+          {config.latitude === DEFAULT_CONFIG.latitude && config.longitude === DEFAULT_CONFIG.longitude && (
+            <div className="mb-3 rounded-xl bg-amber-50 text-amber-800 text-sm px-3 py-2">
+              {t("weather.defaultCoords")}
+            </div>
+          )}
+          <div className="mb-4">
+            <PlaceSearch
+              config={config}
+              onPick={(p) => onChangeConfig({ ...config, latitude: Number(p.latitude.toFixed(4)), longitude: Number(p.longitude.toFixed(4)) })}
+            />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            <div>
+              <label className="text-xs text-gray-600">{t("common.latitude")}</label>
+              <Input type="number" step="0.0001" className={invalid(coordErrors.latitude)} value={coords.latitude} onChange={(e) => editCoord("latitude", e.target.value)} />
+              <FieldError message={coordErrors.latitude} />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("common.longitude")}</label>
+              <Input type="number" step="0.0001" className={invalid(coordErrors.longitude)} value={coords.longitude} onChange={(e) => editCoord("longitude", e.target.value)} />
+              <FieldError message={coordErrors.longitude} />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("guides.crops")}</label>
+              <Select value={config.crop} onChange={(e) => onChangeConfig({ ...config, crop: e.target.value })}>
+                {cropOptions(rules).map((o) => (
+                  <option key={o.value} value={o.value}>{o.label}</option>
+                ))}
+              </Select>
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("weather.autoRefresh")}</label>
+              <Input type="number" min={0} value={config.refreshMinutes} onChange={(e) => onChangeConfig({ ...config, refreshMinutes: parseInt(e.target.value || "0", 10) })} />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("weather.forecastDays")}</label>
+              <Input type="number" min={1} max={16} value={config.forecastDays} onChange={(e) => onChangeConfig({ ...config, forecastDays: clamp(parseInt(e.target.value || "1", 10), 1, 16) })} />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">{t("guides.plantingDate")}</label>
+              <Input type="date" value={config.plantingDate} onChange={(e) => onChangeConfig({ ...config, plantingDate: e.target.value })} />
+            </div>
+          </div>
+          <div className="mt-4">
+            <MapView
+              tiles={mapTiles(config)}
+              center={{ latitude: config.latitude, longitude: config.longitude }}
+              markers={locationMarker}
+              onPick={(lat, lon) => onChangeConfig({ ...config, latitude: Number(lat.toFixed(4)), longitude: Number(lon.toFixed(4)) })}
+            />
+            <div className="mt-1 text-xs text-gray-500">{t("weather.mapHint")}</div>
+          </div>
+        </CardBody>
+      </Card>
+    </div>
+  );
+}
+
+function Metric({ icon: Icon, label, value, hint }) {
+  return (
+    <div className="rounded-2xl border bg-white p-4 flex items-center gap-3">
+      <div className="p-2 rounded-xl bg-emerald-50">
+        <Icon className="w-5 h-5 text-emerald-700" />
+      </div>
+      <div>
+        <div className="text-xs text-gray-500">{label}</div>
+        <div className="text-lg font-semibold">{value}</div>
+        {hint && <div className="text-xs text-gray-500">{hint}</div>}
+      </div>
+    </div>
+  );
+}
+
+export function RiskBar({ level }) {
+  const pct = Math.round(level * 100);
+  const color = level < 0.33 ? "bg-emerald-500" : level < 0.66 ? "bg-amber-500" : "bg-red-600";
+  const label = t(level < 0.33 ? "weather.level.low" : level < 0.66 ? "weather.level.medium" : "weather.level.high");
+  return (
+    <div>
+      <div className="h-3 bg-gray-100 rounded-full overflow-hidden">
+        <div className={`h-3 ${color}`} style={{ width: `${pct}%` }} />
+      </div>
+      <div className="mt-1 text-xs text-gray-600">{t("weather.scoreLevel", { score: pct, level: label })}</div>
+    </div>
+  );
+}
+
+function RiskTimeline({ days }) {
+  if (days.length === 0) return <div className="text-sm text-gray-500">{t("common.noData")}</div>;
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead className="text-left text-gray-600">
+          <tr>
+            <th className="py-2 pr-4">{t("calendar.form.date")}</th>
+            <th className="py-2 pr-4">{t("weather.mainPest")}</th>
+            <th className="py-2 pr-4 w-48">{t("weather.peakScore")}</th>
+            <th className="py-2 pr-4">{t("weather.hoursAtRisk")}</th>
+            <th className="py-2 pr-4">{t("weather.tempC")}</th>
+            <th className="py-2 pr-4">{t("weather.rainMm")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {days.map((d) => (
+            <tr key={d.date} className="border-t align-top">
+              <td className="py-2 pr-4 whitespace-nowrap">{fmtDate(d.date)}</td>
+              <td className="py-2 pr-4">
+                <b>{d.headline}</b>
+                {d.pests.length > 1 && (
+                  <div className="text-xs text-gray-500">+ {d.pests.filter((x) => x.name !== d.headline).map((x) => x.name).join(", ")}</div>
+                )}
+              </td>
+              <td className="py-2 pr-4"><RiskBar level={d.peak} /></td>
+              <td className="py-2 pr-4">{t("weather.hours", { n: d.hoursAtRisk })}</td>
+              <td className="py-2 pr-4">{fmtFixed(d.tMin)}–{fmtFixed(d.tMax)}</td>
+              <td className="py-2 pr-4">{fmtFixed(d.rain, 1)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Kunci konfigurasi ambang per jenis peringatan
+const WARNING_KEYS = { rain: "warnRainMm", heat: "warnHeatC", gust: "warnGustKmh" };
+
+function ExtremeWeather({ config, warnings, log, onSave }) {
+  const [form, setForm] = useState(() => Object.fromEntries(WARNING_KINDS.map((k) => [k, config[WARNING_KEYS[k]]])));
+  const errors = Object.fromEntries(WARNING_KINDS.map((k) => [k, checkConfigValue(CONFIG_SCHEMA[WARNING_KEYS[k]], form[k])]));
+  const valid = WARNING_KINDS.every((k) => !errors[k]);
+  const changed = WARNING_KINDS.some((k) => form[k] !== config[WARNING_KEYS[k]]);
+  const toggleBrowser = async (enabled) => {
+    if (enabled && typeof Notification !== "undefined" && Notification.permission === "default") {
+      await Notification.requestPermission();
+    }
+    onSave({ weatherNotify: enabled });
+  };
+  return (
+    <Card className="lg:col-span-3">
+      <CardHeader title={t("warnings.title")} subtitle={t("warnings.subtitle")} icon={Bell} />
+      <CardBody>
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div>
+            <SectionTitle title={t("warnings.active")} />
+            {warnings.length === 0 && <div className="text-sm text-gray-500">{t("warnings.none")}</div>}
+            <ul className="space-y-2 text-sm">
+              {warnings.map((w) => (
+                <li key={w.id} className="rounded-xl bg-red-50 text-red-800 px-3 py-2">
+                  <div><b>{fmtDate(w.date)}</b>: {warningLabel(w)}</div>
+                  <div className="text-xs">{warningAdvice(w)}</div>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div>
+            <SectionTitle title={t("warnings.thresholds")} />
+            <div className="grid grid-cols-3 gap-3">
+              {WARNING_KINDS.map((k) => (
+                <div key={k}>
+                  <label className="text-xs text-gray-600">{t(`warnings.threshold.${k}`)}</label>
+                  <Input type="number" className={invalid(errors[k])} value={form[k]} onChange={(e) => setForm({ ...form, [k]: numOrEmpty(e.target.value) })} />
+                  <FieldError message={errors[k]} />
+                </div>
+              ))}
+            </div>
+            <div className="mt-3 flex items-center gap-3">
+              <Button
+                disabled={!valid || !changed}
+                onClick={() => onSave(Object.fromEntries(WARNING_KINDS.map((k) => [WARNING_KEYS[k], form[k]])))}
+                className="bg-emerald-600 text-white border-emerald-600 hover:bg-emerald-700 disabled:opacity-50"
+              >
+                {t("common.save")}
+              </Button>
+              <label className="flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={config.weatherNotify} onChange={(e) => toggleBrowser(e.target.checked)} />
+                {t("alerts.browser")}
+              </label>
+            </div>
+            {config.weatherNotify && typeof Notification !== "undefined" && Notification.permission === "denied" && (
+              <div className="mt-2 text-xs text-red-600">{t("common.notificationsDenied")}</div>
+            )}
+            <div className="mt-2 text-xs text-gray-500">{t("warnings.help")}</div>
+          </div>
+          <div>
+            <SectionTitle title={t("warnings.history")} />
+            {log.length === 0 && <div className="text-sm text-gray-500">{t("warnings.noHistory")}</div>}
+            <ul className="space-y-2 text-sm max-h-64 overflow-y-auto">
+              {log.slice(0, 50).map((l) => (
+                <li key={l.id} className="border-b pb-1">
+                  <div>{l.fieldName} • {fmtDate(l.date)}: {warningLabel(l)}</div>
+                  <div className="text-xs text-gray-500">{t("warnings.recordedAt", { time: fmtDateTime(new Date(l.ts)) })}</div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
+
+const ACTIVITY_ICONS = { spray: SprayCan, fertilize: Sprout, harvest: Wheat };
+const hourFmt = () => dateFormat({ hour: "2-digit", minute: "2-digit" });
+
+// "Sen, 19 Okt 07.00–11.00 (4 jam)"; jendela yang sudah berjalan → "Sekarang hingga 11.00"
+function fmtWindow(w, nowTime) {
+  const end = hourFmt().format(new Date(w.end));
+  const span = t("weather.hours", { n: w.hours });
+  if (w.start === nowTime) return t("advisor.nowUntil", { end, span });
+  const day = dateFormat({ weekday: "short", day: "numeric", month: "short" }).format(new Date(w.start));
+  return `${day} ${hourFmt().format(new Date(w.start))}–${end} (${span})`;
+}
+
+function FieldWorkAdvisor({ advice, horizon = 48 }) {
+  if (!advice.spray.hours.length) return <div className="text-sm text-gray-500">{t("common.noData")}</div>;
+  return (
+    <div className="space-y-4">
+      {ACTIVITIES.map((a) => {
+        const { rule, hours, windows, next } = advice[a];
+        const Icon = ACTIVITY_ICONS[a];
+        const now = hours[0];
+        return (
+          <div key={a} className="rounded-2xl border p-4">
+            <div className="flex flex-wrap items-center gap-2">
+              <Icon className="w-5 h-5 text-emerald-700" />
+              <div className="font-medium">{t(`advisor.activity.${a}`)}</div>
+              {!now.night && (
+                <span className={`text-xs rounded-full px-2 py-0.5 ${now.ok ? "bg-emerald-100 text-emerald-800" : "bg-red-50 text-red-700"}`}>
+                  {now.ok ? t("advisor.nowOk") : t("advisor.nowNotOk")}
+                </span>
+              )}
+              {windows.length > 1 && <span className="text-xs text-gray-500">{t("advisor.windowCount", { n: windows.length })}</span>}
+            </div>
+            <div className="mt-2 text-sm">
+              {next ? (
+                <>{t("advisor.next")} <b>{fmtWindow(next, now.time)}</b></>
+              ) : (
+                <span className="text-amber-700">{t("advisor.none")}{mainBlocker(hours) && ` — ${mainBlocker(hours)}`}</span>
+              )}
+            </div>
+            {!now.ok && !now.night && <div className="text-xs text-gray-500">{t("advisor.nowBecause", { reasons: now.reasons.map((r) => r.text).join(", ") })}</div>}
+            <HourStrip hours={hours.slice(0, horizon)} />
+            <div className="mt-1 text-xs text-gray-500">{t("advisor.criteria", { rules: ruleSummary(rule) })}</div>
+          </div>
+        );
+      })}
+      <div className="flex flex-wrap gap-4 text-xs text-gray-500">
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-emerald-500" /> {t("advisor.legend.ok")}</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-red-300" /> {t("advisor.legend.notOk")}</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-gray-100 border" /> {t("advisor.legend.offHours")}</span>
+      </div>
+      <div className="text-xs text-gray-500">{t("advisor.disclaimer")}</div>
+    </div>
+  );
+}
+
+// Satu kotak per jam: hijau cocok, merah tidak cocok, abu-abu di luar jam kerja
+function HourStrip({ hours }) {
+  return (
+    <div className="mt-3 flex gap-px overflow-x-auto">
+      {hours.map((h) => {
+        const hour = Number(h.time.slice(11, 13));
+        const label = `${fmtDate(h.time.slice(0, 10))} ${hourFmt().format(new Date(h.time))}`;
+        return (
+          <div key={h.time} className="flex-1 min-w-[10px]" title={h.ok ? label : `${label} — ${h.reasons.map((r) => r.text).join(", ")}`}>
+            <div className={`h-4 ${h.ok ? "bg-emerald-500" : h.night ? "bg-gray-100" : "bg-red-300"} ${hour === 0 ? "border-l border-gray-400" : ""}`} />
+            <div className="text-[10px] text-gray-400 text-center">{hour % 6 === 0 ? hour : ""}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function WaterBalance({ water }) {
+  const { days, today, warning, raw, params } = water;
+  if (!today) return <div className="text-sm text-gray-500">{t("common.noData")}</div>;
+  const ahead = days.filter((d) => d.date >= today.date);
+  const when = warning && (warning.inDays <= 0 ? t("guide.today") : fmtDate(warning.date));
+  return (
+    <div className="space-y-4">
+      {warning && (
+        <div className={`rounded-xl text-sm px-3 py-2 flex items-start gap-2 ${warning.level === "stress" ? "bg-red-50 text-red-700" : "bg-amber-50 text-amber-800"}`}>
+          <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+          <span>{t(`water.warning.${warning.level}`, { when, mm: fmtFixed(raw) })}</span>
+        </div>
+      )}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <Metric icon={Droplets} label={t("water.needToday")} value={`${fmtFixed(today.need, 1)} mm`} hint={t("water.liters", { n: fmt.format(Math.round(today.liters)) })} />
+        <Metric icon={Thermometer} label={t("water.etc")} value={`${fmtFixed(today.etc, 1)} mm`} hint={t("water.kcEt0", { kc: fmtFixed(today.kc, 2), et0: fmtFixed(today.et0, 1) })} />
+        <Metric icon={Waves} label={t("water.deficit")} value={`${fmtFixed(today.deficit)} mm`} hint={t("water.deficitLimit", { mm: fmtFixed(raw) })} />
+        <Metric icon={Sprout} label={t("water.soil")} value={today.soil != null ? `${fmtFixed(today.soil * 100)} %` : "-"} hint={t("water.soilDepth")} />
+      </div>
+      <DeficitChart days={days} raw={raw} today={today.date} />
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-left text-gray-600">
+            <tr>
+              <th className="py-2 pr-4">{t("calendar.form.date")}</th>
+              <th className="py-2 pr-4">{t("water.col.et0")}</th>
+              <th className="py-2 pr-4">{t("water.col.kc")}</th>
+              <th className="py-2 pr-4">{t("water.col.etc")}</th>
+              <th className="py-2 pr-4">{t("weather.rainMm")}</th>
+              <th className="py-2 pr-4">{t("water.col.need")}</th>
+              <th className="py-2 pr-4">{t("water.col.liters")}</th>
+              <th className="py-2 pr-4">{t("water.col.deficit")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ahead.map((d) => (
+              <tr key={d.date} className="border-t">
+                <td className="py-2 pr-4 whitespace-nowrap">{fmtDate(d.date)}</td>
+                <td className="py-2 pr-4">{fmtFixed(d.et0, 1)}</td>
+                <td className="py-2 pr-4">{fmtFixed(d.kc, 2)}</td>
+                <td className="py-2 pr-4">{fmtFixed(d.etc, 1)}</td>
+                <td className="py-2 pr-4">{fmtFixed(d.rain, 1)}</td>
+                <td className="py-2 pr-4 font-medium">{fmtFixed(d.need, 1)}</td>
+                <td className="py-2 pr-4">{fmt.format(Math.round(d.liters))}</td>
+                <td className={`py-2 pr-4 ${d.deficit >= raw ? "text-red-600 font-medium" : ""}`}>{fmtFixed(d.deficit)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {params.percolation > 0 && <div className="text-xs text-gray-500">{t("water.percolation", { mm: params.percolation })}</div>}
+      <div className="text-xs text-gray-500">{t("water.disclaimer")}</div>
+    </div>
+  );
+}
+
+// Defisit kumulatif per hari: garis penuh = data lampau, putus-putus = ramalan; garis merah = batas stres (RAW)
+function DeficitChart({ days, raw, today }) {
+  const W = 640, H = 180, L = 40, R = 12, T = 12, B = 28;
+  const max = Math.max(raw * 1.3, ...days.map((d) => d.deficit));
+  const x = (i) => L + (i / Math.max(1, days.length - 1)) * (W - L - R);
+  const y = (v) => T + (1 - v / max) * (H - T - B);
+  const k = Math.max(0, days.findIndex((d) => d.date === today));
+  const pts = (list, offset) => list.map((d, i) => `${x(i + offset)},${y(d.deficit)}`).join(" ");
+  const dateLabel = (iso) => dateFormat({ day: "numeric", month: "short" }).format(new Date(`${iso}T00:00`));
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+        {[0, max / 2, max].map((v) => (
+          <g key={v}>
+            <line x1={L} x2={W - R} y1={y(v)} y2={y(v)} stroke="#e5e7eb" />
+            <text x={L - 6} y={y(v) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{fmtFixed(v)}</text>
+          </g>
+        ))}
+        <line x1={L} x2={W - R} y1={y(raw)} y2={y(raw)} stroke="#dc2626" strokeDasharray="4 4" />
+        <line x1={x(k)} x2={x(k)} y1={T} y2={H - B} stroke="#9ca3af" />
+        <text x={x(k) + 4} y={T + 10} fontSize="10" fill="#6b7280">{t("guide.today")}</text>
+        <polyline fill="none" stroke="#2563eb" strokeWidth="2" points={pts(days.slice(0, k + 1), 0)} />
+        <polyline fill="none" stroke="#2563eb" strokeWidth="2" strokeDasharray="5 4" points={pts(days.slice(k), k)} />
+        <text x={L} y={H - 8} fontSize="10" fill="#6b7280">{dateLabel(days[0].date)}</text>
+        <text x={W - R} y={H - 8} textAnchor="end" fontSize="10" fill="#6b7280">{dateLabel(days[days.length - 1].date)}</text>
+      </svg>
+      <div className="mt-1 flex flex-wrap gap-3 text-xs">
+        <span className="inline-flex items-center gap-1"><span className="w-3 h-0.5 bg-blue-600" /> {t("water.chart.deficit")}</span>
+        <span className="inline-flex items-center gap-1"><span className="w-3 h-0.5 bg-red-600" /> {t("water.chart.limit", { mm: fmtFixed(raw) })}</span>
+      </div>
+    </div>
+  );
+}
+
+function IndicatorList({ ind }) {
+  const rows = [
+    [t("risk.vars.rhStreak"), t("weather.hours", { n: ind.rhStreak })],
+    [t("risk.vars.wetStreak"), t("weather.hours", { n: ind.wetStreak })],
+    [t("risk.vars.wetHours24"), t("weather.hours", { n: ind.wetHours24 })],
+    [t("weather.ind.rain"), `${fmtFixed(ind.rain24, 1)} / ${fmtFixed(ind.rain72, 1)} mm`],
+    [t("weather.ind.means"), `${fmtFixed(ind.tMean24, 1)} °C • ${fmtFixed(ind.rhMean24)}%`],
+    [
+      t("risk.vars.gdd"),
+      ind.gdd == null ? t("weather.ind.needPlanting") : `${fmtFixed(ind.gdd)} ${t("risk.units.degreeDays")} (${ind.hst} ${t("risk.units.dat")})${ind.gddPartial ? " *" : ""}`,
+    ],
+  ];
+  return (
+    <div className="mt-4 rounded-xl bg-gray-50 p-3 text-xs">
+      <div className="font-medium text-gray-700 mb-1">{t("weather.ind.title")}</div>
+      <dl className="grid grid-cols-2 gap-x-3 gap-y-1">
+        {rows.map(([k, v]) => (
+          <React.Fragment key={k}>
+            <dt className="text-gray-500">{k}</dt>
+            <dd className="text-right font-medium">{v}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      {ind.gddPartial && <div className="mt-1 text-gray-500">{t("weather.ind.partial")}</div>}
+    </div>
+  );
+}
+
+function HourlyTable({ data, start = 0 }) {
+  if (!data?.hourly) return <div className="text-sm text-gray-500">{t("common.noData")}</div>;
+  const hours = data.hourly.time?.slice(start, start + 24) || [];
+  const temps = data.hourly.temperature_2m?.slice(start, start + 24) || [];
+  const h = data.hourly.relative_humidity_2m?.slice(start, start + 24) || [];
+  const p = data.hourly.precipitation?.slice(start, start + 24) || [];
+  const w = data.hourly.wind_speed_10m?.slice(start, start + 24) || [];
+  const g = data.hourly.wind_gusts_10m?.slice(start, start + 24) || [];
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead className="text-left text-gray-600">
+          <tr>
+            <th className="py-2 pr-4">{t("weather.hour")}</th>
+            <th className="py-2 pr-4">{t("weather.tempC")}</th>
+            <th className="py-2 pr-4">{t("weather.rhPct")}</th>
+            <th className="py-2 pr-4">{t("weather.rainMm")}</th>
+            <th className="py-2 pr-4">{t("weather.windKmh")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {hours.map((x, i) => (
+            <tr key={x} className="border-t">
+              <td className="py-2 pr-4">{dateFormat({ hour: "2-digit", minute: "2-digit" }).format(new Date(x))}</td>
+              <td className="py-2 pr-4">{temps[i] != null && fmtFixed(temps[i], 1)}</td>
+              <td className="py-2 pr-4">{h[i] != null && fmtFixed(h[i])}</td>
+              <td className="py-2 pr-4">{p[i] != null && fmtFixed(p[i], 2)}</td>
+              <td className="py-2 pr-4">{w[i] != null && fmtFixed(w[i])}{g[i] != null && <span className="text-gray-500"> / {fmtFixed(g[i])}</span>}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
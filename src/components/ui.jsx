@@ -0,0 +1,97 @@
+import { WifiOff } from "lucide-react";
+import { fmtDateTime } from "../lib/format.js";
+import { t } from "../lib/i18n.js";
+
+// ====== Komponen UI kecil
+export function Badge({ children, className = "" }) {
+  return (
+    <span className={`inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium ${className}`}>
+      {children}
+    </span>
+  );
+}
+
+export function Card({ children, className = "" }) {
+  return (
+    <div className={`rounded-2xl shadow-sm border border-gray-200 bg-white ${className}`}>{children}</div>
+  );
+}
+
+export function CardHeader({ title, subtitle, icon }) {
+  const Icon = icon;
+  return (
+    <div className="flex items-center gap-3 border-b px-5 py-4">
+      {Icon && <Icon className="w-5 h-5" />}
+      <div>
+        <div className="font-semibold">{title}</div>
+        {subtitle && <div className="text-xs text-gray-500">{subtitle}</div>}
+      </div>
+    </div>
+  );
+}
+
+export function CardBody({ children }) {
+  return <div className="p-5">{children}</div>;
+}
+
+export function Button({ children, className = "", ...props }) {
+  return (
+    <button
+      className={`inline-flex items-center gap-2 rounded-2xl px-4 py-2 border bg-gray-50 hover:bg-gray-100 active:bg-gray-200 transition ${className}`}
+      {...props}
+    >
+      {children}
+    </button>
+  );
+}
+
+export function Input({ className = "", ...props }) {
+  return (
+    <input
+      className={`w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-emerald-300 ${className}`}
+      {...props}
+    />
+  );
+}
+
+export function Select({ className = "", children, ...props }) {
+  return (
+    <select
+      className={`w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-emerald-300 ${className}`}
+      {...props}
+    >
+      {children}
+    </select>
+  );
+}
+
+// Pesan validasi di bawah isian; `invalid(msg)` memberi bingkai merah pada Input/Select
+export function FieldError({ message }) {
+  return message ? <div className="mt-1 text-xs text-red-600">{message}</div> : null;
+}
+export const invalid = (msg) => (msg ? "border-red-400 focus:ring-red-200" : "");
+
+export function SectionTitle({ icon: Icon, title, right }) {
+  return (
+    <div className="flex items-center justify-between mb-3">
+      <div className="flex items-center gap-2">
+        {Icon && <Icon className="w-5 h-5" />}
+        <h3 className="font-semibold">{title}</h3>
+      </div>
+      <div>{right}</div>
+    </div>
+  );
+}
+
+// Label data lama saat sumber tidak terjangkau
+export function StaleBanner({ asOf }) {
+  if (!asOf) return null;
+  return (
+    <div className="mb-3 rounded-xl border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-800 flex items-center gap-2">
+      <WifiOff className="w-4 h-4 shrink-0"/> {t("common.staleData", { time: fmtDateTime(new Date(asOf)) })}
+    </div>
+  );
+}
+
+// Angka dari input: string kosong dibiarkan agar validasi bisa menandainya
+export const numOrEmpty = (v) => (v === "" ? "" : Number(v));
@@ -0,0 +1,150 @@
+import { fmtFixed } from "./format.js";
+import { t } from "./i18n.js";
+
+// ====== Saran Kerja Lapangan (semprot, pupuk, panen) dari ramalan jam-jaman
+// Setiap jam dinilai cocok/tidak untuk tiap kegiatan; jam cocok yang berurutan
+// dan cukup panjang membentuk "jendela" kerja. Angin & hembusan dalam km/j (satuan bawaan Open-Meteo).
+
+export const ACTIVITIES = ["spray", "fertilize", "harvest"];
+
+// Ambang bawaan per kegiatan:
+//  hours          — jam kerja [mulai, selesai) waktu setempat
+//  maxRainNow     — hujan maks. pada jam itu (mm)
+//  rainFreeBefore — jam sebelumnya yang harus kering (tanaman/gabah kering saat dipanen)
+//  rainFreeAfter  — jam sesudahnya yang diperiksa, dengan total hujan maks. `maxRainAfter` (mm)
+//  minWind/maxWind/maxGust (km/j), maxTemp (°C), maxRh (%)
+//  minHours       — panjang jendela minimal (jam)
+export const ADVISOR_RULES = {
+  // semprot: tidak hujan 6 jam agar pestisida sempat menempel, angin 2–15 km/j (terlalu tenang = inversi,
+  // terlalu kencang = drift), tidak terlalu panas agar larutan tidak cepat menguap
+  spray: { hours: [6, 18], maxRainNow: 0.1, rainFreeAfter: 6, maxRainAfter: 0.2, minWind: 2, maxWind: 15, maxGust: 25, maxTemp: 30, minHours: 2 },
+  // pupuk: hujan ringan boleh, hujan lebat 24 jam sesudahnya menghanyutkan pupuk
+  fertilize: { hours: [6, 18], maxRainNow: 0.5, rainFreeAfter: 24, maxRainAfter: 10, maxWind: 25, maxTemp: 33, minHours: 2 },
+  // panen: hasil kering sebelum dipetik & tidak kehujanan saat dijemur/diangkut
+  harvest: { hours: [7, 17], maxRainNow: 0.1, rainFreeBefore: 12, rainFreeAfter: 6, maxRainAfter: 0.2, maxGust: 40, maxRh: 85, minHours: 4 },
+};
+
+// Penyesuaian per komoditas (menimpa ambang bawaan)
+export const CROP_ADVISOR_RULES = {
+  padi: { harvest: { rainFreeBefore: 24, maxRh: 80 } },
+  jagung: { harvest: { rainFreeBefore: 48, maxRh: 80 } },
+  cabai: { spray: { maxTemp: 29 }, harvest: { rainFreeBefore: 3, minHours: 3 } },
+  tomat: { spray: { maxTemp: 29 }, harvest: { rainFreeBefore: 3, minHours: 3 } },
+};
+
+export const advisorRule = (crop, activity) => ({ ...ADVISOR_RULES[activity], ...CROP_ADVISOR_RULES[crop]?.[activity] });
+
+// Alasan tidak cocok: `key` untuk pengelompokan, `text` sudah diterjemahkan
+const why = (key, vars) => ({ key, text: t(`advisor.reason.${key}`, vars) });
+
+const sumRain = (P, from, to) => {
+  let s = 0;
+  for (let j = from; j < to; j++) s += P[j] ?? 0;
+  return s;
+};
+
+/**
+ * Alasan jam ke-`i` tidak cocok untuk `rule` ([{ key, text }], kosong = cocok).
+ * Nilai angin yang tidak tersedia (mis. cache lama) dilewati, bukan dianggap gagal.
+ */
+export function checkHour(hourly, i, rule) {
+  const T = hourly.temperature_2m || [];
+  const H = hourly.relative_humidity_2m || [];
+  const P = hourly.precipitation || [];
+  const W = hourly.wind_speed_10m || [];
+  const G = hourly.wind_gusts_10m || [];
+  const reasons = [];
+  const hour = Number(hourly.time[i].slice(11, 13));
+  if (hour < rule.hours[0] || hour >= rule.hours[1]) return [why("night")];
+
+  const p = P[i] ?? 0;
+  if (p > rule.maxRainNow) reasons.push(why("rainNow", { mm: fmtFixed(p, 1) }));
+  if (rule.rainFreeBefore) {
+    if (i - rule.rainFreeBefore < 0) reasons.push(why("noHistory", { n: rule.rainFreeBefore }));
+    else {
+      const before = sumRain(P, i - rule.rainFreeBefore, i);
+      if (before > 0.1) reasons.push(why("rainBefore", { mm: fmtFixed(before, 1), n: rule.rainFreeBefore }));
+    }
+  }
+  if (rule.rainFreeAfter) {
+    if (i + rule.rainFreeAfter >= hourly.time.length) reasons.push(why("beyondForecast", { n: rule.rainFreeAfter }));
+    else {
+      const after = sumRain(P, i + 1, i + 1 + rule.rainFreeAfter);
+      if (after > rule.maxRainAfter) reasons.push(why("rainAfter", { mm: fmtFixed(after, 1), n: rule.rainFreeAfter }));
+    }
+  }
+  const w = W[i];
+  if (w != null && rule.minWind != null && w < rule.minWind) reasons.push(why("windLow", { v: fmtFixed(w), min: rule.minWind }));
+  if (w != null && rule.maxWind != null && w > rule.maxWind) reasons.push(why("windHigh", { v: fmtFixed(w), max: rule.maxWind }));
+  const g = G[i];
+  if (g != null && rule.maxGust != null && g > rule.maxGust) reasons.push(why("gust", { v: fmtFixed(g), max: rule.maxGust }));
+  if (T[i] != null && rule.maxTemp != null && T[i] > rule.maxTemp) reasons.push(why("hot", { v: fmtFixed(T[i], 1), max: rule.maxTemp }));
+  if (H[i] != null && rule.maxRh != null && H[i] > rule.maxRh) reasons.push(why("humid", { v: fmtFixed(H[i]), max: rule.maxRh }));
+  return reasons;
+}
+
+/**
+ * Nilai tiap jam mulai indeks `from` untuk satu kegiatan.
+ * Hasil: { rule, hours: [{ time, ok, night, reasons }], windows: [{ start, end, hours }] }
+ * `end` = awal jam setelah jendela berakhir; `next` = jendela pertama (null bila tidak ada).
+ */
+export function activityWindows(hourly, crop, activity, from = 0) {
+  const rule = advisorRule(crop, activity);
+  if (!hourly?.time?.length) return { rule, hours: [], windows: [], next: null };
+  const hours = [];
+  for (let i = Math.max(0, from); i < hourly.time.length; i++) {
+    const reasons = checkHour(hourly, i, rule);
+    const hour = Number(hourly.time[i].slice(11, 13));
+    hours.push({ time: hourly.time[i], ok: reasons.length === 0, night: hour < rule.hours[0] || hour >= rule.hours[1], reasons });
+  }
+  const windows = [];
+  let run = null;
+  hours.forEach((h, k) => {
+    if (h.ok) run = run || { from: k };
+    if (run && (!h.ok || k === hours.length - 1)) {
+      const last = h.ok ? k : k - 1;
+      const len = last - run.from + 1;
+      if (len >= rule.minHours) {
+        windows.push({ start: hours[run.from].time, end: endOfHour(hours[last].time), hours: len });
+      }
+      run = null;
+    }
+  });
+  return { rule, hours, windows, next: windows[0] || null };
+}
+
+// "2026-10-18T17:00" → "2026-10-18T18:00"
+const endOfHour = (time) => {
+  const d = new Date(`${time}:00Z`);
+  d.setUTCHours(d.getUTCHours() + 1);
+  return d.toISOString().slice(0, 16);
+};
+
+// Alasan paling sering pada jam kerja yang tidak cocok — ringkasan bila tidak ada jendela
+export function mainBlocker(hours) {
+  const counts = new Map();
+  hours.filter((h) => !h.ok && !h.night).forEach((h) => h.reasons.forEach((r) => {
+    counts.set(r.key, { text: r.text, n: (counts.get(r.key)?.n || 0) + 1 });
+  }));
+  return [...counts.values()].sort((a, b) => b.n - a.n)[0]?.text || "";
+}
+
+// Ringkasan syarat aturan untuk ditampilkan: "tanpa hujan 6 jam sesudahnya, angin 2–15 km/j, …"
+export function ruleSummary(rule) {
+  const parts = [t("advisor.rule.hours", { from: rule.hours[0], to: rule.hours[1] })];
+  if (rule.rainFreeBefore) parts.push(t("advisor.rule.dryBefore", { n: rule.rainFreeBefore }));
+  if (rule.rainFreeAfter) {
+    parts.push(rule.maxRainAfter > 1
+      ? t("advisor.rule.rainAfterMax", { n: rule.rainFreeAfter, mm: rule.maxRainAfter })
+      : t("advisor.rule.dryAfter", { n: rule.rainFreeAfter }));
+  }
+  if (rule.maxWind != null) parts.push(rule.minWind != null ? t("advisor.rule.windRange", { min: rule.minWind, max: rule.maxWind }) : t("advisor.rule.windMax", { max: rule.maxWind }));
+  if (rule.maxGust != null) parts.push(t("advisor.rule.gustMax", { max: rule.maxGust }));
+  if (rule.maxTemp != null) parts.push(t("advisor.rule.tempMax", { max: rule.maxTemp }));
+  if (rule.maxRh != null) parts.push(t("advisor.rule.rhMax", { max: rule.maxRh }));
+  return parts.join(", ");
+}
+
+// Saran semua kegiatan untuk satu komoditas: { spray: {...}, fertilize: {...}, harvest: {...} }
+export const fieldWorkAdvice = (hourly, crop, from = 0) =>
+  Object.fromEntries(ACTIVITIES.map((a) => [a, activityWindows(hourly, crop, a, from)]));
@@ -0,0 +1,85 @@
+import { fmtRp } from "./format.js";
+import { t } from "./i18n.js";
+import { priceChange, priceKey } from "./priceHistory.js";
+import { toPriceUnit } from "./units.js";
+
+// ====== Peringatan harga
+/**
+ * Aturan peringatan:
+ * { id, commodity, market ("" = semua pasar), type: "above" | "below" | "drop" | "rise",
+ *   value (Rp per `unit` untuk above/below, % untuk drop/rise), unit ("kg" | "ton"; aturan lama tanpa unit = kg),
+ *   windowHours, browser, enabled,
+ *   active: { [komoditas|pasar]: true } — kondisi sedang terpenuhi (agar tidak berulang) }
+ */
+// Label di katalog `alerts.types.<tipe>`
+export const ALERT_TYPES = ["above", "below", "drop", "rise"];
+
+export const loadAlerts = () => {
+  try {
+    const raw = localStorage.getItem("agrihub_alerts_v1");
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+};
+export const saveAlerts = (x) => localStorage.setItem("agrihub_alerts_v1", JSON.stringify(x));
+
+export const loadAlertLog = () => {
+  try {
+    const raw = localStorage.getItem("agrihub_alert_log_v1");
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+};
+export const saveAlertLog = (x) => localStorage.setItem("agrihub_alert_log_v1", JSON.stringify(x.slice(0, 200)));
+
+const alertUnit = (a) => a.unit || "kg";
+
+export const alertLabel = (a) =>
+  `${a.commodity}${a.market ? ` ${a.market}` : ""} ${
+    a.type === "above" || a.type === "below"
+      ? `${a.type === "above" ? ">" : "<"} ${fmtRp(a.value)}/${alertUnit(a)}`
+      : t(`alerts.${a.type}Label`, { value: a.value, hours: a.windowHours })
+  }`;
+
+const sameText = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Nilai semua peringatan terhadap baris harga terbaru.
+ * `grouped`: riwayat per komoditas|pasar (groupHistory) untuk tipe drop/rise.
+ * Untuk above/below harga baris dikonversi ke satuan aturan lewat `table` (konversi satuan);
+ * baris yang satuannya tidak bisa dikonversi dilewati.
+ * Hanya transisi tidak-terpenuhi → terpenuhi yang menghasilkan `fired`.
+ */
+export function evaluatePriceAlerts(alerts, rows, grouped, table) {
+  const fired = [];
+  const next = alerts.map((a) => {
+    if (!a.enabled) return a;
+    const active = {};
+    for (const r of rows) {
+      if (!sameText(r.commodity, a.commodity) || (a.market && !sameText(r.market, a.market))) continue;
+      const key = priceKey(r);
+      let hit = false;
+      let message = "";
+      if (a.type === "above" || a.type === "below") {
+        const p = toPriceUnit(r, alertUnit(a), table);
+        if (p.unit !== alertUnit(a)) continue;
+        hit = a.type === "above" ? p.price > a.value : p.price < a.value;
+        message = `${r.commodity} ${r.market} ${fmtRp(p.price)}/${p.unit} (${a.type === "above" ? ">" : "<"} ${fmtRp(a.value)})`;
+      } else {
+        const change = priceChange(grouped[key], r, a.windowHours * 3600000);
+        if (change != null) {
+          hit = a.type === "drop" ? change <= -a.value / 100 : change >= a.value / 100;
+          message = `${r.commodity} ${r.market} ${t(change < 0 ? "alerts.dropLabel" : "alerts.riseLabel", { value: Math.abs(change * 100).toFixed(1), hours: a.windowHours })} → ${fmtRp(r.price)}/${r.unit}`;
+        }
+      }
+      if (hit) {
+        active[key] = true;
+        if (!a.active?.[key]) fired.push({ alert: a, row: r, message });
+      }
+    }
+    return { ...a, active };
+  });
+  return { alerts: next, fired };
+}
@@ -0,0 +1,120 @@
+import { addDays, guideFor } from "./guides.js";
+import { t } from "./i18n.js";
+
+// ====== Kalender kegiatan: tugas dari GUIDES + tanggal tanam lahan, ditambah kegiatan manual
+// Kegiatan manual: { id, title, date, time?, fieldId?, notes?, remindMinutes }
+export const loadActivities = () => {
+  try {
+    const raw = localStorage.getItem("agrihub_activities_v1");
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+};
+export const saveActivities = (x) => localStorage.setItem("agrihub_activities_v1", JSON.stringify(x));
+
+// Status selesai untuk semua kegiatan (termasuk hasil generate) — { [id]: true }
+export const loadDone = () => {
+  try {
+    const raw = localStorage.getItem("agrihub_activity_done_v1");
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+};
+export const saveDone = (x) => localStorage.setItem("agrihub_activity_done_v1", JSON.stringify(x));
+
+// Pengingat yang sudah dikirim — { ["<id>@<tanggal>"]: true }
+export const loadReminded = () => {
+  try {
+    const raw = localStorage.getItem("agrihub_reminded_v1");
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+};
+export const saveReminded = (x) => localStorage.setItem("agrihub_reminded_v1", JSON.stringify(x));
+
+// Pengingat kegiatan tanpa jam dikirim pada jam ini di hari-H
+export const ALL_DAY_REMINDER_TIME = "07:00";
+
+// Gabungkan tugas hasil generate per lahan dengan kegiatan manual, urut tanggal
+export function calendarEvents(fields, activities) {
+  const events = [];
+  for (const f of fields) {
+    const guide = guideFor(f.crop);
+    if (!guide || !f.plantingDate) continue;
+    guide.stages.forEach((st, i) => {
+      events.push({
+        id: `gen:${f.id}:s${i}`,
+        kind: "stage",
+        title: t("calendar.stageStart", { stage: st.title }),
+        date: addDays(f.plantingDate, st.from),
+        fieldId: f.id,
+        fieldName: f.name,
+        notes: st.steps.join(" "),
+        remindMinutes: 0,
+      });
+    });
+    guide.tasks.forEach((task, i) => {
+      events.push({
+        id: `gen:${f.id}:t${i}`,
+        kind: "task",
+        title: task.title,
+        date: addDays(f.plantingDate, task.from),
+        endDate: addDays(f.plantingDate, task.to),
+        fieldId: f.id,
+        fieldName: f.name,
+        notes: `${guide.name} • ${task.from < 0 ? t("guide.daysBeforePlanting", { n: -task.from }) : t("guide.hstRange", { from: task.from, to: task.to })}`,
+        remindMinutes: 0,
+      });
+    });
+  }
+  for (const a of activities) {
+    events.push({ ...a, kind: "manual", fieldName: fields.find((f) => f.id === a.fieldId)?.name || "" });
+  }
+  return events.sort((a, b) => (a.date + (a.time || "")).localeCompare(b.date + (b.time || "")));
+}
+
+export const eventsOn = (events, iso) => events.filter((e) => e.date <= iso && iso <= (e.endDate || e.date));
+
+// Waktu pengingat (ms epoch) untuk satu kegiatan
+export const reminderAt = (e) =>
+  new Date(`${e.date}T${e.time || ALL_DAY_REMINDER_TIME}`).getTime() - (e.remindMinutes || 0) * 60000;
+
+// ====== Ekspor iCalendar (RFC 5545)
+const icsEscape = (s) => String(s).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/([,;])/g, "\\$1");
+// baris maks. 75 oktet → lipat dengan CRLF + spasi (perkiraan per karakter)
+const icsFold = (line) => {
+  const out = [];
+  let rest = line;
+  while (rest.length > 73) {
+    out.push(rest.slice(0, 73));
+    rest = ` ${rest.slice(73)}`;
+  }
+  out.push(rest);
+  return out.join("\r\n");
+};
+const icsDate = (iso) => iso.replace(/-/g, "");
+
+export function buildIcs(events) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//AgriHub Pro//Kalender Kegiatan//ID", "CALSCALE:GREGORIAN"];
+  for (const e of events) {
+    lines.push("BEGIN:VEVENT", `UID:${e.id.replace(/[^\w-]/g, "-")}@agrihub-pro`, `DTSTAMP:${stamp}`);
+    if (e.time) {
+      // waktu lokal "mengambang" agar mengikuti zona waktu ponsel penerima
+      lines.push(`DTSTART:${icsDate(e.date)}T${e.time.replace(":", "")}00`, "DURATION:PT1H");
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${icsDate(e.date)}`, `DTEND;VALUE=DATE:${icsDate(addDays(e.endDate || e.date, 1))}`);
+    }
+    lines.push(`SUMMARY:${icsEscape(e.fieldName ? `${e.title} — ${e.fieldName}` : e.title)}`);
+    if (e.notes) lines.push(`DESCRIPTION:${icsEscape(e.notes)}`);
+    // menit sebelum DTSTART; kegiatan sehari penuh dimulai 00:00 sehingga pengingat 07:00 = sesudahnya
+    const before = (e.remindMinutes || 0) - (e.time ? 0 : parseInt(ALL_DAY_REMINDER_TIME, 10) * 60);
+    lines.push("BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${icsEscape(e.title)}`, `TRIGGER:${before > 0 ? "-" : ""}PT${Math.abs(before)}M`, "END:VALARM");
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,219 @@
+import DEFAULT_PEST_RULES from "../pest-rules.json";
+import { GEOCODERS } from "./geo.js";
+import { LOCALES, t } from "./i18n.js";
+import { migrateMarketConfig } from "./market.js";
+import { validateRules } from "./risk.js";
+import { DEFAULT_UNIT_CONVERSIONS, PRICE_UNITS } from "./units.js";
+
+// ====== Default Konfigurasi (bisa diubah dari menu Settings)
+// latitude/longitude/crop/plantingDate di sini hanya benih untuk lahan pertama (lihat loadFields)
+export const DEFAULT_CONFIG = {
+  latitude: -6.2, // Jakarta
+  longitude: 106.816666,
+  crop: "padi",
+  refreshMinutes: 15, // interval auto-refresh (menit)
+  forecastDays: 7, // panjang ramalan Open-Meteo (1–16 hari)
+  plantingDate: "", // tanggal tanam "YYYY-MM-DD" untuk GDD (opsional)
+  marketSources: [], // adapter sumber harga pasar (lihat newMarketSource); semua yang `enabled` digabung
+  WEBHOOK_URL: "", // endpoint untuk menerima penawaran (opsional)
+  WEBHOOK_SECRET: "", // rahasia bersama untuk tanda tangan HMAC-SHA256 (opsional)
+  LISTINGS_API_URL: "", // backend listing bersama untuk sinkronisasi dua arah (opsional)
+  LISTINGS_API_KEY: "", // Bearer token backend listing
+  posterName: "", // nama yang tampil pada listing Anda
+  activeFieldId: "", // lahan yang sedang difokuskan
+  plantingDates: {}, // tanggal tanam per komoditas yang belum punya lahan { padi: "YYYY-MM-DD" }
+  remindersEnabled: false, // notifikasi browser untuk kegiatan kalender
+  unitConversions: DEFAULT_UNIT_CONVERSIONS, // tabel konversi satuan per komoditas
+  priceUnit: "kg", // satuan tampilan harga: "kg" | "ton"
+  MAP_TILE_URL: "https://tile.openstreetmap.org/{z}/{x}/{y}.png", // template ubin peta; bisa server ubin lokal
+  MAP_ATTRIBUTION: "© OpenStreetMap contributors",
+  GEOCODER: "open-meteo", // "open-meteo" | "nominatim" | "offline" (lihat GEOCODERS)
+  GEOCODE_URL: "", // menimpa endpoint bawaan geocoder (opsional)
+  language: "", // bahasa antarmuka (kunci LOCALES); "" = ikuti bahasa browser
+  warnRainMm: 50, // peringatan cuaca ekstrem: hujan harian di atas ambang (mm)
+  warnHeatC: 35, // … suhu maksimum harian (°C)
+  warnGustKmh: 40, // … hembusan angin maksimum (km/j)
+  weatherNotify: true, // notifikasi browser untuk peringatan cuaca baru
+};
+
+// ====== Skema konfigurasi: validasi per kunci, migrasi antarversi, impor/ekspor berkas
+export const CONFIG_VERSION = 2;
+export const CONFIG_KEYS = { 1: "agrihub_config_v1", 2: "agrihub_config_v2" };
+
+// CONFIG_MIGRATIONS[n] mengubah konfigurasi versi n-1 menjadi versi n; dijalankan berurutan
+const CONFIG_MIGRATIONS = {
+  // v1 → v2: MARKET_API_URL/KEY tunggal menjadi daftar adapter sumber harga
+  2: migrateMarketConfig,
+};
+
+export function migrateConfig(cfg, from) {
+  let out = { ...cfg };
+  for (let v = from + 1; v <= CONFIG_VERSION; v++) out = CONFIG_MIGRATIONS[v] ? CONFIG_MIGRATIONS[v](out) : out;
+  return { ...out, version: CONFIG_VERSION };
+}
+
+const isHttpUrl = (v) => {
+  try {
+    return ["http:", "https:"].includes(new URL(v, window.location.href).protocol);
+  } catch {
+    return false;
+  }
+};
+
+export function validateMarketSource(src) {
+  const errors = [];
+  if (!src || typeof src !== "object") return [t("validation.item")];
+  if (!String(src.name || "").trim()) errors.push(t("validation.sourceName"));
+  if (!isHttpUrl(src.url || "")) errors.push(t("validation.sourceUrl"));
+  if (!["json", "csv"].includes(src.format)) errors.push(t("validation.sourceFormat"));
+  for (const k of ["commodity", "price", "ts"]) if (!String(src.mapping?.[k] || "").trim()) errors.push(t("validation.sourceMapping", { key: k }));
+  return errors;
+}
+
+function validateUnitRow(row) {
+  const errors = [];
+  if (!row || typeof row !== "object") return [t("validation.item")];
+  if (!String(row.commodity || "").trim()) errors.push(t("validation.unitCommodity"));
+  if (!String(row.unit || "").trim()) errors.push(t("validation.unitName"));
+  if (!(typeof row.kg === "number" && row.kg > 0)) errors.push(t("validation.unitKg"));
+  return errors;
+}
+
+/**
+ * Skema per kunci konfigurasi. type: number | string | boolean | date | url | enum | object | array.
+ * Opsi: min, max, integer, required, values (enum), placeholders (url template), item (validator elemen array).
+ */
+export const CONFIG_SCHEMA = {
+  latitude: { type: "number", min: -90, max: 90 },
+  longitude: { type: "number", min: -180, max: 180 },
+  crop: { type: "string", required: true },
+  refreshMinutes: { type: "number", integer: true, min: 0, max: 1440 },
+  forecastDays: { type: "number", integer: true, min: 1, max: 16 },
+  plantingDate: { type: "date" },
+  marketSources: { type: "array", item: validateMarketSource },
+  WEBHOOK_URL: { type: "url" },
+  WEBHOOK_SECRET: { type: "string" },
+  LISTINGS_API_URL: { type: "url" },
+  LISTINGS_API_KEY: { type: "string" },
+  posterName: { type: "string" },
+  activeFieldId: { type: "string" },
+  plantingDates: { type: "object" },
+  remindersEnabled: { type: "boolean" },
+  unitConversions: { type: "array", item: validateUnitRow },
+  priceUnit: { type: "enum", values: PRICE_UNITS },
+  MAP_TILE_URL: { type: "url", required: true, placeholders: ["{z}", "{x}", "{y}"] },
+  MAP_ATTRIBUTION: { type: "string" },
+  GEOCODER: { type: "enum", values: Object.keys(GEOCODERS) },
+  GEOCODE_URL: { type: "url" },
+  language: { type: "enum", values: ["", ...Object.keys(LOCALES)] },
+  warnRainMm: { type: "number", min: 1, max: 500 },
+  warnHeatC: { type: "number", min: 20, max: 60 },
+  warnGustKmh: { type: "number", min: 10, max: 200 },
+  weatherNotify: { type: "boolean" },
+};
+
+// Pesan galat untuk satu nilai, "" bila valid
+export function checkConfigValue(spec, v) {
+  const empty = v == null || v === "";
+  if (empty) return spec.required || spec.type === "number" ? t("validation.required") : "";
+  switch (spec.type) {
+    case "number":
+      if (typeof v !== "number" || !Number.isFinite(v)) return t("validation.number");
+      if (spec.integer && !Number.isInteger(v)) return t("validation.integer");
+      if (spec.min != null && v < spec.min) return t("validation.min", { min: spec.min });
+      if (spec.max != null && v > spec.max) return t("validation.max", { max: spec.max });
+      return "";
+    case "string":
+      return typeof v === "string" ? "" : t("validation.text");
+    case "boolean":
+      return typeof v === "boolean" ? "" : t("validation.boolean");
+    case "date":
+      return /^\d{4}-\d{2}-\d{2}$/.test(v) ? "" : t("validation.date");
+    case "url": {
+      if (typeof v !== "string" || !isHttpUrl(v)) return t("validation.url");
+      const missing = (spec.placeholders || []).filter((x) => !v.includes(x));
+      return missing.length ? t("validation.placeholders", { list: missing.join(", ") }) : "";
+    }
+    case "enum":
+      return spec.values.includes(v) ? "" : t("validation.enum", { value: v });
+    case "object":
+      return typeof v === "object" && !Array.isArray(v) ? "" : t("validation.object");
+    case "array": {
+      if (!Array.isArray(v)) return t("validation.array");
+      const bad = v.map((x, i) => ({ i, errors: spec.item ? spec.item(x) : [] })).filter((x) => x.errors.length);
+      return bad.map((b) => `#${b.i + 1}: ${b.errors.join(" ")}`).join(" • ");
+    }
+    default:
+      return "";
+  }
+}
+
+// { kunci: pesan } untuk setiap kunci yang tidak valid; objek kosong = valid
+export function validateConfig(cfg) {
+  const errors = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const msg = checkConfigValue(spec, cfg[key]);
+    if (msg) errors[key] = msg;
+  }
+  return errors;
+}
+
+// Untuk data tersimpan: kunci tak valid → bawaan; elemen array yang rusak dibuang, sisanya dipertahankan
+export function sanitizeConfig(cfg) {
+  const out = { ...DEFAULT_CONFIG, ...cfg };
+  for (const key of Object.keys(validateConfig(out))) {
+    const spec = CONFIG_SCHEMA[key];
+    out[key] = spec.type === "array" && Array.isArray(out[key]) ? out[key].filter((x) => spec.item(x).length === 0) : DEFAULT_CONFIG[key];
+  }
+  return out;
+}
+
+export function validateField(f) {
+  const errors = [];
+  if (!f || typeof f !== "object") return [t("validation.fieldObject")];
+  if (!String(f.name || "").trim()) errors.push(t("validation.fieldName"));
+  const lat = checkConfigValue(CONFIG_SCHEMA.latitude, f.latitude);
+  const lon = checkConfigValue(CONFIG_SCHEMA.longitude, f.longitude);
+  if (lat) errors.push(`Latitude: ${lat}`);
+  if (lon) errors.push(`Longitude: ${lon}`);
+  if (!String(f.crop || "").trim()) errors.push(t("validation.fieldCrop"));
+  if (f.areaHa != null && f.areaHa !== "" && !(Number(f.areaHa) >= 0)) errors.push(t("validation.fieldArea"));
+  if (f.plantingDate && !/^\d{4}-\d{2}-\d{2}$/.test(f.plantingDate)) errors.push(t("validation.fieldPlanting"));
+  return errors;
+}
+
+// Kunci milik perangkat (identitas & pilihan lokal) tidak ikut diekspor maupun ditimpa saat impor
+const DEVICE_LOCAL_KEYS = ["posterName", "activeFieldId", "remindersEnabled", "language", "weatherNotify"];
+const SECRET_KEYS = ["WEBHOOK_SECRET", "LISTINGS_API_KEY"];
+
+// Satu berkas JSON untuk menyebarkan setelan yang sama ke banyak perangkat
+export function exportBundle(config, fields, rules, { secrets = false } = {}) {
+  const omit = [...DEVICE_LOCAL_KEYS, ...(secrets ? [] : SECRET_KEYS)];
+  const cfg = Object.fromEntries(Object.entries(config).filter(([k]) => !omit.includes(k)));
+  if (!secrets) cfg.marketSources = (cfg.marketSources || []).map((src) => ({ ...src, auth: { ...src.auth, key: "" } }));
+  return { app: "agrihub-pro", kind: "config", version: CONFIG_VERSION, exportedAt: new Date().toISOString(), config: cfg, fields, rules };
+}
+
+/**
+ * Baca berkas ekspor (versi lama dimigrasikan dulu) dan validasi semuanya sebelum dipakai.
+ * Melempar Error berisi daftar masalah; bila lolos → { config, fields, rules } siap disimpan.
+ */
+export function parseBundle(json, current) {
+  if (json?.app !== "agrihub-pro" || json?.kind !== "config" || typeof json.config !== "object") {
+    throw new Error(t("validation.notBundle"));
+  }
+  const version = Number(json.version) || 1;
+  if (version > CONFIG_VERSION) throw new Error(t("validation.newerBundle", { version }));
+  const local = Object.fromEntries(DEVICE_LOCAL_KEYS.map((k) => [k, current[k]]));
+  const config = { ...DEFAULT_CONFIG, ...migrateConfig(json.config, version), ...local };
+  const problems = Object.entries(validateConfig(config)).map(([k, msg]) => `${k}: ${msg}`);
+  const fields = json.fields ?? [];
+  if (!Array.isArray(fields) || fields.length === 0) problems.push(t("validation.minFields"));
+  else fields.forEach((f, i) => validateField(f).forEach((e) => problems.push(t("validation.bundleField", { n: i + 1, name: f?.name || "?", error: e }))));
+  const rules = json.rules ?? DEFAULT_PEST_RULES;
+  validateRules(rules).forEach((b) => problems.push(t("validation.bundleRule", { id: b.id || `#${b.index + 1}`, errors: b.errors.join(" ") })));
+  if (problems.length) throw new Error(problems.join(" • "));
+  const fieldsWithIds = fields.map((f) => ({ ...f, id: f.id || crypto.randomUUID(), latitude: Number(f.latitude), longitude: Number(f.longitude) }));
+  if (!fieldsWithIds.some((f) => f.id === config.activeFieldId)) config.activeFieldId = fieldsWithIds[0].id;
+  return { config, fields: fieldsWithIds, rules };
+}
@@ -0,0 +1,65 @@
+import { dateFormat, numberFormat } from "./i18n.js";
+
+// ====== Utilitas kecil
+// Format angka/tanggal mengikuti bahasa aktif (lihat i18n.js)
+export const fmt = { format: (n) => numberFormat().format(n) };
+export const fmtDateTime = (d) => dateFormat({ dateStyle: "medium", timeStyle: "short" }).format(d);
+
+// Angka dengan jumlah desimal tetap: fmtFixed(28.04, 1) → "28,0" (id) / "28.0" (en)
+export const fmtFixed = (n, digits = 0) =>
+  numberFormat({ minimumFractionDigits: digits, maximumFractionDigits: digits }).format(n);
+
+export const fmtDate = (iso) => dateFormat({ weekday: "short", day: "numeric", month: "short" }).format(new Date(`${iso}T00:00`));
+
+// Rupiah tanpa desimal: "Rp 13.500" (id/jv/su), "IDR 13,500" (en)
+export const fmtRp = (n) => numberFormat({ style: "currency", currency: "IDR", maximumFractionDigits: 0 }).format(n);
+
+// Angka teks gaya Indonesia maupun Inggris. Titik/koma diikuti kelompok 3 digit = pemisah ribuan
+// ("1.500" dan "1,500" → 1500; "40.000,50" dan "40,000.50" → 40000.5), selain itu desimal ("2,5" → 2.5).
+export const parseNumber = (text) => {
+  const s = String(text ?? "").trim();
+  const normalized = /^-?[1-9]\d{0,2}(\.\d{3})+(,\d+)?$/.test(s)
+    ? s.replace(/\./g, "").replace(",", ".")
+    : /^-?[1-9]\d{0,2}(,\d{3})+(\.\d+)?$/.test(s)
+      ? s.replace(/,/g, "")
+      : s.replace(",", ".");
+  return normalized === "" ? NaN : Number(normalized);
+};
+
+export const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+// Notifikasi browser; diabaikan bila tidak didukung atau izin belum diberikan.
+// Lewat service worker bila aktif (Chrome Android menolak `new Notification`); galat ditelan
+// karena pemanggilnya berjalan di dalam setInterval (peringatan harga & cuaca).
+export const notify = (title, body) => {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  const options = { body, icon: "/leaf.svg" };
+  try {
+    if (navigator.serviceWorker?.controller) {
+      navigator.serviceWorker.ready.then((reg) => reg.showNotification(title, options)).catch(() => {});
+    } else {
+      new Notification(title, options);
+    }
+  } catch {
+    // tidak didukung di konteks ini
+  }
+};
+
+// Unduh teks sebagai file (ekspor JSON, dsb.)
+export const downloadFile = (filename, text, type = "application/json") => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// Tanggal lokal "YYYY-MM-DD"
+export const isoDate = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+// selisih hari antar tanggal "YYYY-MM-DD"
+export const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+export const DAY_MS = 86400000;
@@ -0,0 +1,234 @@
+// Perkiraan titik ibu kota kabupaten/kota (2 desimal) untuk pencarian lokasi tanpa sinyal
+import KABUPATEN from "../kabupaten.json";
+import { DAY_MS, clamp } from "./format.js";
+import { getLocale, t } from "./i18n.js";
+import { withParams } from "./url.js";
+
+// ====== Peta: ubin yang bisa dipakai offline & geocoding teks lokasi
+const GEOCODE_KEY = "agrihub_geocode_v1";
+const GEOCODE_RETRY_MS = 7 * DAY_MS; // teks yang tidak ditemukan dicoba lagi setelah seminggu
+const OFFLINE_TILE_LIMIT = 400;
+
+export const loadGeocodes = () => {
+  try {
+    return JSON.parse(localStorage.getItem(GEOCODE_KEY) || "{}");
+  } catch {
+    return {};
+  }
+};
+const saveGeocodes = (map) => localStorage.setItem(GEOCODE_KEY, JSON.stringify(map));
+
+export const placeKey = (text) => String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+// "Pasar Induk Kramat Jati, Jakarta Timur" → ["pasar induk kramat jati, jakarta timur", "kramat jati", "jakarta timur", …]
+const placeQueries = (text) => {
+  const parts = placeKey(text).split(",").map((x) => x.trim()).filter(Boolean);
+  const strip = (x) => x.replace(/^(pasar( induk)?|kab(upaten)?\.?|kota|kec(amatan)?\.?|desa|ds\.?)\s+/, "");
+  return [...new Set([placeKey(text), ...parts.map(strip), ...parts])].filter(Boolean);
+};
+
+// Entri cache: { latitude, longitude, label } bila ketemu, { miss: ts } bila tidak.
+// Hasil dari daftar kabupaten offline ditandai `offline` dan diperbaiki lewat layanan begitu online.
+const placeFor = (text, places) => {
+  const hit = places[placeKey(text)];
+  return hit && !hit.miss ? hit : null;
+};
+export const needsGeocode = (text, places) => {
+  const hit = places[placeKey(text)];
+  if (!placeKey(text) || placeKey(text) === "-") return false;
+  return !hit || (hit.miss && Date.now() - hit.miss > GEOCODE_RETRY_MS) || (hit.offline && navigator.onLine);
+};
+
+export const listingCoords = (post, places) =>
+  hasCoords(post) ? { latitude: Number(post.latitude), longitude: Number(post.longitude) } : placeFor(post.location, places);
+
+/**
+ * Teks lokasi listing/pasar → satu titik. Layanan geocoding dulu (tiap kandidat dari placeQueries),
+ * lalu daftar kabupaten offline. Mengembalikan undefined bila belum bisa dipastikan (offline & tidak
+ * ada di daftar) agar tidak dicatat sebagai "tidak ditemukan".
+ */
+async function geocodePlace(text, config) {
+  const queries = placeQueries(text);
+  let offline = !navigator.onLine || !geocoderUrl(config) || Date.now() < pausedUntil;
+  if (!offline) {
+    try {
+      for (const q of queries) {
+        const [hit] = await searchPlacesOnline(q, config);
+        if (hit) return hit;
+      }
+    } catch {
+      offline = true;
+    }
+  }
+  for (const q of queries) {
+    const [hit] = searchOfflinePlaces(q);
+    if (hit) return offline ? { ...hit, offline: true } : hit;
+  }
+  return offline ? undefined : null;
+}
+
+// Geocode berurutan (hemat kuota layanan); hasil & kegagalan dicatat di cache agar tidak diulang.
+// Setelah layanan menjawab 429 sisa teks hanya dicocokkan ke daftar offline sampai jeda berakhir.
+// `onProgress` mengembalikan false untuk berhenti (mis. komponen sudah dilepas).
+export async function geocodeMissing(texts, config, onProgress) {
+  const todo = [...new Set(texts.map(placeKey))].filter((t) => needsGeocode(t, loadGeocodes()));
+  for (const text of todo) {
+    const hit = await geocodePlace(text, config);
+    if (hit === undefined) continue;
+    const places = { ...loadGeocodes(), [text]: hit || { miss: Date.now() } };
+    saveGeocodes(places);
+    if (onProgress?.(places) === false) break;
+  }
+  return todo.length;
+}
+
+// Nama tempat hasil geocoding: Inggris untuk antarmuka Inggris, selain itu Indonesia (jv/su belum didukung layanan)
+const resultLanguage = () => (getLocale() === "en" ? "en" : "id");
+
+// ====== Pencarian nama tempat: layanan geocoding yang bisa diganti + daftar kabupaten/kota offline
+// Adapter: URL bawaan, parameter kueri, dan normalisasi respons → [{ name, label, latitude, longitude }].
+// Nama pilihan di Pengaturan ada di katalog `geo.geocoders.<kunci>`.
+export const GEOCODERS = {
+  "open-meteo": {
+    url: "https://geocoding-api.open-meteo.com/v1/search",
+    params: (q) => ({ name: q, count: "8", language: resultLanguage(), countryCode: "ID" }),
+    parse: (json) =>
+      (json.results || []).map((r) => ({
+        name: r.name,
+        label: [r.name, r.admin3, r.admin2, r.admin1].filter(Boolean).join(", "),
+        latitude: r.latitude,
+        longitude: r.longitude,
+      })),
+  },
+  nominatim: {
+    url: "https://nominatim.openstreetmap.org/search",
+    // kebijakan layanan publik: maks. 1 permintaan per detik
+    minIntervalMs: 1000,
+    params: (q) => ({ q, format: "jsonv2", countrycodes: "id", limit: "8", "accept-language": resultLanguage() }),
+    parse: (json) =>
+      (Array.isArray(json) ? json : []).map((r) => ({
+        name: r.name || r.display_name.split(",")[0],
+        label: r.display_name,
+        latitude: Number(r.lat),
+        longitude: Number(r.lon),
+      })),
+  },
+  offline: { url: "" },
+};
+
+// URL endpoint efektif; GEOCODE_URL menimpa URL bawaan (mis. instans Nominatim sendiri)
+const geocoderUrl = (config) => (config.GEOCODER === "offline" ? "" : config.GEOCODE_URL || GEOCODERS[config.GEOCODER]?.url || "");
+
+// Jadwal permintaan online: slot berikutnya (untuk `minIntervalMs`) & akhir jeda setelah 429
+let nextSlot = 0;
+let pausedUntil = 0;
+const RATE_LIMIT_PAUSE_MS = 60 * 1000;
+
+async function searchPlacesOnline(query, config) {
+  const geocoder = GEOCODERS[config.GEOCODER] || GEOCODERS["open-meteo"];
+  const at = Math.max(Date.now(), nextSlot);
+  nextSlot = at + (geocoder.minIntervalMs || 0);
+  if (at > Date.now()) await new Promise((resolve) => setTimeout(resolve, at - Date.now()));
+  const res = await fetch(withParams(geocoderUrl(config), geocoder.params(query)));
+  if (res.status === 429) pausedUntil = Date.now() + (Number(res.headers.get("Retry-After")) * 1000 || RATE_LIMIT_PAUSE_MS);
+  if (!res.ok) throw new Error(t("geo.searchFailed", { status: res.status }));
+  return geocoder.parse(await res.json()).filter(hasCoords);
+}
+
+// Cocokkan ke nama kabupaten/kota atau ibu kotanya; tepat > awalan > memuat
+// ("kota bandung" mendahulukan Kota Bandung dari Kab. Bandung)
+const stripAdmin = (x) => placeKey(x).replace(/^(kab(upaten)?\.?|kota)\s+/, "");
+const adminKind = (x) => (/^kota\s/.test(placeKey(x)) ? "kota" : /^kab/.test(placeKey(x)) ? "kab" : "");
+function searchOfflinePlaces(query, limit = 8) {
+  const q = stripAdmin(query);
+  const kind = adminKind(query);
+  if (!q) return [];
+  const rank = (k) => {
+    const names = [stripAdmin(k.name), placeKey(k.seat)];
+    const r = names.includes(q) ? 3 : names.some((n) => n.startsWith(q)) ? 2 : names.some((n) => n.includes(q)) ? 1 : 0;
+    return r && kind && kind === adminKind(k.name) ? r + 0.5 : r;
+  };
+  return KABUPATEN.map((k) => ({ k, r: rank(k) }))
+    .filter((x) => x.r > 0)
+    .sort((a, b) => b.r - a.r || a.k.name.localeCompare(b.k.name))
+    .slice(0, limit)
+    .map(({ k }) => ({ name: k.name, label: `${k.name} (${k.seat}), ${k.province}`, latitude: k.lat, longitude: k.lon, approx: true }));
+}
+
+// Kotak pencarian: layanan online dulu, daftar offline bila offline/gagal/tidak ada hasil
+export async function searchPlaces(query, config) {
+  if (navigator.onLine && geocoderUrl(config)) {
+    try {
+      const results = await searchPlacesOnline(query, config);
+      if (results.length) return { results, offline: false };
+    } catch (e) {
+      return { results: searchOfflinePlaces(query), offline: true, error: e.message };
+    }
+  }
+  return { results: searchOfflinePlaces(query), offline: true };
+}
+
+// Kode galat GeolocationPositionError → pesan `geo.gps.<kode>`
+const GPS_ERRORS = { 1: "denied", 2: "unavailable", 3: "timeout" };
+
+export const currentPosition = () =>
+  new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error(t("geo.gps.unsupported")));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => resolve({ latitude: coords.latitude, longitude: coords.longitude, accuracy: coords.accuracy }),
+      (e) => reject(new Error(GPS_ERRORS[e.code] ? t(`geo.gps.${GPS_ERRORS[e.code]}`) : e.message)),
+      { enableHighAccuracy: true, timeout: 20000, maximumAge: 60000 }
+    );
+  });
+
+// Lokasi pasar dari data harga: koordinat sumber bila ada, selain itu nama pasar yang di-geocode
+export function marketLocations(rows, places) {
+  const byMarket = new Map();
+  for (const r of rows) {
+    const key = placeKey(r.market);
+    if (!key || key === "-") continue;
+    if (!byMarket.has(key)) byMarket.set(key, { market: r.market, rows: [] });
+    const m = byMarket.get(key);
+    m.rows.push(r);
+    if (hasCoords(r)) Object.assign(m, { latitude: r.latitude, longitude: r.longitude });
+  }
+  return [...byMarket.values()].map((m) => (hasCoords(m) ? m : { ...m, ...placeFor(m.market, places) }));
+}
+
+// Ubin Web Mercator (slippy map) yang menutupi `bounds` pada zoom z
+const tileXY = (lat, lon, z) => {
+  const n = 2 ** z;
+  const rad = (clamp(lat, -85.05, 85.05) * Math.PI) / 180;
+  return [
+    clamp(Math.floor(((lon + 180) / 360) * n), 0, n - 1),
+    clamp(Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n), 0, n - 1),
+  ];
+};
+
+export function tileUrls(template, { north, south, west, east }, zooms, limit = OFFLINE_TILE_LIMIT) {
+  const out = [];
+  for (const z of zooms) {
+    const [x0, y0] = tileXY(north, west, z);
+    const [x1, y1] = tileXY(south, east, z);
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        if (out.length >= limit) return out;
+        out.push(template.replace("{s}", "a").replace("{z}", z).replace("{x}", x).replace("{y}", y).replace("{r}", ""));
+      }
+    }
+  }
+  return out;
+}
+
+export const haversineKm = (lat1, lon1, lat2, lon2) => {
+  const rad = (d) => (d * Math.PI) / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(a));
+};
+
+// null/undefined/"" bukan koordinat (Number(null) = 0 akan menaruh titik di 0,0)
+const isCoord = (v) => v != null && v !== "" && Number.isFinite(Number(v));
+export const hasCoords = (p) => !!p && isCoord(p.latitude) && isCoord(p.longitude);
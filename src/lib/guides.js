@@ -0,0 +1,235 @@
+import { daysBetween, isoDate } from "./format.js";
+import { content, getLocale, t } from "./i18n.js";
+
+// ====== Data Panduan Budidaya (ringkas, praktis)
+// from/to: rentang fase dalam HST (hari setelah tanam/pindah tanam; negatif = sebelum tanam).
+// tasks: pekerjaan terjadwal relatif terhadap tanggal tanam, dipakai untuk "Tugas Mendatang".
+export const GUIDES = {
+  padi: {
+    name: "Padi (Oryza sativa)",
+    tasks: [
+      { title: "Semai benih", from: -21, to: -18 },
+      { title: "Pemupukan dasar", from: -3, to: 0 },
+      { title: "Pindah tanam", from: 0, to: 0 },
+      { title: "Penyiangan I (2–3 MST)", from: 14, to: 21 },
+      { title: "Pemupukan susulan I", from: 21, to: 28 },
+      { title: "Penyiangan II", from: 35, to: 42 },
+      { title: "Pemupukan susulan II", from: 42, to: 50 },
+      { title: "Keringkan petakan menjelang panen", from: 80, to: 90 },
+      { title: "Panen", from: 95, to: 105 },
+    ],
+    stages: [
+      {
+        title: "Pra-Tanam",
+        from: -30,
+        to: -1,
+        steps: [
+          "Pilih varietas unggul sesuai agroklimat (Ciherang, Inpari, dsb).",
+          "Benih sehat: rendam air garam 3–5% (benih mengapung dibuang), lalu peram 24–36 jam.",
+          "Siapkan lahan: pengolahan tanah & pemupukan dasar (mis. 100–200 kg/ha Urea setara, sesuaikan rekomendasi setempat).",
+        ],
+      },
+      {
+        title: "Tanam",
+        from: 0,
+        to: 7,
+        steps: [
+          "Umur bibit 18–21 HSS (hari setelah semai). Jarak tanam 25×25 cm (SRI bisa lebih renggang).",
+          "Atur tinggi air 2–3 cm awal tanam, naikkan bertahap.",
+        ],
+      },
+      {
+        title: "Pemeliharaan",
+        from: 8,
+        to: 89,
+        steps: [
+          "Pemupukan berimbang (N-P-K) sesuai uji tanah/kalibrasi setempat.",
+          "Pengendalian gulma 2–3 MST (minggu setelah tanam).",
+          "Pantau hama: wereng, penggerek batang; penyakit: blas, hawar daun bakteri.",
+        ],
+      },
+      { title: "Panen", from: 90, to: 110, steps: ["Panen saat 90–95% gabah menguning."] },
+    ],
+  },
+  jagung: {
+    name: "Jagung (Zea mays)",
+    tasks: [
+      { title: "Olah tanah & bedengan", from: -14, to: -7 },
+      { title: "Pemupukan dasar", from: -3, to: 0 },
+      { title: "Tanam benih", from: 0, to: 0 },
+      { title: "Penyulaman", from: 7, to: 10 },
+      { title: "Penyiangan (2–3 MST)", from: 14, to: 21 },
+      { title: "Pemupukan susulan I (vegetatif cepat)", from: 21, to: 28 },
+      { title: "Pemupukan susulan II", from: 35, to: 45 },
+      { title: "Panen", from: 95, to: 110 },
+    ],
+    stages: [
+      {
+        title: "Pra-Tanam",
+        from: -14,
+        to: -1,
+        steps: [
+          "Benih unggul hibrida/lokal adaptif.",
+          "Olah tanah, buat bedengan bila perlu; pemupukan dasar berimbang.",
+        ],
+      },
+      {
+        title: "Tanam",
+        from: 0,
+        to: 7,
+        steps: [
+          "Jarak tanam umum 70×20 cm (1–2 biji/lubang).",
+          "Pastikan kelembapan tanah cukup saat tanam.",
+        ],
+      },
+      {
+        title: "Pemeliharaan",
+        from: 8,
+        to: 94,
+        steps: [
+          "Penyiangan 2–3 MST.",
+          "Pemupukan susulan saat fase vegetatif cepat.",
+          "Pantau ulat grayak, busuk batang/akar.",
+        ],
+      },
+      { title: "Panen", from: 95, to: 110, steps: ["Panen saat kelobot mengering dan biji keras."] },
+    ],
+  },
+  cabai: {
+    name: "Cabai (Capsicum spp.)",
+    tasks: [
+      { title: "Semai benih", from: -30, to: -21 },
+      { title: "Pasang mulsa & perbaiki drainase", from: -7, to: -1 },
+      { title: "Pindah tanam", from: 0, to: 0 },
+      { title: "Pasang ajir", from: 7, to: 14 },
+      { title: "Pemupukan susulan I", from: 21, to: 28 },
+      { title: "Pemupukan susulan II", from: 42, to: 49 },
+      { title: "Panen perdana", from: 75, to: 90 },
+    ],
+    stages: [
+      {
+        title: "Pra-Tanam",
+        from: -30,
+        to: -1,
+        steps: [
+          "Semai benih 21–30 hari sebelum pindah tanam.",
+          "Siapkan mulsa plastik bila tersedia, perbaiki drainase.",
+        ],
+      },
+      {
+        title: "Tanam",
+        from: 0,
+        to: 14,
+        steps: [
+          "Jarak 60×60 cm (varietas besar) atau 70×50 cm.",
+          "Ajir/pasang penyangga untuk varietas tinggi.",
+        ],
+      },
+      {
+        title: "Pemeliharaan",
+        from: 15,
+        to: 74,
+        steps: [
+          "Pemupukan NPK bertahap; semprot K jika gejala kekurangan.",
+          "Waspadai antraknosa, trips, kutu kebul; rotasi fungisida/insektisida sesuai anjuran setempat.",
+        ],
+      },
+      {
+        title: "Panen",
+        from: 75,
+        to: 150,
+        steps: ["Panen bertahap saat matang fisiologis (merah) atau sesuai permintaan pasar."],
+      },
+    ],
+  },
+  tomat: {
+    name: "Tomat (Solanum lycopersicum)",
+    tasks: [
+      { title: "Semai benih", from: -25, to: -18 },
+      { title: "Pindah tanam", from: 0, to: 0 },
+      { title: "Pasang ajir", from: 7, to: 14 },
+      { title: "Pruning tunas air", from: 21, to: 45 },
+      { title: "Panen", from: 60, to: 100 },
+    ],
+    stages: [
+      { title: "Pra-Tanam", from: -25, to: -1, steps: ["Persemaian 18–25 hari, bedengan gembur & steril."] },
+      { title: "Tanam", from: 0, to: 7, steps: ["Jarak 60×50 cm, pasang ajir, penyiraman cukup."] },
+      {
+        title: "Pemeliharaan",
+        from: 8,
+        to: 59,
+        steps: [
+          "Pemupukan bertahap, pruning tunas air secukupnya.",
+          "Pantau layu bakteri, busuk buah, lalat buah.",
+        ],
+      },
+      { title: "Panen", from: 60, to: 100, steps: ["Panen saat warna 60–90% merah, sesuai jarak distribusi."] },
+    ],
+  },
+};
+
+/**
+ * Panduan dalam bahasa aktif. Katalog `guideContent.<crop>` berisi { name, tasks: [judul], stages: [{ title, steps }] }
+ * dengan urutan yang sama seperti GUIDES; rentang HST selalu dari GUIDES. Judul fase asli tetap dipakai
+ * sebagai kunci `stageWeights` aturan hama, jadi logika memakai GUIDES dan tampilan memakai guideFor.
+ */
+const localizedGuides = new Map();
+export function guideFor(crop) {
+  const g = GUIDES[crop];
+  const tr = g && content(`guideContent.${crop}`);
+  if (!tr) return g;
+  const key = `${getLocale()}:${crop}`;
+  if (!localizedGuides.has(key)) {
+    localizedGuides.set(key, {
+      ...g,
+      name: tr.name || g.name,
+      tasks: g.tasks.map((x, i) => ({ ...x, title: tr.tasks?.[i] || x.title })),
+      stages: g.stages.map((x, i) => ({ ...x, title: tr.stages?.[i]?.title || x.title, steps: tr.stages?.[i]?.steps || x.steps })),
+    });
+  }
+  return localizedGuides.get(key);
+}
+
+// Fase budidaya pada `hst` (null bila di luar semua rentang atau tanpa panduan)
+export const stageAt = (crop, hst, guide = GUIDES[crop]) =>
+  hst == null ? null : guide?.stages.find((st) => hst >= st.from && hst <= st.to) || null;
+
+// Judul fase asli (kunci stageWeights) → judul dalam bahasa aktif
+export const stageLabel = (crop, title) => {
+  const i = GUIDES[crop]?.stages.findIndex((st) => st.title === title) ?? -1;
+  return i >= 0 ? guideFor(crop).stages[i].title : title;
+};
+
+// "23 HST (3 MST)"; negatif → "5 hari sebelum tanam"
+export const fmtHst = (hst) => (hst < 0 ? t("guide.daysBeforePlanting", { n: -hst }) : t("guide.hst", { n: hst, weeks: Math.floor(hst / 7) }));
+
+// Frasa waktu relatif untuk tugas: "hari ini", "3 hari lagi", "minggu depan", …
+export const relativeWhen = (daysUntil) => {
+  if (daysUntil <= 0) return t("guide.today");
+  if (daysUntil === 1) return t("guide.tomorrow");
+  if (daysUntil < 7) return t("guide.inDays", { n: daysUntil });
+  if (daysUntil < 14) return t("guide.nextWeek");
+  return t("guide.inWeeks", { n: Math.round(daysUntil / 7) });
+};
+
+export const addDays = (iso, n) => {
+  const d = new Date(`${iso}T00:00`);
+  d.setDate(d.getDate() + n);
+  return isoDate(d);
+};
+
+// Tugas yang sedang berjalan atau mulai dalam `horizon` hari ke depan
+export function upcomingTasks(crop, plantingDate, today = isoDate(new Date()), horizon = 21) {
+  const guide = guideFor(crop);
+  if (!guide || !plantingDate) return [];
+  const hst = daysBetween(plantingDate, today);
+  return guide.tasks
+    .filter((t) => t.to >= hst && t.from - hst <= horizon)
+    .map((t) => ({
+      ...t,
+      start: addDays(plantingDate, t.from),
+      end: addDays(plantingDate, t.to),
+      daysUntil: t.from - hst,
+      ongoing: t.from <= hst,
+    }));
+}
@@ -0,0 +1,57 @@
+import messagesId from "../locales/id.json";
+import messagesEn from "../locales/en.json";
+import messagesJv from "../locales/jv.json";
+import messagesSu from "../locales/su.json";
+
+// ====== Bahasa antarmuka: katalog pesan per bahasa + format angka/tanggal/mata uang sesuai lokal
+// `intl` berisi urutan tag BCP 47 untuk Intl; browser yang belum punya data jv/su jatuh ke id-ID.
+export const LOCALES = {
+  id: { label: "Bahasa Indonesia", intl: ["id-ID"], messages: messagesId },
+  en: { label: "English", intl: ["en-GB"], messages: messagesEn },
+  jv: { label: "Basa Jawa", intl: ["jv-ID", "id-ID"], messages: messagesJv },
+  su: { label: "Basa Sunda", intl: ["su-ID", "id-ID"], messages: messagesSu },
+};
+export const DEFAULT_LOCALE = "id";
+
+let current = DEFAULT_LOCALE;
+
+export const getLocale = () => current;
+export const intlLocale = () => LOCALES[current].intl;
+
+export const setLocale = (code) => {
+  current = LOCALES[code] ? code : DEFAULT_LOCALE;
+  if (typeof document !== "undefined") document.documentElement.lang = current;
+  return current;
+};
+
+// Bahasa awal dari browser bila pengguna belum memilih
+export const browserLocale = () => {
+  const langs = typeof navigator === "undefined" ? [] : navigator.languages || [navigator.language];
+  return langs.map((l) => String(l || "").slice(0, 2).toLowerCase()).find((l) => LOCALES[l]) || DEFAULT_LOCALE;
+};
+
+const lookup = (messages, key) => key.split(".").reduce((acc, k) => (acc == null ? undefined : acc[k]), messages);
+
+// Formatter Intl dibuat sekali per bahasa + opsi
+const formatters = new Map();
+const cached = (Ctor, opts) => {
+  const k = `${Ctor.name}|${current}|${JSON.stringify(opts)}`;
+  if (!formatters.has(k)) formatters.set(k, new Ctor(intlLocale(), opts));
+  return formatters.get(k);
+};
+export const numberFormat = (opts = {}) => cached(Intl.NumberFormat, opts);
+export const dateFormat = (opts = {}) => cached(Intl.DateTimeFormat, opts);
+
+/**
+ * Terjemahkan `key` ("buyers.submit") memakai bahasa aktif → Indonesia → `fallback` → key itu sendiri.
+ * `{nama}` diganti dari `vars`. Pesan berbentuk { one, other } dipilih lewat Intl.PluralRules memakai `vars.n`.
+ */
+export function t(key, vars, fallback) {
+  let msg = lookup(LOCALES[current].messages, key) ?? lookup(messagesId, key) ?? fallback ?? key;
+  if (msg && typeof msg === "object") msg = msg[cached(Intl.PluralRules, {}).select(Number(vars?.n) || 0)] ?? msg.other;
+  if (typeof msg !== "string" || !vars) return msg;
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (vars[name] == null ? m : String(vars[name])));
+}
+
+// Konten terstruktur (panduan, catatan hama) untuk bahasa aktif; undefined bila belum diterjemahkan
+export const content = (key) => (current === DEFAULT_LOCALE ? undefined : lookup(LOCALES[current].messages, key));
@@ -0,0 +1,404 @@
+import { fmt, fmtRp, isoDate, parseNumber } from "./format.js";
+import { hasCoords, haversineKm, listingCoords } from "./geo.js";
+import { t } from "./i18n.js";
+import { parsePrice } from "./market.js";
+import { deviceId } from "./storage.js";
+import { convertQty, parseQuantity, unitFactor } from "./units.js";
+import { readUrlParams, writeUrlParams } from "./url.js";
+
+// ====== Sinkronisasi dua arah listing dengan backend (opsional)
+/**
+ * Kontrak API (LISTINGS_API_URL, auth Bearer LISTINGS_API_KEY):
+ *   GET    {url}?since=<cursor>&limit=100[&cursor=<halaman>]
+ *          → { items: [listing | { id, deleted: true, updatedAt }], next: "<halaman>" | null, since: "<cursor baru>" }
+ *   POST   {url}          body = listing → listing tersimpan (boleh menambah/mengubah updatedAt)
+ *   DELETE {url}/{id}     → 2xx atau 404 (sudah tidak ada)
+ *   POST   {url}/{id}/offers  body = tawaran → 2xx; server menambahkannya ke `offers` listing {id}
+ * Listing: { id, type, commodity, qty, unit, location, price, contact, notes, ts, updatedAt, author: { id, name } }
+ * Konflik diselesaikan per id: `updatedAt` terbaru menang (seri → versi server).
+ */
+// Status sinkron lokal: { since, pendingDeletes: [id], lastSync }
+export const loadSyncState = () => {
+  try {
+    const raw = localStorage.getItem("agrihub_sync_v1");
+    return { since: "", pendingDeletes: [], lastSync: null, ...(raw ? JSON.parse(raw) : {}) };
+  } catch {
+    return { since: "", pendingDeletes: [], lastSync: null };
+  }
+};
+export const saveSyncState = (x) => localStorage.setItem("agrihub_sync_v1", JSON.stringify(x));
+
+const listingTime = (p) => p.updatedAt || p.ts || 0;
+export const isOwnListing = (p) => p.author?.id === deviceId();
+
+/**
+ * Gabungkan listing lokal dengan item dari server. Hasil terurut terbaru dulu.
+ * Listing lokal yang belum terkirim (`syncState: "pending"`) tidak pernah ditimpa versi server — dikirim
+ * ulang pada sinkronisasi berikutnya; selain itu `updatedAt` terbaru menang.
+ */
+export function mergeListings(local, remote) {
+  const byId = new Map(local.map((p) => [p.id, p]));
+  for (const r of remote) {
+    const mine = byId.get(r.id);
+    if (mine?.syncState === "pending" || (mine && listingTime(mine) > listingTime(r))) continue;
+    if (r.deleted) byId.delete(r.id);
+    else byId.set(r.id, { ...r, syncState: "synced" });
+  }
+  return [...byId.values()].sort((a, b) => b.ts - a.ts);
+}
+
+async function listingsRequest(config, path = "", init = {}) {
+  const headers = { "Content-Type": "application/json", ...(config.LISTINGS_API_KEY ? { Authorization: `Bearer ${config.LISTINGS_API_KEY}` } : {}) };
+  const res = await fetch(`${config.LISTINGS_API_URL.replace(/\/$/, "")}${path}`, { ...init, headers });
+  if (!res.ok && !(init.method === "DELETE" && res.status === 404)) {
+    const err = new Error(t("listings.backendRejected", { status: res.status }));
+    err.status = res.status;
+    throw err;
+  }
+  return res.status === 204 || init.method === "DELETE" ? null : res.json();
+}
+
+// ====== Tawaran pada listing pengguna lain
+// Disimpan sebagai catatan sendiri [{ listingId, offer, sent }] — listing induk milik pemasang tidak diubah.
+export const loadOffers = () => {
+  try {
+    const raw = localStorage.getItem("agrihub_offers_v1");
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+};
+export const saveOffers = (x) => localStorage.setItem("agrihub_offers_v1", JSON.stringify(x));
+
+// Riwayat negosiasi satu listing: `offers` dari listing + tawaran sendiri yang belum tercermin di server
+export const listingOffers = (p, offers = []) => {
+  const known = new Set((p.offers || []).map((o) => o.id));
+  const own = offers.filter((x) => x.listingId === p.id && !known.has(x.offer.id)).map((x) => x.offer);
+  return [...(p.offers || []), ...own].sort((a, b) => a.ts - b.ts);
+};
+
+// Kirim perubahan lokal (POST & DELETE tertunda, tawaran baru), lalu tarik perubahan server sejak cursor terakhir.
+// Galat tarik tidak membatalkan hasil kirim: status parsial tetap dikembalikan agar bisa disimpan.
+export async function syncListings(config, posts, state, offers = []) {
+  const errors = [];
+  let next = posts;
+  // listing lama (sebelum sinkronisasi diaktifkan) belum punya syncState: ikut dikirim bila milik sendiri
+  for (const p of posts.filter((x) => x.syncState === "pending" || (!x.syncState && isOwnListing(x)))) {
+    try {
+      // syncState hanya status lokal, tidak ikut dikirim
+      const { syncState: _local, ...rest } = p;
+      const body = { updatedAt: p.ts, ...rest, author: { id: deviceId(), name: rest.author?.name || config.posterName?.trim() || t("listings.anonymous") } };
+      const saved = await listingsRequest(config, "", { method: "POST", body: JSON.stringify(body) });
+      next = next.map((x) => (x.id === p.id ? { ...x, ...(saved || {}), syncState: "synced" } : x));
+    } catch (e) {
+      errors.push(`${p.commodity}: ${e.message}`);
+    }
+  }
+  const pendingDeletes = [];
+  for (const id of state.pendingDeletes) {
+    try {
+      await listingsRequest(config, `/${encodeURIComponent(id)}`, { method: "DELETE" });
+    } catch (e) {
+      pendingDeletes.push(id);
+      errors.push(e.message);
+    }
+  }
+  const sentOffers = [];
+  for (const x of offers) {
+    if (x.sent) {
+      sentOffers.push(x);
+      continue;
+    }
+    try {
+      await listingsRequest(config, `/${encodeURIComponent(x.listingId)}/offers`, { method: "POST", body: JSON.stringify(x.offer) });
+      sentOffers.push({ ...x, sent: true });
+    } catch (e) {
+      sentOffers.push(x);
+      errors.push(e.message);
+    }
+  }
+  let since = state.since;
+  let cursor = "";
+  let pulled = 0;
+  // cursor `since` baru hanya dipakai bila semua halaman berhasil ditarik
+  let pulledSince = since;
+  try {
+    for (let page = 0; page < 20; page++) {
+      const params = new URLSearchParams({ limit: "100", ...(state.since ? { since: state.since } : {}), ...(cursor ? { cursor } : {}) });
+      const body = await listingsRequest(config, `?${params}`);
+      const items = Array.isArray(body) ? body : body?.items || [];
+      next = mergeListings(next, items);
+      pulled += items.length;
+      cursor = body?.next || "";
+      if (!Array.isArray(body) && body?.since) pulledSince = body.since;
+      if (!cursor) break;
+    }
+    since = pulledSince;
+  } catch (e) {
+    errors.push(e.message);
+  }
+  return { posts: next, state: { since, pendingDeletes, lastSync: Date.now() }, offers: sentOffers, pulled, errors };
+}
+
+/**
+ * Terapkan hasil syncListings ke data lokal terkini (dibaca ulang setelah await), bukan ke salinan `before`
+ * yang dikirim: listing yang ditambah, diubah, atau dihapus selama sinkronisasi berlangsung tidak hilang.
+ * before/current: { posts, state, offers }. Hasil: { posts, state, offers } untuk disimpan.
+ */
+export function applySyncResult(before, current, result) {
+  const was = new Map(before.posts.map((p) => [p.id, p]));
+  const now = new Map(current.posts.map((p) => [p.id, p]));
+  // diubah lokal selama sinkron → versi lokal (sudah "pending" lewat touchListing) menang
+  const changed = (p) => !was.has(p.id) || listingTime(p) !== listingTime(was.get(p.id));
+  const posts = new Map();
+  for (const r of result.posts) {
+    const local = now.get(r.id);
+    if (local) posts.set(r.id, changed(local) ? local : r);
+    else if (!was.has(r.id)) posts.set(r.id, r); // baru dari server
+  }
+  for (const p of current.posts) if (!posts.has(p.id) && changed(p)) posts.set(p.id, p);
+
+  // hapus yang masuk selama sinkron dipertahankan; listing yang terhapus lokal padahal baru saja
+  // terkirim ke server ikut dihapus di sana pada sinkronisasi berikutnya
+  const pendingDeletes = new Set([...result.state.pendingDeletes, ...current.state.pendingDeletes.filter((id) => !before.state.pendingDeletes.includes(id))]);
+  for (const r of result.posts) if (was.has(r.id) && !now.has(r.id) && r.syncState === "synced") pendingDeletes.add(r.id);
+
+  const sent = new Map(result.offers.map((x) => [x.offer.id, x]));
+  return {
+    posts: [...posts.values()].sort((a, b) => b.ts - a.ts),
+    state: { ...result.state, pendingDeletes: [...pendingDeletes] },
+    offers: current.offers.map((x) => sent.get(x.offer.id) || x),
+  };
+}
+
+// ====== Siklus hidup listing: status, masa berlaku, riwayat negosiasi
+// Listing: { ..., status, expiresAt: "YYYY-MM-DD", offers: [{ id, ts, kind: "tawaran" | "balik", price, note, by: { id, name } }] }
+// Nilai status disimpan apa adanya (data); labelnya di katalog `listings.status.<status>`
+export const LISTING_STATUS = {
+  aktif: { cls: "bg-emerald-100 text-emerald-800" },
+  negosiasi: { cls: "bg-sky-100 text-sky-800" },
+  terjual: { cls: "bg-gray-200 text-gray-700" },
+  kedaluwarsa: { cls: "bg-red-100 text-red-700" },
+};
+export const LISTING_TTL_DAYS = 14; // masa berlaku bawaan listing baru
+
+// Listing lama tanpa status dianggap aktif; listing pengguna lain yang lewat masa berlaku tampil kedaluwarsa
+export const listingStatus = (p, today = isoDate(new Date())) => {
+  const status = p.status || "aktif";
+  return (status === "aktif" || status === "negosiasi") && p.expiresAt && p.expiresAt < today ? "kedaluwarsa" : status;
+};
+export const isOpenListing = (p, today) => ["aktif", "negosiasi"].includes(listingStatus(p, today));
+
+// Tandai perubahan: updatedAt baru & kirim ulang ke backend bila listing pernah tersinkron
+export const touchListing = (p) => ({ ...p, updatedAt: Date.now(), ...(p.syncState ? { syncState: "pending" } : {}) });
+
+// Arsipkan otomatis listing sendiri yang lewat masa berlaku; null bila tidak ada yang berubah
+export function expireListings(posts, today = isoDate(new Date())) {
+  let changed = false;
+  const next = posts.map((p) => {
+    if (!isOwnListing(p) || p.status === "kedaluwarsa" || listingStatus(p, today) !== "kedaluwarsa") return p;
+    changed = true;
+    return touchListing({ ...p, status: "kedaluwarsa" });
+  });
+  return changed ? next : null;
+}
+
+// ====== Pencocokan Jual–Beli
+// Skor 0–1 per pasangan: nama komoditas (fuzzy), kuantitas setelah konversi satuan, irisan rentang harga, dan jarak.
+const MATCH_WEIGHTS = { commodity: 0.4, qty: 0.2, price: 0.25, distance: 0.15 };
+const MATCH_MIN_COMMODITY = 0.6; // di bawah ini dianggap komoditas berbeda
+const MATCH_MIN_SCORE = 0.5;
+
+// Ejaan/sebutan daerah yang umum untuk komoditas yang sama
+const NAME_SYNONYMS = { cabe: "cabai", lombok: "cabai", brambang: "bawang", jagong: "jagung", pari: "padi", telo: "ubi", tomato: "tomat" };
+
+const normalizeName = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((w) => NAME_SYNONYMS[w] || w)
+    .join(" ");
+
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+const wordsClose = (w, v) => w === v || (Math.min(w.length, v.length) > 3 && 1 - levenshtein(w, v) / Math.max(w.length, v.length) >= 0.75);
+
+/**
+ * Kemiripan nama komoditas 0–1: irisan kata (toleran salah ketik ringan) atau ejaan utuh, mana yang lebih tinggi.
+ * Kata pertama adalah jenis komoditas — bila berbeda ("Cabai Merah" vs "Bawang Merah") nilainya dibatasi 0.4.
+ */
+function nameSimilarity(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const tx = x.split(" ");
+  const ty = y.split(" ");
+  const whole = 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+  const shared = tx.filter((w) => ty.some((v) => wordsClose(w, v))).length;
+  // "Cabai" vs "Cabai Merah": daftar kata yang lebih pendek sepenuhnya tercakup
+  const tokens = (shared / Math.min(tx.length, ty.length)) * (0.8 + 0.2 * (shared / Math.max(tx.length, ty.length)));
+  const best = Math.max(whole, tokens);
+  return wordsClose(tx[0], ty[0]) ? best : Math.min(best, 0.4);
+}
+
+// "60.000", "55000-60000", "55 rb – 60 rb", "1,5rb" → { min, max } ; null bila kosong
+export function parsePriceRange(text) {
+  const values = [...String(text ?? "").toLowerCase().matchAll(/(\d+(?:[.,]\d+)*)(?:\s*(rb|ribu|k)\b)?/g)]
+    .map(([, n, thousand]) => parseNumber(n) * (thousand ? 1000 : 1))
+    .filter((n) => Number.isFinite(n) && n > 0);
+  return values.length ? { min: Math.min(...values), max: Math.max(...values) } : null;
+}
+
+export const fmtPriceRange = (r) => (!r ? t("listings.noPrice") : r.min === r.max ? fmtRp(r.min) : `${fmtRp(r.min)}–${fmt.format(r.max)}`);
+
+// Kuantitas listing dalam kg (satuan di teks kuantitas didahulukan) dan rentang harga per kg
+function listingInKg(post, table) {
+  const parsed = parseQuantity(post.qty);
+  const unit = parsed.unit && unitFactor(post.commodity, parsed.unit, table) ? parsed.unit : post.unit;
+  const qty = Number.isFinite(parsed.qty) ? convertQty(parsed.qty, post.commodity, unit, "kg", table) : null;
+  const range = parsePriceRange(post.price);
+  const factor = unitFactor(post.commodity, post.unit, table);
+  const price = range && factor ? { min: range.min / factor, max: range.max / factor } : null;
+  return { qty, price };
+}
+
+/**
+ * Nilai kecocokan penjual & pembeli. Komponen yang datanya kosong diberi 0.5 (netral).
+ * Hasil: { score, parts: { commodity, qty, price, distance }, distanceKm }
+ */
+function scoreMatch(sell, buy, table) {
+  const s = listingInKg(sell, table);
+  const b = listingInKg(buy, table);
+  const commodity = nameSimilarity(sell.commodity, buy.commodity);
+  // stok penjual memenuhi permintaan → 1; sebagian → proporsional
+  const qty = s.qty && b.qty ? Math.min(1, s.qty / b.qty) : 0.5;
+  // harga minta penjual ≤ batas pembeli → 1; selisih hingga 20% turun bertahap ke 0
+  const price = s.price && b.price ? (s.price.min <= b.price.max ? 1 : Math.max(0, 1 - (s.price.min - b.price.max) / (0.2 * b.price.max))) : 0.5;
+  let distanceKm = null;
+  let distance;
+  if (hasCoords(sell) && hasCoords(buy)) {
+    distanceKm = haversineKm(Number(sell.latitude), Number(sell.longitude), Number(buy.latitude), Number(buy.longitude));
+    distance = distanceKm <= 25 ? 1 : Math.max(0, 1 - (distanceKm - 25) / 275);
+  } else {
+    // tanpa koordinat: kata lokasi yang sama (mis. "Karo") sebagai petunjuk kasar
+    const words = (p) => normalizeName(p.location).split(" ").filter((w) => w.length > 2);
+    distance = words(sell).some((w) => words(buy).includes(w)) ? 0.7 : 0.4;
+  }
+  const parts = { commodity, qty, price, distance };
+  const score = Object.entries(MATCH_WEIGHTS).reduce((acc, [k, w]) => acc + w * parts[k], 0);
+  return { score, parts, distanceKm };
+}
+
+/**
+ * Pasangan untuk listing milik sendiri: tiap listing Jual/Beli yang masih terbuka dicocokkan dengan listing
+ * berlawanan (bukan dari pemasang yang sama). Urut skor tertinggi.
+ */
+export function findMatches(posts, table) {
+  const out = [];
+  const open = posts.filter((p) => isOpenListing(p));
+  for (const mine of open.filter(isOwnListing)) {
+    for (const other of open) {
+      if (other.id === mine.id || other.type === mine.type) continue;
+      if (mine.author && other.author && mine.author.id === other.author.id) continue;
+      const [sell, buy] = mine.type === "Jual" ? [mine, other] : [other, mine];
+      const m = scoreMatch(sell, buy, table);
+      if (m.parts.commodity >= MATCH_MIN_COMMODITY && m.score >= MATCH_MIN_SCORE) out.push({ mine, other, ...m });
+    }
+  }
+  return out.sort((a, b) => b.score - a.score);
+}
+
+// Jenis "Jual"/"Beli" disimpan sebagai data; labelnya di katalog `listings.type.<jenis>`
+export const listingType = (type) => t(`listings.type.${type}`, null, type);
+
+export const describeListing = (p) =>
+  t("listings.describe", { type: listingType(p.type), commodity: p.commodity, qty: p.qty, unit: p.unit, location: p.location, price: p.price ? t("listings.describePrice", { price: p.price, unit: p.unit }) : "" });
+
+export const matchMessage = (m) =>
+  [
+    t("listings.msgGreeting", { name: m.other.author?.name ? ` ${m.other.author.name}` : "" }),
+    `• ${describeListing(m.other)}`,
+    t("listings.msgMine"),
+    `• ${describeListing(m.mine)}`,
+    t("listings.msgScore", { score: Math.round(m.score * 100), distance: m.distanceKm != null ? t("listings.msgDistance", { km: Math.round(m.distanceKm) }) : "" }),
+  ].join("\n");
+
+export const waLink = (contact, text) => `https://wa.me/${String(contact || "").replace(/[^0-9]/g, "")}?text=${encodeURIComponent(text)}`;
+
+// ====== Pencarian, filter & urutan listing (state tercermin di URL agar bisa dibagikan)
+// Parameter URL: ?tab=buyers&q=cabai&type=Jual&loc=karo&pmin=50000&pmax=70000&from=2026-10-01&to=&sort=price_asc&view=archive
+export const LISTING_FILTERS = { q: "", type: "", loc: "", pmin: "", pmax: "", from: "", to: "", sort: "newest", view: "open" };
+// Label di katalog `listings.sort.<kunci>`
+export const LISTING_SORTS = ["newest", "oldest", "price_asc", "price_desc", "distance"];
+
+export const listingFiltersFromUrl = () => {
+  const url = readUrlParams();
+  return Object.fromEntries(Object.entries(LISTING_FILTERS).map(([k, v]) => [k, url[k] ?? v]));
+};
+
+export const listingFiltersToUrl = (filters) =>
+  writeUrlParams(Object.fromEntries(Object.entries(filters).map(([k, v]) => [k, v === LISTING_FILTERS[k] ? "" : v])));
+
+// Harga (rentang) per satuan tampilan dan jarak ke lahan acuan untuk tiap listing
+// (koordinat dari teks lokasi yang sudah di-geocode dipakai bila listing tidak punya koordinat)
+function listingFacts(post, { table, unit, origin, places = {} }) {
+  const { price } = listingInKg(post, table);
+  const factor = unitFactor(post.commodity, unit, table) || 1;
+  const at = listingCoords(post, places);
+  const distanceKm = hasCoords(origin) && at ? haversineKm(Number(origin.latitude), Number(origin.longitude), at.latitude, at.longitude) : null;
+  return { price: price ? { min: price.min * factor, max: price.max * factor } : null, distanceKm };
+}
+
+/**
+ * Terapkan filter & urutan. Filter harga memakai irisan rentang dalam satuan tampilan (Rp/kg atau Rp/ton);
+ * listing tanpa harga/koordinat tersaring keluar hanya bila filter terkait diisi, dan selalu di akhir saat diurutkan.
+ */
+export function filterListings(posts, f, ctx) {
+  const q = normalizeName(f.q);
+  const loc = f.loc.trim().toLowerCase();
+  const pmin = parsePrice(f.pmin);
+  const pmax = parsePrice(f.pmax);
+  const rows = posts
+    .map((p) => ({ post: p, ...listingFacts(p, ctx) }))
+    .filter(({ post, price }) => {
+      if (q && !normalizeName(`${post.commodity} ${post.notes || ""}`).includes(q) && nameSimilarity(post.commodity, f.q) < MATCH_MIN_COMMODITY) return false;
+      if (f.type && post.type !== f.type) return false;
+      if (loc && !String(post.location || "").toLowerCase().includes(loc)) return false;
+      if (Number.isFinite(pmin) && !(price && price.max >= pmin)) return false;
+      if (Number.isFinite(pmax) && !(price && price.min <= pmax)) return false;
+      const day = isoDate(new Date(post.ts));
+      if (f.from && day < f.from) return false;
+      if (f.to && day > f.to) return false;
+      return true;
+    });
+  // nilai kosong selalu di akhir, apa pun arah urutannya
+  const by = (get, dir) => (a, b) => {
+    const x = get(a);
+    const y = get(b);
+    if (x == null || y == null) return (x == null) - (y == null);
+    return dir * (x - y);
+  };
+  const sorters = {
+    newest: by((r) => r.post.ts, -1),
+    oldest: by((r) => r.post.ts, 1),
+    price_asc: by((r) => r.price?.min, 1),
+    price_desc: by((r) => r.price?.max, -1),
+    distance: by((r) => r.distanceKm, 1),
+  };
+  return rows.sort(sorters[f.sort] || sorters.newest);
+}
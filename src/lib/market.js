@@ -0,0 +1,299 @@
+import { parseNumber } from "./format.js";
+import { t } from "./i18n.js";
+import { savePriceSnapshots } from "./priceHistory.js";
+import { withParams } from "./url.js";
+
+// ====== Mock data harga pasar (fallback jika tanpa API)
+export const MOCK_MARKET = [
+  { commodity: "Beras Medium", unit: "kg", market: "Jakarta", price: 13500, ts: Date.now() },
+  { commodity: "Cabai Merah", unit: "kg", market: "Medan", price: 62000, ts: Date.now() },
+  { commodity: "Bawang Merah", unit: "kg", market: "Surabaya", price: 38000, ts: Date.now() },
+  { commodity: "Jagung Pipilan", unit: "kg", market: "Yogyakarta", price: 6500, ts: Date.now() },
+  { commodity: "Kedelai", unit: "kg", market: "Bandung", price: 12800, ts: Date.now() },
+  { commodity: "TBS Sawit", unit: "kg", market: "Batam", price: 2550, ts: Date.now() },
+];
+
+// ====== Adapter sumber harga pasar (JSON/CSV, auth, pemetaan field, paginasi)
+/**
+ * Setiap sumber mendeklarasikan cara mengambil & memetakan data:
+ * {
+ *   id, name, url, enabled,
+ *   format: "json" | "csv", csvDelimiter: ",",
+ *   auth: { type: "none" | "bearer" | "header" | "query", key, name },  // name = nama header/parameter
+ *   rootPath: "$.data.items",     // letak array baris di respons JSON ("$" = respons itu sendiri)
+ *   mapping: { commodity: "$.nama|$.commodity", market: "$.lokasi.pasar", price: "$.harga", unit: "$.satuan", ts: "$.tanggal" },
+ *   pagination: { type: "none" | "page" | "offset" | "cursor" | "link", param, start, sizeParam, size, cursorPath, maxPages }
+ * }
+ * Path: notasi titik mirip JSONPath (`$.a.b[0].c`); beberapa alternatif dipisah `|` (dipakai yang pertama terisi).
+ * Untuk CSV, path adalah nama kolom header.
+ */
+export const DEFAULT_MAPPING = {
+  commodity: "$.commodity|$.nama",
+  market: "$.market|$.pasar",
+  price: "$.price|$.harga",
+  unit: "$.unit|$.satuan",
+  ts: "$.ts|$.timestamp",
+  lat: "$.lat|$.latitude", // opsional: koordinat pasar untuk peta
+  lon: "$.lon|$.lng|$.longitude",
+};
+
+export const newMarketSource = (patch = {}) => ({
+  id: crypto.randomUUID(),
+  name: "",
+  url: "",
+  enabled: true,
+  format: "json",
+  csvDelimiter: ",",
+  auth: { type: "none", key: "", name: "" },
+  rootPath: "$",
+  mapping: { ...DEFAULT_MAPPING },
+  pagination: { type: "none", param: "page", start: 1, sizeParam: "", size: 100, cursorPath: "", maxPages: 10 },
+  ...patch,
+});
+
+// Ambil nilai dari objek memakai path "$.a.b[0]" / "a.b.0"
+function getPath(obj, path) {
+  const parts = String(path || "$")
+    .trim()
+    .replace(/^\$\.?/, "")
+    .replace(/\[(\d+)\]/g, ".$1")
+    .split(".")
+    .filter(Boolean);
+  return parts.reduce((acc, k) => (acc == null ? undefined : acc[k]), obj);
+}
+
+export const readField = (item, spec, csv) => {
+  for (const alt of String(spec || "").split("|")) {
+    const path = alt.trim();
+    if (!path) continue;
+    const v = csv ? item[path.replace(/^\$\.?/, "")] : getPath(item, path);
+    if (v != null && v !== "") return v;
+  }
+  return undefined;
+};
+
+// CSV sederhana dengan dukungan tanda kutip ganda; baris pertama = header
+function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) rows.push([...row, cell]);
+  const [header = [], ...body] = rows.filter((r) => r.some((c) => c.trim() !== ""));
+  return body.map((r) => Object.fromEntries(header.map((h, i) => [h.trim(), r[i]?.trim() ?? ""])));
+}
+
+// Angka harga: terima "Rp 40.000", "40,000", "40000.5" (aturan pemisah sama dengan parseNumber)
+export const parsePrice = (v) => (typeof v === "number" ? v : parseNumber(String(v ?? "").replace(/[^\d.,-]/g, "")));
+
+// Waktu: epoch detik/milidetik atau string tanggal; kosong → `now`
+const parseTs = (v, now) => {
+  if (v == null || v === "") return now;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  const t = Date.parse(v);
+  return Number.isNaN(t) ? NaN : t;
+};
+
+/**
+ * Petakan item mentah ke baris standar { commodity, unit, market, price, ts }.
+ * Item yang gagal tidak dibuang diam-diam: dilaporkan di `errors` ("Baris 3: harga tidak valid").
+ * Item tanpa waktu diberi `now`.
+ */
+export function mapMarketItems(items, mapping, csv = false, now = Date.now()) {
+  const rows = [];
+  const errors = [];
+  items.forEach((item, i) => {
+    const commodity = readField(item, mapping.commodity, csv);
+    const price = parsePrice(readField(item, mapping.price, csv));
+    const ts = parseTs(readField(item, mapping.ts, csv), now);
+    const problems = [];
+    if (commodity == null) problems.push(t("market.noCommodity", { path: mapping.commodity }));
+    if (!Number.isFinite(price)) problems.push(t("market.badPrice", { path: mapping.price }));
+    if (!Number.isFinite(ts)) problems.push(t("market.badTime", { path: mapping.ts }));
+    if (problems.length) {
+      errors.push(t("market.row", { n: i + 1, problems: problems.join(", ") }));
+      return;
+    }
+    const lat = parseFloat(readField(item, mapping.lat, csv));
+    const lon = parseFloat(readField(item, mapping.lon, csv));
+    rows.push({
+      commodity: String(commodity),
+      unit: String(readField(item, mapping.unit, csv) ?? "kg"),
+      market: String(readField(item, mapping.market, csv) ?? "-"),
+      price,
+      ts,
+      ...(Number.isFinite(lat) && Number.isFinite(lon) ? { latitude: lat, longitude: lon } : {}),
+    });
+  });
+  return { rows, errors };
+}
+
+async function fetchSourcePage(source, url) {
+  const { auth = {} } = source;
+  const headers = {};
+  if (auth.type === "bearer" && auth.key) headers.Authorization = `Bearer ${auth.key}`;
+  if (auth.type === "header" && auth.key) headers[auth.name || "X-API-Key"] = auth.key;
+  const target = auth.type === "query" && auth.key ? withParams(url, { [auth.name || "api_key"]: auth.key }) : url;
+  const res = await fetch(target, { headers });
+  if (!res.ok) throw new Error(t("market.loadFailed", { status: res.status }));
+  if (source.format === "csv") return { body: null, items: parseCsv(await res.text(), source.csvDelimiter || ",") };
+  const body = await res.json();
+  const items = getPath(body, source.rootPath);
+  if (!Array.isArray(items)) throw new Error(t("market.rootNotArray", { path: source.rootPath || "$" }));
+  return { body, items };
+}
+
+/**
+ * Ambil semua halaman dari satu sumber lalu petakan.
+ * Hasil: { rows, errors, pages }. `maxPages` membatasi jumlah halaman (pratinjau memakai nilai kecil).
+ */
+export async function fetchMarketSource(source, maxPages = source.pagination?.maxPages || 10, now = Date.now()) {
+  const pg = source.pagination || { type: "none" };
+  const limit = pg.type === "none" ? 1 : Math.max(1, maxPages);
+  const sizeParams = pg.sizeParam ? { [pg.sizeParam]: pg.size } : {};
+  const items = [];
+  let url = pg.type === "page" || pg.type === "offset" ? withParams(source.url, { [pg.param]: pg.type === "page" ? pg.start ?? 1 : 0, ...sizeParams }) : source.url;
+  let pages = 0;
+  while (url && pages < limit) {
+    const page = await fetchSourcePage(source, url);
+    items.push(...page.items);
+    pages += 1;
+    if (page.items.length === 0 || (pg.size && pg.sizeParam && page.items.length < pg.size)) break;
+    if (pg.type === "page") url = withParams(source.url, { [pg.param]: (pg.start ?? 1) + pages, ...sizeParams });
+    else if (pg.type === "offset") url = withParams(source.url, { [pg.param]: items.length, ...sizeParams });
+    else if (pg.type === "cursor") {
+      const cursor = getPath(page.body, pg.cursorPath);
+      url = cursor ? withParams(source.url, { [pg.param]: cursor, ...sizeParams }) : null;
+    } else if (pg.type === "link") {
+      const next = getPath(page.body, pg.cursorPath);
+      url = next ? new URL(next, source.url).toString() : null;
+    } else url = null;
+  }
+  return { ...mapMarketItems(items, source.mapping || DEFAULT_MAPPING, source.format === "csv", now), pages };
+}
+
+// Migrasi konfigurasi lama (MARKET_API_URL/KEY) menjadi satu sumber adapter
+export const migrateMarketConfig = (cfg) => {
+  if (Array.isArray(cfg.marketSources)) return cfg;
+  const { MARKET_API_URL, MARKET_API_KEY, ...rest } = cfg;
+  const sources = MARKET_API_URL
+    ? [newMarketSource({ name: "Sumber Utama", url: MARKET_API_URL, auth: { type: MARKET_API_KEY ? "bearer" : "none", key: MARKET_API_KEY || "", name: "" } })]
+    : [];
+  return { ...rest, marketSources: sources };
+};
+
+export const enabledMarketSources = (config) => (config.marketSources || []).filter((s) => s.enabled !== false && s.url);
+
+// Kunci cache offline per kombinasi sumber aktif — mengganti sumber tidak menampilkan data sumber lama
+export const marketCacheKey = (config) => `market:${enabledMarketSources(config).map((s) => s.id).join(",")}`;
+
+// Kunci de-duplikasi: hanya entri identik (komoditas, pasar, satuan, waktu, harga) dari beberapa sumber
+// dianggap satu; harga berbeda tetap jadi baris terpisah dengan atribusinya sendiri
+const dedupeKey = (r) => [r.commodity, r.market, r.unit].map((x) => x.trim().toLowerCase()).concat(r.ts, r.price).join("|");
+
+/**
+ * Gabungkan baris dari beberapa sumber: tiap baris diberi atribusi `source` (nama sumber pertama)
+ * dan `sources` (semua sumber yang melaporkan entri identik).
+ */
+function mergeMarketRows(results) {
+  const byKey = new Map();
+  for (const { source, rows } of results) {
+    for (const r of rows) {
+      const key = dedupeKey(r);
+      const seen = byKey.get(key);
+      if (seen) {
+        if (!seen.sources.includes(source.name)) seen.sources.push(source.name);
+      } else {
+        byKey.set(key, { ...r, source: source.name, sourceId: source.id, sources: [source.name] });
+      }
+    }
+  }
+  return [...byKey.values()].sort((a, b) => a.commodity.localeCompare(b.commodity) || b.price - a.price);
+}
+
+/**
+ * Sebaran harga antar pasar per komoditas (pakai harga terbaru tiap pasar):
+ * [{ commodity, unit, markets, min, max, spread, spreadPct, avg }] — `max.market` = tempat jual terbaik.
+ */
+export function priceSpread(rows) {
+  const latest = new Map();
+  for (const r of rows) {
+    const key = [r.commodity, r.unit, r.market].map((x) => x.trim().toLowerCase()).join("|");
+    if (!latest.has(key) || latest.get(key).ts < r.ts) latest.set(key, r);
+  }
+  const groups = {};
+  for (const r of latest.values()) (groups[`${r.commodity.trim().toLowerCase()}|${r.unit}`] ||= []).push(r);
+  return Object.values(groups)
+    .filter((g) => g.length > 1)
+    .map((g) => {
+      const sorted = [...g].sort((a, b) => a.price - b.price);
+      const min = sorted[0];
+      const max = sorted[sorted.length - 1];
+      return {
+        commodity: min.commodity,
+        unit: min.unit,
+        markets: sorted,
+        min,
+        max,
+        spread: max.price - min.price,
+        spreadPct: min.price > 0 ? ((max.price - min.price) / min.price) * 100 : 0,
+        avg: sorted.reduce((a, r) => a + r.price, 0) / sorted.length,
+      };
+    })
+    .sort((a, b) => b.spreadPct - a.spreadPct);
+}
+
+/**
+ * Ambil harga live dari semua sumber aktif secara paralel, gabungkan, lalu simpan snapshot ke riwayat.
+ * Sumber yang gagal dilaporkan di `sourceErrors` tanpa menggagalkan sumber lain; gagal simpan riwayat juga tidak fatal.
+ */
+export async function pullMarketPrices(config) {
+  const sources = enabledMarketSources(config);
+  if (!sources.length) throw new Error(t("market.noSources"));
+  // satu waktu untuk baris tanpa waktu dari semua sumber, agar entri identik tetap bisa dicocokkan
+  const now = Date.now();
+  const settled = await Promise.allSettled(sources.map((source) => fetchMarketSource(source, undefined, now)));
+  const results = [];
+  const sourceErrors = [];
+  const errors = [];
+  settled.forEach((r, i) => {
+    const source = sources[i];
+    if (r.status === "rejected") {
+      sourceErrors.push({ source: source.name, message: r.reason?.message || t("market.sourceFailed") });
+      return;
+    }
+    results.push({ source, rows: r.value.rows });
+    errors.push(...r.value.errors.map((m) => `${source.name} • ${m}`));
+    if (!r.value.rows.length && r.value.errors.length) sourceErrors.push({ source: source.name, message: t("market.mappingFailed", { error: r.value.errors[0] }) });
+  });
+  const rows = mergeMarketRows(results);
+  if (!rows.length && sourceErrors.length) throw new Error(sourceErrors.map((e) => `${e.source}: ${e.message}`).join("; "));
+  let historyError = "";
+  try {
+    await savePriceSnapshots(rows);
+  } catch (e) {
+    historyError = e.message || t("market.snapshotFailed");
+  }
+  return { rows, errors, sourceErrors, historyError };
+}
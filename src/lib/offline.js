@@ -0,0 +1,51 @@
+import { useEffect, useState } from "react";
+
+// ====== Offline-first: cache respons terakhir (posting tertunda ada di log pengiriman webhook)
+const CACHE_PREFIX = "agrihub_cache_v1:";
+
+const saveCached = (key, data) => {
+  try {
+    localStorage.setItem(CACHE_PREFIX + key, JSON.stringify({ ts: Date.now(), data }));
+  } catch {
+    // kuota penuh: cache hanya pelengkap
+  }
+};
+export const loadCached = (key) => {
+  try {
+    const raw = localStorage.getItem(CACHE_PREFIX + key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Jalankan `fn`; bila berhasil hasilnya di-cache. Bila gagal (offline/server mati) pakai cache terakhir.
+ * Hasil: { data, asOf } — `asOf` = waktu data cache (ms), null bila data segar.
+ */
+export async function withOfflineCache(key, fn) {
+  try {
+    const data = await fn();
+    saveCached(key, data);
+    return { data, asOf: null };
+  } catch (e) {
+    const hit = loadCached(key);
+    if (!hit) throw e;
+    return { data: hit.data, asOf: hit.ts };
+  }
+}
+
+export function useOnline() {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  useEffect(() => {
+    const on = () => setOnline(true);
+    const off = () => setOnline(false);
+    window.addEventListener("online", on);
+    window.addEventListener("offline", off);
+    return () => {
+      window.removeEventListener("online", on);
+      window.removeEventListener("offline", off);
+    };
+  }, []);
+  return online;
+}
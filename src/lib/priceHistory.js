@@ -0,0 +1,89 @@
+import { DAY_MS } from "./format.js";
+import { t } from "./i18n.js";
+
+// ====== Riwayat harga (IndexedDB) — setiap snapshot live disimpan per komoditas+pasar
+export const priceKey = (r) => `${r.commodity}|${r.market}`;
+
+let dbPromise = null;
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") return reject(new Error(t("market.noIndexedDb")));
+      const req = indexedDB.open("agrihub", 1);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore("price_snapshots", { keyPath: "id" });
+        store.createIndex("ts", "ts");
+        store.createIndex("key", "key");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => (dbPromise = null));
+  }
+  return dbPromise;
+}
+
+// Bungkus satu transaksi IDB jadi Promise; `fn` menerima object store
+async function idbTx(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const result = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(result?.result ?? result);
+    tx.onerror = () => reject(tx.error);
+    // dibatalkan (mis. kuota penuh) tanpa onerror → jangan biarkan janji menggantung
+    tx.onabort = () => reject(tx.error || new Error(t(mode === "readonly" ? "market.historyFailed" : "market.snapshotFailed")));
+  });
+}
+
+// id = key+ts sehingga snapshot yang sama tidak tersimpan dua kali
+export const savePriceSnapshots = (rows) =>
+  idbTx("price_snapshots", "readwrite", (store) => {
+    for (const r of rows) store.put({ ...r, key: priceKey(r), id: `${priceKey(r)}|${r.ts}` });
+  });
+
+export const loadPriceHistory = (sinceTs) =>
+  idbTx("price_snapshots", "readonly", (store) => store.index("ts").getAll(IDBKeyRange.lowerBound(sinceTs)));
+
+// Riwayat contoh 90 hari (random walk deterministik) untuk mode Mock — tidak disimpan
+export function mockHistory(rows, days = 90) {
+  const out = [];
+  rows.forEach((r, i) => {
+    let price = r.price;
+    let seed = i + 1;
+    for (let d = 0; d <= days; d++) {
+      out.push({ ...r, key: priceKey(r), price: Math.round(price / 50) * 50, ts: r.ts - d * DAY_MS });
+      seed = (seed * 9301 + 49297) % 233280;
+      price *= 1 + (seed / 233280 - 0.5) * 0.06; // ±3%/hari, mundur dari harga kini
+    }
+  });
+  return out;
+}
+
+// Kelompokkan riwayat per key, urut waktu naik
+export const groupHistory = (history) => {
+  const map = {};
+  for (const h of history) {
+    const k = h.key || priceKey(h);
+    (map[k] = map[k] || []).push(h);
+  }
+  for (const k in map) map[k].sort((a, b) => a.ts - b.ts);
+  return map;
+};
+
+// Perubahan relatif terhadap snapshot terakhir yang ≥ `ago` ms lebih lama dari `row`
+export const priceChange = (series, row, ago) => {
+  const prev = series?.filter((h) => h.ts <= row.ts - ago).pop();
+  return prev && prev.price ? (row.price - prev.price) / prev.price : null;
+};
+
+export const priceStats = (points) => {
+  if (points.length === 0) return null;
+  const prices = points.map((p) => p.price);
+  return {
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    avg: prices.reduce((a, b) => a + b, 0) / prices.length,
+    n: prices.length,
+  };
+};
@@ -0,0 +1,271 @@
+import DEFAULT_PEST_RULES from "../pest-rules.json";
+import { daysBetween } from "./format.js";
+import { stageAt, stageLabel } from "./guides.js";
+import { content, t } from "./i18n.js";
+
+// ====== Model Risiko Hama/Penyakit (akumulatif, edukatif)
+// Tidak lagi menilai satu titik waktu saja: setiap jam dihitung indikator akumulasi
+// dari deret jam-jaman Open-Meteo (kebasahan daun, RH tinggi berturut-turut, hujan
+// kumulatif, GDD sejak tanam) lalu dinilai oleh aturan per hama.
+
+// Suhu dasar (°C) untuk perhitungan growing degree days
+const GDD_BASE = { padi: 10, jagung: 10, cabai: 10, tomat: 10 };
+
+// Daun dianggap basah bila ada hujan atau RH sangat tinggi (proxy embun)
+const isLeafWet = (rh, precipMm) => precipMm >= 0.1 || rh >= 90;
+
+/**
+ * Hitung indikator untuk setiap jam pada `hourly` (format Open-Meteo).
+ * Indikator per jam:
+ *  t, rh, p            — nilai instan
+ *  rhStreak            — jam berturut-turut RH ≥ 90% hingga jam ini
+ *  wetStreak           — jam berturut-turut daun basah hingga jam ini
+ *  wetHours24          — jumlah jam daun basah dalam 24 jam terakhir
+ *  rain24, rain72      — akumulasi hujan 24/72 jam terakhir (mm)
+ *  tMean24, rhMean24   — rerata suhu/RH 24 jam terakhir
+ *  gdd, hst            — GDD & hari setelah tanam (null bila tanggal tanam kosong)
+ *  gddPartial          — true bila data cuaca dimulai setelah tanggal tanam
+ */
+export function buildIndicators(hourly, { crop, plantingDate } = {}) {
+  if (!hourly?.time) return [];
+  const T = hourly.temperature_2m || [];
+  const H = hourly.relative_humidity_2m || [];
+  const P = hourly.precipitation || [];
+  const base = GDD_BASE[crop] ?? 10;
+  const partial = Boolean(plantingDate) && hourly.time[0]?.slice(0, 10) > plantingDate;
+  let rhStreak = 0;
+  let wetStreak = 0;
+  let gdd = 0;
+  return hourly.time.map((time, i) => {
+    const t = T[i];
+    const rh = H[i];
+    const p = P[i] ?? 0;
+    if (t == null || rh == null) return null;
+    rhStreak = rh >= 90 ? rhStreak + 1 : 0;
+    wetStreak = isLeafWet(rh, p) ? wetStreak + 1 : 0;
+
+    let wetHours24 = 0, rain24 = 0, rain72 = 0, tSum = 0, rhSum = 0, n = 0;
+    for (let j = Math.max(0, i - 71); j <= i; j++) {
+      const pj = P[j] ?? 0;
+      rain72 += pj;
+      if (j > i - 24 && T[j] != null && H[j] != null) {
+        rain24 += pj;
+        tSum += T[j];
+        rhSum += H[j];
+        n += 1;
+        if (isLeafWet(H[j], pj)) wetHours24 += 1;
+      }
+    }
+
+    const date = time.slice(0, 10);
+    const planted = Boolean(plantingDate) && date >= plantingDate;
+    if (planted) gdd += Math.max(0, t - base) / 24;
+    return {
+      time,
+      t,
+      rh,
+      p,
+      rhStreak,
+      wetStreak,
+      wetHours24,
+      rain24,
+      rain72,
+      tMean24: tSum / n,
+      rhMean24: rhSum / n,
+      gdd: planted ? gdd : null,
+      hst: planted ? daysBetween(plantingDate, date) : null,
+      gddPartial: partial,
+    };
+  });
+}
+
+// ====== Katalog aturan hama (deklaratif, lihat src/pest-rules.json)
+/**
+ * Bentuk satu aturan:
+ * {
+ *   id: "padi-blas", crop: "padi", pest: "Blas/Jamur Daun",
+ *   level: 0.8,            // skor maksimum (0–1) bila semua kondisi terpenuhi
+ *   note: "…", action: "…", // penjelasan & tindakan yang disarankan
+ *   stageWeights: { Tanam: 0.6, Pemeliharaan: 1 }, // opsional: pengali skor per fase GUIDES
+ *   conditions: [{ var: "wetStreak", op: ">=", value: 10, weight: 0.35 }, …]
+ * }
+ * Skor = level × (bobot kondisi terpenuhi / total bobot) × bobot fase. Dilaporkan bila ≥ RISK_MIN_LEVEL.
+ */
+const RISK_MIN_LEVEL = 0.25;
+
+// Variabel cuaca yang boleh dipakai di kondisi (nama = kunci indikator dari buildIndicators).
+// Label ada di katalog `risk.vars.<var>`, satuan di `risk.units.<unit>`.
+export const RULE_VARS = {
+  t: { unit: "celsius", digits: 1 },
+  rh: { unit: "percent", digits: 0 },
+  p: { unit: "mm", digits: 1 },
+  rhStreak: { unit: "hours", digits: 0 },
+  wetStreak: { unit: "hours", digits: 0 },
+  wetHours24: { unit: "hours", digits: 0 },
+  rain24: { unit: "mm", digits: 1 },
+  rain72: { unit: "mm", digits: 1 },
+  tMean24: { unit: "celsius", digits: 1 },
+  rhMean24: { unit: "percent", digits: 0 },
+  gdd: { unit: "degreeDays", digits: 0 },
+  hst: { unit: "dat", digits: 0 },
+};
+export const ruleVarLabel = (v) => t(`risk.vars.${v}`);
+export const ruleVarUnit = (v) => t(`risk.units.${RULE_VARS[v].unit}`);
+
+// Teks bawaan aturan (pest/note/action) diterjemahkan lewat katalog `pestRules.<id>`;
+// teks yang sudah diubah pengguna di editor aturan ditampilkan apa adanya
+const BUILTIN_RULES = new Map(DEFAULT_PEST_RULES.map((r) => [r.id, r]));
+export const ruleText = (rule, key) => {
+  const builtin = BUILTIN_RULES.get(rule.id);
+  return (builtin && builtin[key] === rule[key] && content(`pestRules.${rule.id}.${key}`)) || rule[key] || "";
+};
+
+export const RULE_OPS = {
+  ">=": (x, v) => x >= v,
+  ">": (x, v) => x > v,
+  "<=": (x, v) => x <= v,
+  "<": (x, v) => x < v,
+  "==": (x, v) => x === v,
+  between: (x, [min, max]) => x >= min && x <= max,
+};
+
+const OP_SYMBOL = { ">=": "≥", "<=": "≤", "==": "=" };
+const fmtRuleValue = (c) => (c.op === "between" ? `${c.value[0]}–${c.value[1]}` : `${OP_SYMBOL[c.op] || c.op}${c.value}`);
+
+const testCondition = (c, ind) => {
+  const x = ind[c.var];
+  return x != null && Number.isFinite(x) && RULE_OPS[c.op](x, c.value);
+};
+
+const conditionLabel = (c, ind) => {
+  const v = RULE_VARS[c.var];
+  return `${ruleVarLabel(c.var)} ${ind[c.var].toFixed(v.digits)} ${ruleVarUnit(c.var)} (${fmtRuleValue(c)})`;
+};
+
+// Kembalikan daftar pesan galat (kosong = valid)
+function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) return [t("ruleErrors.object")];
+  if (!rule.id || typeof rule.id !== "string") errors.push(t("ruleErrors.id"));
+  if (!rule.crop || typeof rule.crop !== "string") errors.push(t("ruleErrors.crop"));
+  if (!rule.pest || typeof rule.pest !== "string") errors.push(t("ruleErrors.pest"));
+  if (typeof rule.level !== "number" || !(rule.level > 0 && rule.level <= 1)) errors.push(t("ruleErrors.level"));
+  if (rule.note != null && typeof rule.note !== "string") errors.push(t("ruleErrors.note"));
+  if (rule.action != null && typeof rule.action !== "string") errors.push(t("ruleErrors.action"));
+  if (rule.stageWeights != null) {
+    if (typeof rule.stageWeights !== "object" || Array.isArray(rule.stageWeights)) {
+      errors.push(t("ruleErrors.stageWeights"));
+    } else {
+      for (const [stage, w] of Object.entries(rule.stageWeights)) {
+        if (!(typeof w === "number" && w >= 0 && w <= 1)) errors.push(t("ruleErrors.stageWeight", { stage }));
+      }
+    }
+  }
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    errors.push(t("ruleErrors.conditions"));
+    return errors;
+  }
+  rule.conditions.forEach((c, i) => {
+    const at = t("ruleErrors.condition", { n: i + 1 });
+    if (!c || typeof c !== "object") return errors.push(`${at} ${t("ruleErrors.conditionObject")}`);
+    if (!RULE_VARS[c.var]) errors.push(`${at} ${t("ruleErrors.unknownVar", { name: c.var })}`);
+    if (!RULE_OPS[c.op]) errors.push(`${at} ${t("ruleErrors.unknownOp", { name: c.op })}`);
+    if (c.op === "between") {
+      if (!Array.isArray(c.value) || c.value.length !== 2 || !c.value.every(Number.isFinite) || c.value[0] > c.value[1]) {
+        errors.push(`${at} ${t("ruleErrors.between")}`);
+      }
+    } else if (!Number.isFinite(c.value)) {
+      errors.push(`${at} ${t("ruleErrors.value")}`);
+    }
+    if (c.weight != null && !(typeof c.weight === "number" && c.weight > 0)) errors.push(`${at} ${t("ruleErrors.weight")}`);
+  });
+  return errors;
+}
+
+// Validasi seluruh katalog: [{ index, id, errors }] untuk aturan yang bermasalah
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) return [{ index: -1, id: "", errors: [t("ruleErrors.catalog")] }];
+  const seen = new Set();
+  const problems = [];
+  rules.forEach((r, index) => {
+    const errors = validateRule(r);
+    if (r?.id && seen.has(r.id)) errors.push(t("ruleErrors.duplicate", { id: r.id }));
+    if (r?.id) seen.add(r.id);
+    if (errors.length) problems.push({ index, id: r?.id || "", errors });
+  });
+  return problems;
+}
+
+// Nilai risiko untuk satu set indikator (lihat buildIndicators) memakai katalog aturan
+export function assessRisk(crop, ind, rules = DEFAULT_PEST_RULES) {
+  const risks = [];
+  // fase budidaya dari HST indikator → pengali skor per aturan
+  const stage = stageAt(crop, ind?.hst)?.title;
+  if (ind) {
+    for (const rule of rules) {
+      if (rule.crop !== crop) continue;
+      const total = rule.conditions.reduce((acc, c) => acc + (c.weight ?? 1), 0);
+      const met = rule.conditions.filter((c) => testCondition(c, ind));
+      const metWeight = met.reduce((acc, c) => acc + (c.weight ?? 1), 0);
+      const stageWeight = (stage && rule.stageWeights?.[stage]) ?? 1;
+      const level = Math.min(1, total > 0 ? (rule.level * metWeight * stageWeight) / total : 0);
+      if (level >= RISK_MIN_LEVEL) {
+        const factors = met.map((c) => conditionLabel(c, ind));
+        if (stageWeight !== 1) factors.push(t("risk.stageFactor", { stage: stageLabel(crop, stage), weight: stageWeight }));
+        risks.push({
+          id: rule.id,
+          name: ruleText(rule, "pest"),
+          level,
+          note: ruleText(rule, "note"),
+          action: ruleText(rule, "action"),
+          factors,
+        });
+      }
+    }
+  }
+
+  // gabungkan & beri skor tertinggi sebagai headline
+  const top = risks.sort((a, b) => b.level - a.level)[0];
+  const composite = risks.reduce((acc, r) => acc + r.level, 0);
+  const level = Math.min(1, Math.max(0, composite));
+  return { level, risks, headline: top?.name || t("risk.low"), headlineNote: top?.note || t("risk.lowNote") };
+}
+
+// Ringkas risiko per jam menjadi per hari (tanggal lokal Open-Meteo), mulai dari `fromDate`
+export function dailyRiskTimeline(crop, indicators, fromDate = "", rules = DEFAULT_PEST_RULES) {
+  const days = new Map();
+  for (const ind of indicators) {
+    if (!ind) continue;
+    const date = ind.time.slice(0, 10);
+    if (date < fromDate) continue;
+    if (!days.has(date)) days.set(date, { date, peak: 0, hoursAtRisk: 0, pests: {}, rain: 0, tMin: ind.t, tMax: ind.t });
+    const d = days.get(date);
+    const risk = assessRisk(crop, ind, rules);
+    d.peak = Math.max(d.peak, risk.level);
+    d.rain += ind.p;
+    d.tMin = Math.min(d.tMin, ind.t);
+    d.tMax = Math.max(d.tMax, ind.t);
+    if (risk.risks.length > 0) d.hoursAtRisk += 1;
+    for (const r of risk.risks) {
+      const x = d.pests[r.name] || (d.pests[r.name] = { name: r.name, hours: 0, peak: 0 });
+      x.hours += 1;
+      x.peak = Math.max(x.peak, r.level);
+    }
+  }
+  return [...days.values()].map(({ pests, ...d }) => {
+    // headline: hama dengan jam berisiko terbanyak, seri → skor tertinggi
+    const top = Object.values(pests).sort((a, b) => b.hours - a.hours || b.peak - a.peak)[0];
+    return { ...d, headline: top?.name || t("risk.low"), pests: Object.values(pests) };
+  });
+}
+
+// Indeks jam pada deret hourly yang memuat waktu `current.time` Open-Meteo
+export function currentHourIndex(hourly, currentTime) {
+  if (!hourly?.time?.length) return -1;
+  if (!currentTime) return 0;
+  let idx = 0;
+  hourly.time.forEach((x, i) => {
+    if (x <= currentTime) idx = i;
+  });
+  return idx;
+}
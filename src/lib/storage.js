@@ -0,0 +1,126 @@
+import DEFAULT_PEST_RULES from "../pest-rules.json";
+import { CONFIG_KEYS, CONFIG_VERSION, DEFAULT_CONFIG, migrateConfig, sanitizeConfig } from "./config.js";
+import { GUIDES, guideFor } from "./guides.js";
+import { t } from "./i18n.js";
+import { validateRules } from "./risk.js";
+
+// ====== Pusat notifikasi dalam aplikasi: { id, ts, title, body, source, read }
+export const loadNotifications = () => {
+  try {
+    const raw = localStorage.getItem("agrihub_notifications_v1");
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+};
+export const saveNotifications = (x) => localStorage.setItem("agrihub_notifications_v1", JSON.stringify(x.slice(0, 100)));
+
+// Simpan/muat ke localStorage
+// Konfigurasi tersimpan per versi skema (lihat CONFIG_MIGRATIONS); kunci versi lama dipindahkan sekali
+// lalu dihapus. Nilai yang tidak lolos validasi diganti bawaan agar NaN/teks rusak tidak bocor ke UI.
+export const loadConfig = () => {
+  try {
+    const raw = localStorage.getItem(CONFIG_KEYS[CONFIG_VERSION]);
+    if (raw) {
+      const cfg = JSON.parse(raw);
+      return sanitizeConfig(migrateConfig(cfg, cfg.version || CONFIG_VERSION));
+    }
+    for (let v = CONFIG_VERSION - 1; v >= 1; v--) {
+      const old = localStorage.getItem(CONFIG_KEYS[v]);
+      if (!old) continue;
+      const cfg = sanitizeConfig(migrateConfig(JSON.parse(old), v));
+      saveConfig(cfg);
+      localStorage.removeItem(CONFIG_KEYS[v]);
+      return cfg;
+    }
+    return DEFAULT_CONFIG;
+  } catch {
+    return DEFAULT_CONFIG;
+  }
+};
+
+export const saveConfig = (cfg) => localStorage.setItem(CONFIG_KEYS[CONFIG_VERSION], JSON.stringify({ ...cfg, version: CONFIG_VERSION }));
+
+// Listing lokal dari sebelum ada sinkronisasi (tanpa author & syncState) ditandai milik perangkat ini sekali
+const tagLegacyOwn = (posts) => {
+  if (!posts.some((p) => !p.author && !p.syncState)) return posts;
+  const tagged = posts.map((p) => (!p.author && !p.syncState ? { ...p, author: { id: deviceId(), name: "" } } : p));
+  savePostings(tagged);
+  return tagged;
+};
+
+export const loadPostings = () => {
+  try {
+    const raw = localStorage.getItem("agrihub_posts_v1");
+    return raw ? tagLegacyOwn(JSON.parse(raw)) : [];
+  } catch {
+    return [];
+  }
+};
+export const savePostings = (x) => localStorage.setItem("agrihub_posts_v1", JSON.stringify(x));
+
+// Identitas perangkat ini sebagai pemasang listing (untuk membedakan listing sendiri vs pengguna lain)
+export const deviceId = () => {
+  let id = localStorage.getItem("agrihub_device_id_v1");
+  if (!id) {
+    id = crypto.randomUUID();
+    localStorage.setItem("agrihub_device_id_v1", id);
+  }
+  return id;
+};
+
+// Daftar lahan: { id, name, latitude, longitude, areaHa, crop, plantingDate }
+export const FIELD_KEYS = ["latitude", "longitude", "crop", "plantingDate"];
+const fieldFromConfig = (cfg) => ({
+  id: crypto.randomUUID(),
+  name: t("fields.defaultName"),
+  latitude: cfg.latitude,
+  longitude: cfg.longitude,
+  areaHa: 1,
+  crop: cfg.crop,
+  plantingDate: cfg.plantingDate,
+});
+
+// Koordinat rusak (mis. NaN tersimpan sebagai null) diganti koordinat bawaan
+const sanitizeField = (f) => ({
+  ...f,
+  latitude: Number.isFinite(Number(f.latitude)) && f.latitude !== null ? Number(f.latitude) : DEFAULT_CONFIG.latitude,
+  longitude: Number.isFinite(Number(f.longitude)) && f.longitude !== null ? Number(f.longitude) : DEFAULT_CONFIG.longitude,
+});
+
+export const loadFields = (cfg) => {
+  try {
+    const raw = localStorage.getItem("agrihub_fields_v1");
+    const fields = raw ? JSON.parse(raw) : null;
+    return Array.isArray(fields) && fields.length > 0 ? fields.map(sanitizeField) : [fieldFromConfig(cfg)];
+  } catch {
+    return [fieldFromConfig(cfg)];
+  }
+};
+export const saveFields = (x) => localStorage.setItem("agrihub_fields_v1", JSON.stringify(x));
+
+// Tanggal tanam untuk komoditas: lahan aktif → lahan lain dengan komoditas itu → config.plantingDates
+export const plantingFor = (crop, fields, config) => {
+  const field =
+    fields.find((f) => f.id === config.activeFieldId && f.crop === crop) || fields.find((f) => f.crop === crop);
+  return field ? { field, date: field.plantingDate || "" } : { field: null, date: config.plantingDates?.[crop] || "" };
+};
+
+// Katalog aturan hama: versi lokal (hasil edit/impor) menimpa bawaan bila valid
+export const loadRules = () => {
+  try {
+    const raw = localStorage.getItem("agrihub_rules_v1");
+    if (!raw) return DEFAULT_PEST_RULES;
+    const rules = JSON.parse(raw);
+    return validateRules(rules).length === 0 ? rules : DEFAULT_PEST_RULES;
+  } catch {
+    return DEFAULT_PEST_RULES;
+  }
+};
+export const saveRules = (x) => localStorage.setItem("agrihub_rules_v1", JSON.stringify(x));
+
+// Pilihan komoditas: yang punya panduan + yang hanya ada di katalog aturan
+export const cropOptions = (rules) => {
+  const keys = [...Object.keys(GUIDES), ...rules.map((r) => r.crop).filter((c) => !GUIDES[c])];
+  return [...new Set(keys)].map((k) => ({ value: k, label: guideFor(k)?.name || k }));
+};
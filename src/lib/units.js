@@ -0,0 +1,77 @@
+import { parseNumber } from "./format.js";
+
+// ====== Konversi satuan: harga & kuantitas dinormalkan ke kg/ton lewat tabel per komoditas
+// Baris { commodity, unit, kg }: 1 `unit` komoditas itu = `kg` kilogram. commodity "*" berlaku untuk semua;
+// nama komoditas dicocokkan sebagian ("gabah" cocok untuk "Gabah Kering Panen") dan yang paling spesifik menang.
+export const DEFAULT_UNIT_CONVERSIONS = [
+  { commodity: "*", unit: "kg", kg: 1 },
+  { commodity: "*", unit: "ton", kg: 1000 },
+  { commodity: "*", unit: "kuintal", kg: 100 },
+  { commodity: "*", unit: "ons", kg: 0.1 },
+  { commodity: "*", unit: "gram", kg: 0.001 },
+  { commodity: "gabah", unit: "karung", kg: 50 },
+  { commodity: "beras", unit: "karung", kg: 50 },
+  { commodity: "jagung", unit: "karung", kg: 50 },
+  { commodity: "kedelai", unit: "karung", kg: 50 },
+  { commodity: "cabai", unit: "karung", kg: 25 },
+  { commodity: "bawang merah", unit: "ikat", kg: 1 },
+  { commodity: "kangkung", unit: "ikat", kg: 0.25 },
+  { commodity: "bayam", unit: "ikat", kg: 0.25 },
+];
+
+export const PRICE_UNITS = ["kg", "ton"];
+
+const UNIT_ALIASES = {
+  kg: ["kg", "kilo", "kilogram", "kgs"],
+  ton: ["ton", "t", "tons"],
+  kuintal: ["kuintal", "kw", "kwintal", "ku"],
+  ons: ["ons"],
+  gram: ["g", "gr", "gram"],
+  karung: ["karung", "sak", "krg"],
+  ikat: ["ikat"],
+};
+
+export const normalizeUnit = (unit) => {
+  const u = String(unit || "").trim().toLowerCase().replace(/\.$/, "");
+  return Object.keys(UNIT_ALIASES).find((k) => UNIT_ALIASES[k].includes(u)) || u;
+};
+
+// Kilogram per satuan untuk komoditas tertentu, atau null bila tidak ada di tabel
+export function unitFactor(commodity, unit, table = DEFAULT_UNIT_CONVERSIONS) {
+  const u = normalizeUnit(unit);
+  const c = String(commodity || "").toLowerCase();
+  let best = null;
+  for (const e of table) {
+    if (normalizeUnit(e.unit) !== u || !(Number(e.kg) > 0)) continue;
+    const name = String(e.commodity || "*").trim().toLowerCase();
+    const specificity = name === "*" ? 0 : c.includes(name) ? name.length : -1;
+    if (specificity >= 0 && (!best || specificity > best.specificity)) best = { kg: Number(e.kg), specificity };
+  }
+  return best ? best.kg : null;
+}
+
+// Harga per `unit` → harga per `target`; null bila salah satu satuan tak dikenal
+export const convertPrice = (price, commodity, unit, target, table) => {
+  const from = unitFactor(commodity, unit, table);
+  const to = unitFactor(commodity, target, table);
+  return from && to ? (Number(price) / from) * to : null;
+};
+
+export const convertQty = (qty, commodity, unit, target, table) => {
+  const from = unitFactor(commodity, unit, table);
+  const to = unitFactor(commodity, target, table);
+  return from && to ? (Number(qty) * from) / to : null;
+};
+
+// Kuantitas teks bebas ("1.500", "2,5 ton", "± 3 karung") → { qty, unit } ; unit kosong bila tidak disebut
+export function parseQuantity(text) {
+  const m = String(text || "").match(/(\d+(?:[.,]\d+)*)\s*([a-zA-Z]*)/);
+  if (!m) return { qty: NaN, unit: "" };
+  return { qty: parseNumber(m[1]), unit: m[2] ? normalizeUnit(m[2]) : "" };
+}
+
+// Baris harga untuk tampilan dalam satuan target; baris asli tetap ada di `raw`
+export const toPriceUnit = (row, target, table) => {
+  const price = convertPrice(row.price, row.commodity, row.unit, target, table);
+  return price == null ? { ...row, raw: row } : { ...row, price: Math.round(price), unit: target, raw: row };
+};
@@ -0,0 +1,19 @@
+// ====== Query string: parameter fetch & state tampilan yang bisa dibagikan lewat URL
+export const withParams = (url, params) => {
+  const u = new URL(url, window.location.href);
+  for (const [k, v] of Object.entries(params)) if (k) u.searchParams.set(k, v);
+  return u.toString();
+};
+
+export const readUrlParams = () => Object.fromEntries(new URLSearchParams(window.location.search));
+
+// Perbarui query string tanpa menambah riwayat navigasi; nilai kosong/bawaan dihapus
+export const writeUrlParams = (patch) => {
+  const params = new URLSearchParams(window.location.search);
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === "" || v == null) params.delete(k);
+    else params.set(k, v);
+  }
+  const qs = params.toString();
+  window.history.replaceState(null, "", `${window.location.pathname}${qs ? `?${qs}` : ""}${window.location.hash}`);
+};
@@ -0,0 +1,99 @@
+import { daysBetween } from "./format.js";
+import { GUIDES, stageAt } from "./guides.js";
+
+// ====== Neraca Air & Kebutuhan Irigasi (FAO-56 disederhanakan)
+// Per hari: ETc = Kc × ET0 (Open-Meteo, mm); hujan efektif = 80% curah hujan; padi sawah
+// ditambah perkolasi. Defisit zona akar terakumulasi dan dibandingkan dengan air siap pakai (RAW).
+
+// Kc per fase GUIDES (judul fase asli) — nilai tengah FAO-56 untuk tiap tahap
+export const CROP_KC = {
+  padi: { "Pra-Tanam": 1.05, Tanam: 1.05, Pemeliharaan: 1.2, Panen: 0.9 },
+  jagung: { "Pra-Tanam": 0.3, Tanam: 0.4, Pemeliharaan: 1.2, Panen: 0.6 },
+  cabai: { "Pra-Tanam": 0.3, Tanam: 0.6, Pemeliharaan: 1.05, Panen: 0.9 },
+  tomat: { "Pra-Tanam": 0.3, Tanam: 0.6, Pemeliharaan: 1.15, Panen: 0.8 },
+};
+// Komoditas tanpa panduan atau di luar rentang fase
+export const DEFAULT_KC = 1;
+
+// Parameter tanah per komoditas:
+//  rootDepth   — kedalaman akar efektif (m)
+//  depletion   — fraksi p FAO-56: porsi air tersedia yang boleh habis sebelum tanaman stres
+//  percolation — kehilangan ke bawah harian (mm), hanya untuk lahan tergenang
+export const WATER_PARAMS = {
+  padi: { rootDepth: 0.3, depletion: 0.2, percolation: 3 },
+  jagung: { rootDepth: 1, depletion: 0.55, percolation: 0 },
+  cabai: { rootDepth: 0.5, depletion: 0.3, percolation: 0 },
+  tomat: { rootDepth: 0.7, depletion: 0.4, percolation: 0 },
+};
+const DEFAULT_PARAMS = { rootDepth: 0.5, depletion: 0.5, percolation: 0 };
+
+// Tanah lempung: kapasitas lapang & titik layu (m³/m³) → air tersedia 200 mm per meter akar
+export const FIELD_CAPACITY = 0.35;
+export const WILTING_POINT = 0.15;
+const EFFECTIVE_RAIN = 0.8;
+// Defisit ≥ 75% RAW = "mendekati stres"
+const WARN_FRACTION = 0.75;
+
+export const waterParams = (crop) => ({ ...DEFAULT_PARAMS, ...WATER_PARAMS[crop] });
+
+// Kc pada `hst` (hari setelah tanam); tanpa tanggal tanam → Kc fase Pemeliharaan bila ada
+export function kcAt(crop, hst) {
+  const kc = CROP_KC[crop];
+  if (!kc) return DEFAULT_KC;
+  if (hst == null) return kc.Pemeliharaan ?? DEFAULT_KC;
+  return kc[stageAt(crop, hst, GUIDES[crop])?.title] ?? DEFAULT_KC;
+}
+
+// Rata-rata harian deret jam-jaman ({ "2026-10-18": 0.31, … }), nilai kosong dilewati
+const dailyMean = (hourly, key) => {
+  const sums = {};
+  (hourly?.time || []).forEach((time, i) => {
+    const v = hourly[key]?.[i];
+    if (v == null) return;
+    const d = time.slice(0, 10);
+    sums[d] = sums[d] || { s: 0, n: 0 };
+    sums[d].s += v;
+    sums[d].n += 1;
+  });
+  return Object.fromEntries(Object.entries(sums).map(([d, { s, n }]) => [d, s / n]));
+};
+
+/**
+ * Neraca air harian dari respons Open-Meteo (`daily` + `hourly.soil_moisture_9_to_27cm`).
+ * Defisit awal diambil dari kelembapan tanah hari pertama (0 bila tidak tersedia).
+ * Hasil: { params, taw, raw, days: [{ date, et0, kc, etc, rain, effRain, need, liters, deficit, soil, forecast }],
+ *          today, warning: { level: "stress"|"approaching", date, inDays } | null }
+ */
+export function waterBalance(data, { crop, plantingDate, areaHa = 1, today } = {}) {
+  const params = waterParams(crop);
+  const taw = (FIELD_CAPACITY - WILTING_POINT) * params.rootDepth * 1000;
+  const raw = params.depletion * taw;
+  const daily = data?.daily;
+  if (!daily?.time?.length) return { params, taw, raw, days: [], today: null, warning: null };
+
+  const soil = dailyMean(data.hourly, "soil_moisture_9_to_27cm");
+  const todayIso = today || data.current?.time?.slice(0, 10) || daily.time[daily.time.length - 1];
+  const first = soil[daily.time[0]];
+  let deficit = first == null ? 0 : Math.min(taw, Math.max(0, (FIELD_CAPACITY - first) * params.rootDepth * 1000));
+
+  const days = daily.time.map((date, i) => {
+    const et0 = daily.et0_fao_evapotranspiration?.[i] ?? 0;
+    const kc = kcAt(crop, plantingDate ? daysBetween(plantingDate, date) : null);
+    const etc = kc * et0;
+    const rain = daily.precipitation_sum?.[i] ?? 0;
+    const effRain = EFFECTIVE_RAIN * rain;
+    // kebutuhan bersih hari itu; air hujan berlebih tidak disimpan lewat kapasitas lapang
+    const need = Math.max(0, etc + params.percolation - effRain);
+    deficit = Math.min(taw, Math.max(0, deficit + etc + params.percolation - effRain));
+    // 1 mm di 1 ha = 10.000 liter
+    return { date, et0, kc, etc, rain, effRain, need, liters: need * (Number(areaHa) || 0) * 10000, deficit, soil: soil[date] ?? null, forecast: date > todayIso };
+  });
+
+  const todayRow = days.find((d) => d.date === todayIso) || null;
+  const ahead = days.filter((d) => d.date >= todayIso);
+  const stressed = ahead.find((d) => d.deficit >= raw);
+  const near = ahead.find((d) => d.deficit >= WARN_FRACTION * raw);
+  const warn = (level, d) => ({ level, date: d.date, inDays: daysBetween(todayIso, d.date) });
+  const warning = stressed ? warn("stress", stressed) : near ? warn("approaching", near) : null;
+  return { params, taw, raw, days, today: todayRow, warning };
+}
@@ -0,0 +1,34 @@
+import { DEFAULT_CONFIG } from "./config.js";
+import { clamp, daysBetween, isoDate } from "./format.js";
+import { t } from "./i18n.js";
+
+// ====== Fetch cuaca realtime dari Open-Meteo (tanpa API key)
+// Angin & hembusan (km/j) dipakai saran kerja lapangan; ET0, hujan harian & kelembapan tanah untuk neraca air.
+// pastDays: data lampau (maks. 92 hari) agar indikator akumulasi & GDD punya riwayat.
+// lat/lon boleh berupa daftar dipisah koma — Open-Meteo lalu mengembalikan array.
+const weatherUrl = (lat, lon, days, pastDays) => {
+  const forecastDays = clamp(Math.round(days) || 1, 1, 16);
+  const past = clamp(Math.round(pastDays) || 0, 0, 92);
+  return `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&hourly=temperature_2m,relative_humidity_2m,precipitation,wind_speed_10m,wind_gusts_10m,soil_moisture_9_to_27cm&daily=et0_fao_evapotranspiration,precipitation_sum&current=temperature_2m,relative_humidity_2m,precipitation,wind_speed_10m,wind_gusts_10m&timezone=auto&forecast_days=${forecastDays}&past_days=${past}`;
+};
+
+export async function fetchWeather(lat, lon, days = DEFAULT_CONFIG.forecastDays, pastDays = 2) {
+  const res = await fetch(weatherUrl(lat, lon, days, pastDays));
+  if (!res.ok) throw new Error(t("weather.loadFailed"));
+  return res.json();
+}
+
+// Satu permintaan untuk banyak lahan; hasil berurutan sesuai `fields`
+export async function fetchWeatherBatch(fields, days = 1, pastDays = 2) {
+  if (fields.length === 0) return [];
+  const lats = fields.map((f) => f.latitude).join(",");
+  const lons = fields.map((f) => f.longitude).join(",");
+  const res = await fetch(weatherUrl(lats, lons, days, pastDays));
+  if (!res.ok) throw new Error(t("weather.loadFailed"));
+  const json = await res.json();
+  return Array.isArray(json) ? json : [json];
+}
+
+// Hari riwayat yang perlu diambil agar GDD mencakup sejak tanam (min. 2 untuk jendela 72 jam)
+export const pastDaysFor = (plantingDate) =>
+  Math.max(2, plantingDate ? daysBetween(plantingDate, isoDate(new Date())) + 1 : 0);
@@ -0,0 +1,65 @@
+import { fmtFixed } from "./format.js";
+import { t } from "./i18n.js";
+
+// ====== Peringatan cuaca ekstrem (hujan lebat, panas, angin kencang) dari ramalan jam-jaman
+// Dinilai per lahan per hari mulai hari ini; ambang dari konfigurasi (warnRainMm, warnHeatC, warnGustKmh).
+export const WARNING_KINDS = ["rain", "heat", "gust"];
+
+export const warningThresholds = (config) => ({ rain: config.warnRainMm, heat: config.warnHeatC, gust: config.warnGustKmh });
+
+// Nilai harian dari deret jam-jaman: total hujan, suhu maksimum, hembusan maksimum
+export function dailyExtremes(hourly) {
+  const days = new Map();
+  (hourly?.time || []).forEach((time, i) => {
+    const date = time.slice(0, 10);
+    const d = days.get(date) || { date, rain: 0, heat: null, gust: null };
+    d.rain += hourly.precipitation?.[i] ?? 0;
+    const temp = hourly.temperature_2m?.[i];
+    const gust = hourly.wind_gusts_10m?.[i];
+    if (temp != null) d.heat = Math.max(d.heat ?? temp, temp);
+    if (gust != null) d.gust = Math.max(d.gust ?? gust, gust);
+    days.set(date, d);
+  });
+  return [...days.values()];
+}
+
+/**
+ * Peringatan satu lahan untuk hari `today` dan sesudahnya:
+ * [{ id, fieldId, fieldName, crop, kind, date, value, threshold }].
+ * `id` = lahan:jenis:tanggal — peringatan yang sama tidak dicatat/dikirim ulang pada refresh berikutnya.
+ */
+export function extremeWeatherWarnings(hourly, thresholds, { field, today }) {
+  const out = [];
+  for (const d of dailyExtremes(hourly)) {
+    if (today && d.date < today) continue;
+    for (const kind of WARNING_KINDS) {
+      const threshold = Number(thresholds[kind]);
+      if (!(threshold > 0) || d[kind] == null || d[kind] <= threshold) continue;
+      out.push({ id: `${field.id}:${kind}:${d.date}`, fieldId: field.id, fieldName: field.name, crop: field.crop, kind, date: d.date, value: d[kind], threshold });
+    }
+  }
+  return out;
+}
+
+// "Hujan lebat 62 mm/hari (> 50)"
+export const warningLabel = (w) =>
+  t(`warnings.kind.${w.kind}`, { value: fmtFixed(w.value, w.kind === "gust" ? 0 : 1), threshold: w.threshold });
+
+// Saran tindakan; komoditas tertentu punya saran khusus (mis. jagung rebah saat angin kencang)
+export const warningAdvice = (w) => t(`warnings.advice.${w.kind}_${w.crop}`, undefined, t(`warnings.advice.${w.kind}`));
+
+export const loadWarningLog = () => {
+  try {
+    const raw = localStorage.getItem("agrihub_weather_warnings_v1");
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+};
+export const saveWarningLog = (x) => localStorage.setItem("agrihub_weather_warnings_v1", JSON.stringify(x.slice(0, 200)));
+
+// Peringatan yang belum pernah tercatat di riwayat → perlu dicatat & diberitahukan
+export const newWarnings = (warnings, log) => {
+  const seen = new Set(log.map((l) => l.warningId));
+  return warnings.filter((w) => !seen.has(w.id));
+};
@@ -0,0 +1,98 @@
+import { t } from "./i18n.js";
+import { loadPostings, savePostings } from "./storage.js";
+
+// ====== POST penawaran ke webhook (opsional)
+// HMAC-SHA256 (hex) atas body mentah; penerima menghitung ulang dengan rahasia yang sama
+async function hmacSha256(secret, message) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const sig = await crypto.subtle.sign("HMAC", key, enc.encode(message));
+  return [...new Uint8Array(sig)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Galat membawa `status` (kode HTTP) bila server menjawab; tanpa `status` berarti gagal jaringan
+export async function postToWebhook(url, payload, { secret = "", deliveryId = "" } = {}) {
+  const body = JSON.stringify(payload);
+  const headers = { "Content-Type": "application/json" };
+  if (deliveryId) headers["X-AgriHub-Delivery"] = deliveryId;
+  if (secret) headers["X-AgriHub-Signature"] = `sha256=${await hmacSha256(secret, body)}`;
+  const res = await fetch(url, { method: "POST", headers, body });
+  if (!res.ok) {
+    const err = new Error(t("webhook.rejected", { status: res.status }));
+    err.status = res.status;
+    throw err;
+  }
+  return { status: res.status, body: await res.json().catch(() => ({})) };
+}
+
+// ====== Log pengiriman webhook: setiap posting punya status pending | failed | sent
+// { id (= id posting), payload, status, attempts, nextAt, createdAt, sentAt, lastError, responses: [{ ts, code, ok, error }] }
+export const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_BASE_DELAY = 30 * 1000;
+const WEBHOOK_MAX_DELAY = 60 * 60 * 1000;
+
+// Backoff eksponensial 30 dtk, 1 mnt, 2 mnt, … maks. 1 jam, plus jitter ±20%
+const backoffDelay = (attempts) => {
+  const base = Math.min(WEBHOOK_BASE_DELAY * 2 ** Math.max(0, attempts - 1), WEBHOOK_MAX_DELAY);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+};
+
+export const newDelivery = (payload) => ({
+  id: payload.id,
+  payload,
+  status: "pending",
+  attempts: 0,
+  nextAt: Date.now(),
+  createdAt: Date.now(),
+  sentAt: null,
+  lastError: "",
+  responses: [],
+});
+
+export const loadDeliveries = () => {
+  try {
+    const raw = localStorage.getItem("agrihub_deliveries_v1");
+    if (raw) return JSON.parse(raw);
+    // outbox lama: posting belum pernah disimpan lokal, jadi masukkan juga ke daftar listing
+    const legacy = JSON.parse(localStorage.getItem("agrihub_outbox_v1") || "[]");
+    if (!legacy.length) return [];
+    const posts = loadPostings();
+    savePostings([...legacy.map((o) => o.payload).filter((p) => !posts.some((x) => x.id === p.id)), ...posts]);
+    const migrated = legacy.map((o) => ({ ...newDelivery(o.payload), attempts: o.attempts, lastError: o.lastError }));
+    saveDeliveries(migrated);
+    localStorage.removeItem("agrihub_outbox_v1");
+    return migrated;
+  } catch {
+    return [];
+  }
+};
+
+// Simpan semua yang belum terkirim + 200 terkirim terbaru
+export const saveDeliveries = (x) => {
+  const sent = x.filter((d) => d.status === "sent").sort((a, b) => b.sentAt - a.sentAt).slice(0, 200);
+  localStorage.setItem("agrihub_deliveries_v1", JSON.stringify(x.filter((d) => d.status !== "sent" || sent.includes(d))));
+};
+
+/**
+ * Satu percobaan kirim. 4xx (kecuali 408/429) dianggap permanen → langsung "failed";
+ * galat lain dijadwalkan ulang dengan backoff sampai WEBHOOK_MAX_ATTEMPTS.
+ */
+export async function attemptDelivery(url, secret, d) {
+  const ts = Date.now();
+  const attempts = d.attempts + 1;
+  try {
+    const { status } = await postToWebhook(url, d.payload, { secret, deliveryId: d.id });
+    return { ...d, status: "sent", attempts, sentAt: ts, nextAt: null, lastError: "", responses: [...d.responses, { ts, code: status, ok: true }].slice(-10) };
+  } catch (e) {
+    const retryable = !e.status || e.status >= 500 || e.status === 408 || e.status === 429;
+    const giveUp = !retryable || attempts >= WEBHOOK_MAX_ATTEMPTS;
+    return {
+      ...d,
+      status: giveUp ? "failed" : "pending",
+      attempts,
+      nextAt: giveUp ? null : ts + backoffDelay(attempts),
+      lastError: e.message || t("webhook.sendFailed"),
+      responses: [...d.responses, { ts, code: e.status || 0, ok: false, error: e.message || t("webhook.sendFailed") }].slice(-10),
+    };
+  }
+}
@@ -1,10 +1,22 @@
 import React from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
+import { browserLocale, setLocale } from './lib/i18n.js'
+import { loadConfig } from './lib/storage.js'
 import './index.css'
 
+// Bahasa ditetapkan sebelum App memuat state (nama lahan bawaan, dsb.) dan merender
+setLocale(loadConfig().language || browserLocale())
+
 createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
 )
+
+// Service worker hanya di build produksi (di dev, Vite menyajikan modul tanpa hash)
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(() => {})
+  })
+}
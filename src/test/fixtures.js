@@ -0,0 +1,32 @@
+// ====== Respons Open-Meteo sintetis untuk uji (penasihat cuaca, neraca air, peringatan cuaca)
+
+// "YYYY-MM-DD" ke-`i` hari sesudah `start`
+const dayAfter = (start, i) => new Date(Date.parse(`${start}T00:00Z`) + i * 86400000).toISOString().slice(0, 10);
+
+/**
+ * Deret jam-jaman `days` hari mulai 18 Okt 00.00: kering, 25 °C, RH 70%, angin 8 km/j, hembusan 15 km/j.
+ * `over` menimpa deret tertentu, mis. { precipitation }.
+ */
+export const hourlyForecast = ({ days = 2, ...over } = {}) => {
+  const n = days * 24;
+  const time = Array.from({ length: n }, (_, i) => `${dayAfter("2026-10-18", Math.floor(i / 24))}T${String(i % 24).padStart(2, "0")}:00`);
+  return {
+    time,
+    temperature_2m: Array(n).fill(25),
+    relative_humidity_2m: Array(n).fill(70),
+    precipitation: Array(n).fill(0),
+    wind_speed_10m: Array(n).fill(8),
+    wind_gusts_10m: Array(n).fill(15),
+    ...over,
+  };
+};
+
+// Respons harian mulai 1 Okt: ET0 & hujan per hari, kelembapan tanah 9–27 cm opsional (satu nilai per hari)
+export const dailyResponse = ({ et0, rain, soil, today = "2026-10-03" }) => {
+  const time = et0.map((_, i) => dayAfter("2026-10-01", i));
+  return {
+    current: { time: `${today}T10:00` },
+    daily: { time, et0_fao_evapotranspiration: et0, precipitation_sum: rain },
+    hourly: soil && { time: time.map((d) => `${d}T00:00`), soil_moisture_9_to_27cm: soil },
+  };
+};